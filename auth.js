@@ -11,6 +11,23 @@ function notify(type, message, duration = 3000) {
     console[type === 'error' ? 'error' : 'log'](message);
 }
 
+// The worker answers 429 when requests are rate limited or an account is locked; the error
+// keeps the status so the message can be shown as a wait rather than a failure.
+function apiError(response, result, fallback) {
+    const err = new Error(result?.error || fallback);
+    err.status = response.status;
+    return err;
+}
+
+// Rate-limit messages already say how long to wait, so they are shown on their own and for longer.
+function notifyRequestFailed(prefix, err) {
+    if (err.status === 429) {
+        notify('warning', String(err.message).replace(/^Error:\s*/, ''), 8000);
+        return;
+    }
+    notify('error', prefix + err.message);
+}
+
 // Check if user is logged in
 function isUserLoggedIn() {
     return !!localStorage.getItem('authToken');
@@ -27,8 +44,20 @@ function getAuthToken() {
     return localStorage.getItem('authToken');
 }
 
-// Logout
-function logout() {
+// Logout: end the session on the worker too, so the token cannot be reused.
+// Local sign-out still happens if the worker cannot be reached.
+async function logout() {
+    const token = getAuthToken();
+    if (token) {
+        try {
+            await fetch(`${API_BASE}/auth/logout`, {
+                method: 'POST',
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+        } catch (err) {
+            // ignore; the session expires on its own
+        }
+    }
     localStorage.removeItem('authToken');
     localStorage.removeItem('user');
     window.location.href = 'login.html';
@@ -1,11 +1,13 @@
 ﻿// bookings.js
-// Handles seat selection, form submission, and Paystack payment flow
+// Handles seat selection, form submission, and the payment flow (Paystack, Flutterwave or mobile money)
 
 const LOCK_TIMEOUT_MS = 5 * 60 * 1000; // 5 minutes
 const BOOKINGS_API_BASE = 'https://realeliteweb-app.elitetransportghana.workers.dev/api'; // Update to your Worker URL if needed
-const PAYSTACK_KEY = 'pk_test_3cd2b822f4ec2dae7a1dd637562bc126151a27b6'; // Replace with your key
+const PAYSTACK_KEY = 'pk_test_3cd2b822f4ec2dae7a1dd637562bc126151a27b6'; // Used when the worker has no PAYSTACK_PUBLIC_KEY
 const PAYSTACK_CURRENCY = 'GHS';
 const PAYSTACK_ALLOWED_CURRENCIES = new Set(['NGN', 'GHS', 'USD', 'ZAR', 'KES']);
+const MOMO_POLL_INTERVAL_MS = 4000;
+const MOMO_POLL_ATTEMPTS = 45; // about 3 minutes to approve on the phone
 
 let routeData = null;
 let busData = null;
@@ -15,6 +17,20 @@ let pricePerSeat = 0;
 let currentTripId = null;
 let seatPollTimer = null;
 let lockExpiryTimer = null;
+let currentQuote = null;
+let quoteRequestId = 0;
+let rebookBooking = null; // set when moving an existing booking (see profile.js startRebook)
+let seatClasses = {}; // seat number -> class for non-standard seats, from the seat map
+let classPrices = {}; // class -> price on this trip, from the seat map
+let appliedPromoCode = ''; // promo code the customer applied; the worker re-checks it on every quote
+let seatPassengerDrafts = {}; // seat number -> traveller details typed for that seat, kept across re-renders
+let momoReference = null; // checkout reference of the mobile money charge in progress
+
+const SEAT_CLASS_LABELS = {
+    front: 'Front',
+    extra_legroom: 'Extra legroom',
+    standard: 'Standard'
+};
 
 function notify(type, message, duration = 3000) {
     if (window.toast && typeof window.toast[type] === 'function') {
@@ -24,12 +40,13 @@ function notify(type, message, duration = 3000) {
     console[type === 'error' ? 'error' : 'log'](message);
 }
 
-function validatePaystackConfig() {
+// The public key comes from the worker with each checkout (PAYSTACK_PUBLIC_KEY), else PAYSTACK_KEY.
+function validatePaystackConfig(publicKey) {
     if (!PAYSTACK_ALLOWED_CURRENCIES.has(PAYSTACK_CURRENCY)) {
         notify('error', `Unsupported checkout currency: ${PAYSTACK_CURRENCY}`);
         return false;
     }
-    if (!/^pk_(test|live)_[a-zA-Z0-9]+$/.test(PAYSTACK_KEY)) {
+    if (!/^pk_(test|live)_[a-zA-Z0-9]+$/.test(String(publicKey || ''))) {
         notify('error', 'Invalid Paystack public key configuration.');
         return false;
     }
@@ -38,7 +55,14 @@ function validatePaystackConfig() {
 
 // On page load, retrieve route/bus data from sessionStorage or URL params
 document.addEventListener('DOMContentLoaded', async () => {
+    const holdToken = new URLSearchParams(window.location.search).get('hold');
+    if (holdToken && !isUserLoggedIn()) {
+        // Come back to the waitlist hold after signing in (see login.js postLoginDestination).
+        sessionStorage.setItem('pendingWaitlistHold', holdToken);
+    }
     requireAuth(); // Require user to be logged in
+
+    const waitlistHold = holdToken && isUserLoggedIn() ? await loadWaitlistHold(holdToken) : null;
     
     routeData = sessionStorage.getItem('selectedRoute') ? JSON.parse(sessionStorage.getItem('selectedRoute')) : null;
     busData = sessionStorage.getItem('selectedBus') ? JSON.parse(sessionStorage.getItem('selectedBus')) : null;
@@ -49,11 +73,23 @@ document.addEventListener('DOMContentLoaded', async () => {
         return;
     }
 
+    rebookBooking = sessionStorage.getItem('rebookBooking') ? JSON.parse(sessionStorage.getItem('rebookBooking')) : null;
+
     // Populate route details
     populateRouteDetails();
+    if (rebookBooking) applyRebookMode();
 
     // Prefill passenger details for logged-in users
     await prefillPassengerForm();
+
+    // A waitlist offer arrives with its seat already locked for this customer.
+    if (waitlistHold) {
+        lockSessionId = waitlistHold.lock_id;
+        selectedSeats = [String(waitlistHold.seat)];
+        const heldUntil = Date.parse(`${String(waitlistHold.expires_at).replace(' ', 'T')}Z`);
+        resetLockExpiryTimer(Number.isFinite(heldUntil) ? Math.max(0, heldUntil - Date.now()) : LOCK_TIMEOUT_MS);
+        notify('success', `Seat ${waitlistHold.seat} is held for you. Complete your booking to keep it.`, 5000);
+    }
     
     // Render bus seat map
     await renderBusMap();
@@ -63,6 +99,24 @@ document.addEventListener('DOMContentLoaded', async () => {
     
     // Attach form submit handler
     document.getElementById('bookingForm').addEventListener('submit', handleBookingSubmit);
+    document.getElementById('apply-promo').addEventListener('click', applyPromoCode);
+    document.querySelectorAll('input[name="payment_method"]').forEach((input) => {
+        input.addEventListener('change', updatePaymentMethod);
+    });
+    document.getElementById('momo-otp-submit').addEventListener('click', submitMomoOtp);
+    updatePaymentMethod();
+
+    // Back from a hosted checkout page (Flutterwave) with ?payment_ref=<reference>.
+    const returnParams = new URLSearchParams(window.location.search);
+    const paymentRef = returnParams.get('payment_ref');
+    if (paymentRef) {
+        window.history.replaceState(null, '', window.location.pathname);
+        if (returnParams.get('status') === 'cancelled') {
+            notify('info', 'Payment was cancelled.');
+        } else {
+            await confirmBookingWithBackend(paymentRef);
+        }
+    }
 
     document.addEventListener('visibilitychange', () => {
         if (!document.hidden && !lockSessionId) {
@@ -100,6 +154,105 @@ function updateSelectionDisplay() {
     }
     const sorted = [...selectedSeats].sort((a, b) => Number(a) - Number(b));
     seatDisplay.textContent = sorted.join(', ');
+    renderSeatPassengerForms();
+}
+
+// The booker travels on the first selected seat; every other seat gets its own traveller
+// block, with shortcuts to reuse the booker's phone and next of kin.
+function renderSeatPassengerForms() {
+    const container = document.getElementById('seat-passengers');
+    if (!container) return;
+    const sorted = [...selectedSeats].sort((a, b) => Number(a) - Number(b));
+    const otherSeats = rebookBooking ? [] : sorted.slice(1);
+    if (!otherSeats.length) {
+        container.style.display = 'none';
+        container.innerHTML = '';
+        return;
+    }
+
+    container.style.display = 'block';
+    container.innerHTML = `
+        <div class="divider"><span>other passengers</span></div>
+        <p class="seat-passengers-note">Seat ${sorted[0]} is yours. Add the traveller for each other seat so they get their own ticket by SMS.</p>
+        ${otherSeats.map((seat) => `
+            <div class="seat-passenger" data-seat="${seat}">
+                <h5>Seat ${seat}</h5>
+                <div class="input-group">
+                    <label>First Name *</label>
+                    <input type="text" data-field="firstName">
+                </div>
+                <div class="input-group">
+                    <label>Last Name *</label>
+                    <input type="text" data-field="lastName">
+                </div>
+                <label class="same-as-me"><input type="checkbox" data-field="samePhone"> Same phone as me</label>
+                <div class="input-group" data-group="phone">
+                    <label>Phone Number *</label>
+                    <input type="tel" data-field="phone">
+                </div>
+                <label class="same-as-me"><input type="checkbox" data-field="sameNok"> Same next of kin as me</label>
+                <div class="input-group" data-group="nok">
+                    <label>Next of Kin Name</label>
+                    <input type="text" data-field="nokName">
+                </div>
+                <div class="input-group" data-group="nok">
+                    <label>Next of Kin Phone</label>
+                    <input type="tel" data-field="nokPhone">
+                </div>
+            </div>
+        `).join('')}
+    `;
+
+    container.querySelectorAll('.seat-passenger').forEach((block) => {
+        const seat = block.dataset.seat;
+        const draft = seatPassengerDrafts[seat] || { sameNok: true };
+        seatPassengerDrafts[seat] = draft;
+        const syncGroups = () => {
+            block.querySelector('[data-group="phone"]').style.display = draft.samePhone ? 'none' : '';
+            block.querySelectorAll('[data-group="nok"]').forEach((group) => {
+                group.style.display = draft.sameNok ? 'none' : '';
+            });
+        };
+        block.querySelectorAll('[data-field]').forEach((input) => {
+            const field = input.dataset.field;
+            if (input.type === 'checkbox') {
+                input.checked = Boolean(draft[field]);
+                input.addEventListener('change', () => {
+                    draft[field] = input.checked;
+                    syncGroups();
+                });
+            } else {
+                input.value = draft[field] || '';
+                input.addEventListener('input', () => {
+                    draft[field] = input.value;
+                });
+            }
+        });
+        syncGroups();
+    });
+}
+
+// Traveller details for the seats other than the booker's, or null when one is incomplete.
+function collectSeatPassengers(booker) {
+    const sorted = [...selectedSeats].sort((a, b) => Number(a) - Number(b));
+    const passengers = [];
+    for (const seat of sorted.slice(1)) {
+        const draft = seatPassengerDrafts[seat] || {};
+        const passenger = {
+            seat,
+            firstName: String(draft.firstName || '').trim(),
+            lastName: String(draft.lastName || '').trim(),
+            phone: draft.samePhone ? booker.phone : String(draft.phone || '').trim(),
+            nokName: draft.sameNok ? booker.nokName : String(draft.nokName || '').trim(),
+            nokPhone: draft.sameNok ? booker.nokPhone : String(draft.nokPhone || '').trim()
+        };
+        if (!passenger.firstName || !passenger.lastName || !passenger.phone) {
+            notify('warning', `Please enter the name and phone for seat ${seat}.`);
+            return null;
+        }
+        passengers.push(passenger);
+    }
+    return passengers;
 }
 
 function clearLockExpiryTimer() {
@@ -108,7 +261,7 @@ function clearLockExpiryTimer() {
     lockExpiryTimer = null;
 }
 
-function resetLockExpiryTimer() {
+function resetLockExpiryTimer(timeoutMs = LOCK_TIMEOUT_MS) {
     clearLockExpiryTimer();
     lockExpiryTimer = setTimeout(async () => {
         if (!selectedSeats.length || !lockSessionId) return;
@@ -118,7 +271,28 @@ function resetLockExpiryTimer() {
         updateSelectionDisplay();
         updatePrice();
         await renderBusMap(true);
-    }, LOCK_TIMEOUT_MS);
+    }, timeoutMs);
+}
+
+// Resolves a waitlist SMS link (bookings.html?hold=...) into the held bus/trip/seat.
+async function loadWaitlistHold(holdToken) {
+    sessionStorage.removeItem('pendingWaitlistHold');
+    try {
+        const res = await fetch(`${BOOKINGS_API_BASE}/waitlist/hold?token=${encodeURIComponent(holdToken)}`, {
+            headers: { 'Authorization': `Bearer ${getAuthToken()}` },
+            cache: 'no-store'
+        });
+        const hold = await res.json().catch(() => ({}));
+        if (!res.ok) throw new Error(hold.error || 'Seat hold not found');
+
+        sessionStorage.setItem('selectedRoute', JSON.stringify(hold.route));
+        sessionStorage.setItem('selectedBus', JSON.stringify(hold.bus));
+        sessionStorage.removeItem('rebookBooking');
+        return hold;
+    } catch (err) {
+        notify('error', String(err.message || err).replace(/^Error:\s*/, ''), 5000);
+        return null;
+    }
 }
 
 function populateRouteDetails() {
@@ -202,6 +376,8 @@ async function renderBusMap(silent = false) {
         const lockedSeats = seatData.locked || [];
         const ownLockedSeats = seatData.own_locked || [];
         const bookedSeats = seatData.booked || [];
+        seatClasses = seatData.seat_classes || {};
+        classPrices = seatData.class_prices || {};
 
         const layout = document.getElementById('bus-layout');
         layout.innerHTML = '';
@@ -209,40 +385,25 @@ async function renderBusMap(silent = false) {
         const seatNumToBackendLabel = (seatNum) => String(seatNum);
         const displaySeat = (seatNum) => String(seatNum).padStart(2, '0');
 
-        // Geometry agreed with user:
-        // F00: one seat [01]
-        // R01-R06: 2+2
-        // R07: left 2 seats + stairs on right
-        // R08-R11: 2+2
-        // R12: left 2 seats + two missing seats on right
-        // R13: rear 5-seat row
-        const seatRows = [
-            [0, 1, 0, 0, 0],        // F00 (driver alignment)
-            [2, 3, 'aisle', 4, 5],  // R01
-            [6, 7, 'aisle', 8, 9],  // R02
-            [10, 11, 'aisle', 12, 13], // R03
-            [14, 15, 'aisle', 16, 17], // R04
-            [18, 19, 'aisle', 20, 21], // R05
-            [22, 23, 'aisle', 24, 25], // R06
-            [26, 27, 'aisle', 'stairs', 'stairs'], // R07
-            [28, 29, 'aisle', 30, 31], // R08
-            [32, 33, 'aisle', 34, 35], // R09
-            [36, 37, 'aisle', 38, 39], // R10
-            [40, 41, 'aisle', 42, 43], // R11
-            [44, 45, 'aisle', 'void', 'void'], // R12
-            [46, 47, 48, 49, 50] // R13 (rear row)
-        ];
+        // Seat geometry comes from the bus's layout in the worker: each row is a list of seat
+        // numbers and 'aisle' / 'void' / 'stairs' markers.
+        const layoutDef = seatData.layout || {};
+        const seatRows = Array.isArray(layoutDef.rows) ? layoutDef.rows : [];
+        const columnCount = Number(layoutDef.columns) || Math.max(1, ...seatRows.map((r) => r.length));
+        const hasAisle = seatRows.some((r) => r.includes('aisle'));
 
         seatRows.forEach((rowDef, rowIndex) => {
             const row = document.createElement('div');
             row.className = 'bus-row';
-            if (rowIndex === 13) row.classList.add('bus-row-rear');
+            row.style.gridTemplateColumns = `repeat(${columnCount}, minmax(44px, 1fr))`;
+            // A full-width last row without an aisle is the rear bench.
+            if (hasAisle && rowIndex === seatRows.length - 1 && !rowDef.includes('aisle')) row.classList.add('bus-row-rear');
 
             rowDef.forEach((slot) => {
                 const slotEl = document.createElement('div');
                 slotEl.className = 'bus-slot';
 
-                if (slot === 0 || slot === 'void') {
+                if (!slot || slot === 'void') {
                     slotEl.classList.add('void-slot');
                     row.appendChild(slotEl);
                     return;
@@ -267,7 +428,10 @@ async function renderBusMap(silent = false) {
                 slotEl.classList.add('seat');
                 slotEl.setAttribute('data-seat', seatBackendLabel);
                 slotEl.textContent = displaySeat(seatNum);
-                slotEl.title = `Seat ${displaySeat(seatNum)}`;
+                const seatClass = seatClasses[seatBackendLabel] || 'standard';
+                const seatClassPrice = Number(classPrices[seatClass] ?? pricePerSeat);
+                slotEl.title = `Seat ${displaySeat(seatNum)} · ${SEAT_CLASS_LABELS[seatClass] || seatClass} · GHS ${seatClassPrice.toFixed(2)}`;
+                if (seatClass !== 'standard') slotEl.classList.add(`seat-class-${seatClass.replace(/_/g, '-')}`);
 
                 if (bookedSeats.includes(seatBackendLabel)) {
                     slotEl.classList.add('occupied');
@@ -309,6 +473,11 @@ async function selectSeat(seatLabel, seatElement) {
         return;
     }
 
+    if (rebookBooking && selectedSeats.length >= 1) {
+        notify('warning', 'A booking moves to one seat. Deselect your current choice first.');
+        return;
+    }
+
     // Lock seat on backend and add to selected set.
     try {
         const lockRes = await fetch(`${BOOKINGS_API_BASE}/bus/${busData.id}/lock-seat`, {
@@ -320,7 +489,7 @@ async function selectSeat(seatLabel, seatElement) {
                 lockId: lockSessionId || null
             })
         });
-        if (!lockRes.ok) throw new Error('Failed to lock seat');
+        if (!lockRes.ok) throw apiError(lockRes, await lockRes.json().catch(() => ({})), 'Failed to lock seat');
         const { lock_id, trip_id } = await lockRes.json();
         lockSessionId = lock_id || lockSessionId;
         if (trip_id && !currentTripId) currentTripId = Number(trip_id);
@@ -331,7 +500,8 @@ async function selectSeat(seatLabel, seatElement) {
         updatePrice();
         resetLockExpiryTimer();
     } catch (err) {
-        notify('error', 'Could not lock seat. Try again.');
+        if (err.status === 429) notifyRequestFailed('', err);
+        else notify('error', 'Could not lock seat. Try again.');
         seatElement.classList.remove('selected');
         renderBusMap(true).catch(() => {});
     }
@@ -354,13 +524,69 @@ async function unlockSeatSelection(seatLabel) {
     }
 }
 
-function updatePrice() {
-    if (selectedSeats.length && pricePerSeat > 0) {
-        const total = pricePerSeat * selectedSeats.length;
-        document.getElementById('total-price').textContent = `GHS ${total.toFixed(2)}`;
-    } else {
-        document.getElementById('total-price').textContent = 'GHS 0.00';
+// Totals come from the worker's quote; the local per-seat price is only a placeholder until it answers.
+async function updatePrice(announcePromo = false) {
+    const totalEl = document.getElementById('total-price');
+    if (!selectedSeats.length) {
+        currentQuote = null;
+        totalEl.textContent = 'GHS 0.00';
+        return;
+    }
+
+    const requestId = ++quoteRequestId;
+    const estimate = selectedSeats.reduce((sum, seat) => sum + Number(classPrices[seatClasses[seat] || 'standard'] ?? pricePerSeat), 0);
+    totalEl.textContent = `GHS ${estimate.toFixed(2)}`;
+    try {
+        const res = await fetch(`${BOOKINGS_API_BASE}/booking/quote`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                // Per-customer promo limits are counted against the signed-in account.
+                'Authorization': `Bearer ${getAuthToken()}`
+            },
+            body: JSON.stringify({
+                busId: busData.id,
+                tripId: currentTripId || null,
+                seats: [...selectedSeats],
+                promoCode: appliedPromoCode || null
+            })
+        });
+        const quote = await res.json();
+        if (!res.ok) throw new Error(quote.error || 'Failed to get fare');
+        if (requestId !== quoteRequestId) return;
+        applyQuote(quote);
+        if (quote.promoError && appliedPromoCode) {
+            appliedPromoCode = '';
+            notify('warning', quote.promoError);
+        } else if (announcePromo && quote.promo) {
+            notify('success', `Promo ${quote.promo.code} applied: -GHS ${Number(quote.promo.discount).toFixed(2)}`);
+        }
+    } catch (err) {
+        if (requestId !== quoteRequestId) return;
+        currentQuote = null;
+        notify('error', 'Could not calculate fare. Please try again.');
+    }
+}
+
+async function applyPromoCode() {
+    const input = document.getElementById('promo-code');
+    const code = input.value.trim().toUpperCase();
+    input.value = code;
+    appliedPromoCode = code;
+    if (!selectedSeats.length) {
+        if (code) notify('info', 'Promo code will be applied once you pick your seat(s).');
+        return;
     }
+    await updatePrice(Boolean(code));
+}
+
+function applyQuote(quote) {
+    currentQuote = quote;
+    pricePerSeat = Number(quote.unitPrice || pricePerSeat);
+    document.getElementById('seat-price').textContent = `GHS ${pricePerSeat.toFixed(2)}`;
+    const savings = [quote.fareRule?.name, quote.promo?.code].filter(Boolean);
+    const discountText = quote.discount > 0 && savings.length ? ` (${savings.join(' + ')}: -GHS ${Number(quote.discount).toFixed(2)})` : '';
+    document.getElementById('total-price').textContent = `GHS ${Number(quote.total).toFixed(2)}${discountText}`;
 }
 
 async function handleBookingSubmit(e) {
@@ -376,8 +602,21 @@ async function handleBookingSubmit(e) {
         return;
     }
 
+    if (rebookBooking) {
+        await handleRebookSubmit();
+        return;
+    }
+
+    if (!currentQuote || currentQuote.seatCount !== selectedSeats.length) {
+        await updatePrice();
+    }
+    if (!currentQuote) {
+        notify('error', 'Could not calculate fare. Please try again.');
+        return;
+    }
+
     // Collect form data
-    const totalPrice = pricePerSeat * selectedSeats.length;
+    const totalPrice = Number(currentQuote.total);
     const formData = {
         firstName: document.getElementById('first-name').value,
         lastName: document.getElementById('last-name').value,
@@ -388,41 +627,302 @@ async function handleBookingSubmit(e) {
         seats: [...selectedSeats],
         busId: busData.id,
         price: totalPrice,
-        unitPrice: pricePerSeat,
         lockId: lockSessionId
     };
     if (currentTripId) formData.tripId = currentTripId;
+    if (currentQuote.promo) formData.promoCode = currentQuote.promo.code;
 
     if (!formData.firstName || !formData.lastName || !formData.email || !formData.phone) {
         notify('warning', 'Please fill in all required fields.');
         return;
     }
 
-    // Trigger Paystack payment
-    initiatePaystackPayment(formData);
-}
+    const passengers = collectSeatPassengers(formData);
+    if (!passengers) return;
+    if (passengers.length) formData.passengers = passengers;
+
+    if (selectedPaymentMethod() === 'momo' && !document.getElementById('momo-phone').value.trim()) {
+        notify('warning', 'Please enter your mobile money number.');
+        return;
+    }
 
-function initiatePaystackPayment(formData) {
-    if (!validatePaystackConfig()) {
+    if (!Number.isFinite(formData.price) || formData.price <= 0) {
+        notify('error', 'Invalid fare amount. Please reselect the trip.');
         return;
     }
 
-    if (!Number.isFinite(formData.price) || formData.price <= 0) {
-        notify('error', 'Invalid fare amount. Please reselect the trip.');
+    // Register the pending booking first so the webhook can complete it even if this tab closes.
+    const checkout = await startCheckout(formData);
+    if (!checkout) return;
+
+    // Seats are now held server-side for the whole checkout window.
+    clearLockExpiryTimer();
+
+    // Hand over to the payment gateway the worker opened the checkout with
+    startPayment(formData, checkout);
+}
+
+function applyRebookMode() {
+    const submitBtn = document.querySelector('#bookingForm button[type="submit"]');
+    if (submitBtn) submitBtn.textContent = `Move Booking ELITE-${rebookBooking.id}`;
+    // Passenger details stay those of the original booking.
+    ['first-name', 'last-name', 'email', 'phone', 'nok-name', 'nok-phone'].forEach((id) => {
+        const input = document.getElementById(id);
+        if (!input) return;
+        input.required = false;
+        input.closest('.input-group').style.display = 'none';
+    });
+    // Promo codes only apply to new bookings.
+    document.getElementById('promo-group').style.display = 'none';
+    // Back stays in the move to pick another trip; the extra button leaves it.
+    const backLink = document.querySelector('.btn-back');
+    if (backLink) {
+        backLink.href = `routes.html?rebook=${rebookBooking.id}`;
+        backLink.insertAdjacentHTML('afterend', '<button type="button" id="exit-rebook" class="btn-back" style="margin-left:8px;cursor:pointer;">Keep my current booking</button>');
+        document.getElementById('exit-rebook').addEventListener('click', exitRebookMode);
+    }
+    notify('info', `Moving booking ELITE-${rebookBooking.id} (${rebookBooking.routeName}, seat ${rebookBooking.seat}). Pick one seat.`, 5000);
+}
+
+async function exitRebookMode() {
+    sessionStorage.removeItem('rebookBooking');
+    for (const seat of selectedSeats) {
+        await unlockSeatSelection(seat);
+    }
+    window.location.href = 'profile.html';
+}
+
+async function handleRebookSubmit() {
+    if (selectedSeats.length !== 1) {
+        notify('warning', 'Please select exactly one seat.');
         return;
     }
 
+    try {
+        const res = await fetch(`${BOOKINGS_API_BASE}/user/bookings/${rebookBooking.id}/rebook`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${getAuthToken()}`
+            },
+            body: JSON.stringify({
+                busId: busData.id,
+                tripId: currentTripId || null,
+                seat: selectedSeats[0],
+                lockId: lockSessionId
+            })
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Could not move booking');
+
+        if (data.status === 'payment_required') {
+            clearLockExpiryTimer();
+            notify('info', `This trip costs GHS ${Number(data.fare_difference).toFixed(2)} more. Complete payment to move your booking.`, 5000);
+            // Paystack needs the email the checkout was opened with; phone accounts have none of their own.
+            startPayment({ email: data.email || getCurrentUser()?.email }, data);
+            return;
+        }
+
+        sessionStorage.removeItem('rebookBooking');
+        selectedSeats = [];
+        lockSessionId = null;
+        clearLockExpiryTimer();
+        updateSelectionDisplay();
+        updatePrice();
+        if (data.refund && (data.refund.status === 'pending' || data.refund.status === 'processed')) {
+            notify('success', `GHS ${Number(data.refund.amount).toFixed(2)} fare difference is being refunded.`, 5000);
+        }
+        displayReceipt(data);
+    } catch (err) {
+        notify('error', 'Rebooking failed: ' + err.message);
+    }
+}
+
+async function startCheckout(formData) {
+    try {
+        const res = await fetch(`${BOOKINGS_API_BASE}/booking/initialize`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                // The worker checks the account's email verification when REQUIRE_VERIFIED_EMAIL is on,
+                // and counts per-customer promo limits against the account.
+                'Authorization': `Bearer ${getAuthToken()}`
+            },
+            body: JSON.stringify(formData)
+        });
+        const data = await res.json();
+        if (res.status === 409 && data.quote) {
+            // Fare changed since the page quoted it; show the new total and let the customer resubmit.
+            applyQuote(data.quote);
+        }
+        if (!res.ok) throw new Error(data.error || 'Could not start checkout');
+        return data;
+    } catch (err) {
+        notify('error', 'Could not start checkout: ' + err.message);
+        return null;
+    }
+}
+
+function selectedPaymentMethod() {
+    return document.querySelector('input[name="payment_method"]:checked')?.value || 'online';
+}
+
+function updatePaymentMethod() {
+    const momo = selectedPaymentMethod() === 'momo';
+    document.getElementById('momo-fields').style.display = momo ? 'block' : 'none';
+    const momoPhone = document.getElementById('momo-phone');
+    if (momo && !momoPhone.value) momoPhone.value = document.getElementById('phone').value;
+    const submitBtn = document.querySelector('#bookingForm button[type="submit"]');
+    if (submitBtn && !rebookBooking) {
+        submitBtn.textContent = momo ? 'Book Now (Pay with Mobile Money)' : 'Book Now (Pay Online)';
+    }
+}
+
+function startPayment(formData, checkout) {
+    if (selectedPaymentMethod() === 'momo') {
+        startMomoPayment(checkout);
+        return;
+    }
+    const payment = checkout.payment || {};
+    if (payment.mode === 'redirect' && payment.checkoutUrl) {
+        // Hosted checkout page (Flutterwave); it sends the customer back with ?payment_ref=.
+        window.location.href = payment.checkoutUrl;
+        return;
+    }
+    if (payment.mode === 'fake') {
+        initiateFakePayment(checkout);
+        return;
+    }
+    payment.publicKey = payment.publicKey || PAYSTACK_KEY;
+    if (!validatePaystackConfig(payment.publicKey)) return;
+    initiatePaystackPayment(formData, checkout);
+}
+
+// Test deployments (PAYMENT_PROVIDER=fake) settle the checkout without a real gateway.
+async function initiateFakePayment(checkout) {
+    const approve = window.confirm(`Test payment of GHS ${(checkout.amount_kobo / 100).toFixed(2)}. Approve it?`);
+    try {
+        const res = await fetch(`${BOOKINGS_API_BASE}/payments/fake/pay`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ reference: checkout.reference, outcome: approve ? 'success' : 'failed' })
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Test payment failed');
+        if (!approve) {
+            notify('info', 'Test payment declined.');
+            return;
+        }
+        await confirmBookingWithBackend(checkout.reference);
+    } catch (err) {
+        notify('error', 'Payment failed: ' + err.message);
+    }
+}
+
+function showMomoStatus(message, askOtp = false) {
+    document.getElementById('momo-status').style.display = 'block';
+    document.getElementById('momo-message').textContent = message;
+    document.getElementById('momo-otp-row').style.display = askOtp ? 'flex' : 'none';
+}
+
+function hideMomoStatus() {
+    document.getElementById('momo-status').style.display = 'none';
+    document.getElementById('momo-otp').value = '';
+}
+
+// Mobile money without the popup: the worker starts a Paystack charge on the customer's
+// number, then the page collects an OTP or waits for approval on the phone.
+async function startMomoPayment(checkout) {
+    momoReference = checkout.reference;
+    showMomoStatus('Sending the payment request to your phone...');
+    try {
+        const res = await fetch(`${BOOKINGS_API_BASE}/booking/momo/charge`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                reference: checkout.reference,
+                phone: document.getElementById('momo-phone').value.trim(),
+                provider: document.getElementById('momo-provider').value
+            })
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Could not start mobile money payment');
+        await handleMomoChargeState(data);
+    } catch (err) {
+        hideMomoStatus();
+        notify('error', 'Mobile money payment failed: ' + err.message);
+    }
+}
+
+async function submitMomoOtp() {
+    const otp = document.getElementById('momo-otp').value.trim();
+    if (!momoReference || !otp) {
+        notify('warning', 'Enter the code sent to your phone.');
+        return;
+    }
+    try {
+        showMomoStatus('Checking your code...');
+        const res = await fetch(`${BOOKINGS_API_BASE}/booking/momo/otp`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ reference: momoReference, otp })
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Could not submit code');
+        await handleMomoChargeState(data);
+    } catch (err) {
+        hideMomoStatus();
+        notify('error', 'Mobile money payment failed: ' + err.message);
+    }
+}
+
+async function handleMomoChargeState(charge) {
+    if (charge.status === 'success') {
+        hideMomoStatus();
+        await confirmBookingWithBackend(momoReference);
+        return;
+    }
+    if (charge.status === 'otp') {
+        showMomoStatus(charge.message || 'Enter the code sent to your phone.', true);
+        return;
+    }
+    if (charge.status === 'pending') {
+        showMomoStatus(charge.message || 'Approve the payment on your phone.');
+        await pollMomoStatus(momoReference);
+        return;
+    }
+    throw new Error(charge.message || 'Payment was declined');
+}
+
+async function pollMomoStatus(reference) {
+    for (let i = 0; i < MOMO_POLL_ATTEMPTS; i++) {
+        await new Promise((resolve) => setTimeout(resolve, MOMO_POLL_INTERVAL_MS));
+        if (reference !== momoReference) return; // a newer charge took over
+        const res = await fetch(`${BOOKINGS_API_BASE}/booking/momo/status?reference=${encodeURIComponent(reference)}`, { cache: 'no-store' });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to check payment status');
+        if (data.status === 'pending') {
+            if (data.message) showMomoStatus(data.message);
+            continue;
+        }
+        await handleMomoChargeState(data);
+        return;
+    }
+    throw new Error('Still waiting for approval. If you approved the payment, you will get an SMS once your booking is confirmed.');
+}
+
+function initiatePaystackPayment(formData, checkout) {
     const onPaymentSuccess = (response) => {
         // Payment successful, confirm booking on backend
-        confirmBookingWithBackend(formData, response.reference);
+        confirmBookingWithBackend(response.reference || checkout.reference);
     };
 
     const handler = PaystackPop.setup({
-        key: PAYSTACK_KEY,
+        key: checkout.payment.publicKey,
         email: formData.email,
-        amount: Math.round(formData.price * 100), // Paystack expects minor units
+        amount: checkout.amount_kobo, // Paystack expects minor units
         currency: PAYSTACK_CURRENCY,
-        ref: `ELITE-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+        ref: checkout.reference,
         onClose: () => {
             notify('info', 'Payment window closed.');
         },
@@ -434,27 +934,12 @@ function initiatePaystackPayment(formData) {
     handler.openIframe();
 }
 
-async function confirmBookingWithBackend(formData, paystackRef) {
+async function confirmBookingWithBackend(reference) {
     try {
         const confirmRes = await fetch(`${BOOKINGS_API_BASE}/booking/confirm`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                firstName: formData.firstName,
-                lastName: formData.lastName,
-                email: formData.email,
-                phone: formData.phone,
-                nokName: formData.nokName,
-                nokPhone: formData.nokPhone,
-                seat: formData.seats?.[0] || null,
-                seats: formData.seats || [],
-                busId: formData.busId,
-                price: formData.price,
-                unitPrice: formData.unitPrice,
-                lockId: formData.lockId,
-                tripId: formData.tripId || null,
-                paystackRef: paystackRef
-            })
+            body: JSON.stringify({ reference })
         });
 
         if (!confirmRes.ok) {
@@ -462,7 +947,10 @@ async function confirmBookingWithBackend(formData, paystackRef) {
             throw new Error(errData.error || 'Failed to confirm booking');
         }
 
-        const bookingConfirm = await confirmRes.json();
+        // 202: the webhook is finishing this booking right now; wait for it.
+        const bookingConfirm = confirmRes.status === 202
+            ? await waitForBookingCompletion(reference)
+            : await confirmRes.json();
 
         // Immediately refresh seat map so confirmed seat shows as occupied on this page.
         selectedSeats = [];
@@ -478,10 +966,23 @@ async function confirmBookingWithBackend(formData, paystackRef) {
         // Optionally clear sessionStorage
         sessionStorage.removeItem('selectedRoute');
         sessionStorage.removeItem('selectedBus');
+        sessionStorage.removeItem('rebookBooking');
     } catch (err) {
         notify('error', 'Booking confirmation failed: ' + err.message);
     }
 }
+
+async function waitForBookingCompletion(reference, attempts = 10) {
+    for (let i = 0; i < attempts; i++) {
+        await new Promise((resolve) => setTimeout(resolve, 2000));
+        const res = await fetch(`${BOOKINGS_API_BASE}/booking/status?reference=${encodeURIComponent(reference)}`, { cache: 'no-store' });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to check booking status');
+        if (data.status === 'completed' && data.booking) return data.booking;
+        if (data.status === 'failed') throw new Error(data.failure_reason || 'Booking failed');
+    }
+    throw new Error('Payment received; your booking is still being finalised. You will get an SMS shortly.');
+}
 
 function displayReceipt(bookingData) {
     const seatText = Array.isArray(bookingData.seats) && bookingData.seats.length
@@ -492,9 +993,27 @@ function displayReceipt(bookingData) {
         ? `<a href="${bookingData.receipt_url}" target="_blank" rel="noopener noreferrer" class="btn-primary btn-full" style="width:100%;padding:12px;border:none;cursor:pointer;margin-bottom:10px;text-align:center;display:inline-block;">Download PDF Receipt</a>`
         : '';
 
+    const tickets = Array.isArray(bookingData.tickets) ? bookingData.tickets : [];
+    const ticketsHTML = tickets.length
+        ? `
+                <div style="margin-bottom:20px;">
+                    <div style="font-weight:700;margin-bottom:10px;">Boarding ticket${tickets.length > 1 ? 's' : ''}</div>
+                    <div style="display:flex;flex-wrap:wrap;gap:15px;justify-content:center;">
+                        ${tickets.map((t, i) => `
+                            <div style="text-align:center;">
+                                <div id="ticket-qr-${i}" style="display:inline-block;padding:8px;background:white;border:1px solid #ddd;border-radius:8px;word-break:break-all;max-width:160px;font-size:0.7rem;"></div>
+                                <div style="font-size:0.85rem;margin-top:5px;">${t.booking_id}${t.seat ? ` &middot; Seat ${t.seat}` : ''}</div>
+                            </div>
+                        `).join('')}
+                    </div>
+                    <div style="color:var(--text-muted);font-size:0.85rem;margin-top:8px;text-align:center;">Show this code to the conductor when boarding. It is also in your profile.</div>
+                </div>
+            `
+        : '';
+
     const receiptHTML = `
-        <div style="position:fixed;top:0;left:0;width:100%;height:100%;background:rgba(0,0,0,0.7);display:flex;align-items:center;justify-content:center;z-index:9999;">
-            <div style="background:white;padding:40px;border-radius:12px;max-width:500px;box-shadow:0 20px 60px rgba(0,0,0,0.3);">
+        <div style="position:fixed;top:0;left:0;width:100%;height:100%;background:rgba(0,0,0,0.7);display:flex;align-items:center;justify-content:center;z-index:9999;overflow-y:auto;">
+            <div style="background:white;padding:40px;border-radius:12px;max-width:500px;max-height:95vh;overflow-y:auto;box-shadow:0 20px 60px rgba(0,0,0,0.3);">
                 <div style="text-align:center;margin-bottom:30px;">
                     <i class="fa-solid fa-check-circle" style="font-size:3rem;color:var(--brand-dark);"></i>
                     <h2 style="color:var(--brand-dark);margin-top:15px;">Booking Confirmed!</h2>
@@ -529,6 +1048,7 @@ function displayReceipt(bookingData) {
                     <strong>âœ“ SMS confirmation sent to ${bookingData.phone}</strong>
                     <div style="color:var(--text-muted);margin-top:5px;">Your receipt has been sent. Please keep it for your reference.</div>
                 </div>
+                ${ticketsHTML}
                 ${receiptButton}
                 <button onclick="window.location.href='routes.html'" class="btn-primary btn-full" style="width:100%;padding:15px;border:none;cursor:pointer;">Back to Routes</button>
             </div>
@@ -536,6 +1056,20 @@ function displayReceipt(bookingData) {
     `;
     
     document.body.insertAdjacentHTML('beforeend', receiptHTML);
+    renderTicketQrCodes(tickets);
+}
+
+// Draws each signed ticket code into its placeholder; conductors scan these at boarding.
+function renderTicketQrCodes(tickets) {
+    tickets.forEach((ticket, index) => {
+        const target = document.getElementById(`ticket-qr-${index}`);
+        if (!target) return;
+        if (typeof QRCode === 'undefined') {
+            target.textContent = ticket.code;
+            return;
+        }
+        new QRCode(target, { text: ticket.code, width: 140, height: 140 });
+    });
 }
 
 
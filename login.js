@@ -1,5 +1,5 @@
 // login.js
-// Handles Google OAuth authentication and email/password sign in/up
+// Handles Google OAuth authentication, email/password sign in/up and phone code sign-in
 
 const API_BASE = 'https://realeliteweb-app.elitetransportghana.workers.dev/api'; // Update to your Worker URL
 const GOOGLE_CLIENT_ID = '966183405136-720qmqdk4g5o0vc8ifnrp9anvqedfo68.apps.googleusercontent.com'; // Replace with your Client ID
@@ -17,29 +17,45 @@ function notify(type, message, duration = 3000) {
     }
     console[type === 'error' ? 'error' : 'log'](message);
 }
+
+// The worker answers 429 when requests are rate limited or an account is locked; the error
+// keeps the status so the message can be shown as a wait rather than a failure.
+function apiError(response, result, fallback) {
+    const err = new Error(result?.error || fallback);
+    err.status = response.status;
+    return err;
+}
+
+// Rate-limit messages already say how long to wait, so they are shown on their own and for longer.
+function notifyRequestFailed(prefix, err) {
+    if (err.status === 429) {
+        notify('warning', String(err.message).replace(/^Error:\s*/, ''), 8000);
+        return;
+    }
+    notify('error', prefix + err.message);
+}
+
+// bookings.js stashes a waitlist hold token when it sends a signed-out customer here.
+function postLoginDestination() {
+    const holdToken = sessionStorage.getItem('pendingWaitlistHold');
+    if (!holdToken) return 'routes.html';
+    sessionStorage.removeItem('pendingWaitlistHold');
+    return `bookings.html?hold=${encodeURIComponent(holdToken)}`;
+}
 
 // Tab switching
 function switchTab(tab) {
     currentTab = tab;
-    const signInContent = document.getElementById('sign-in-content');
-    const signUpContent = document.getElementById('sign-up-content');
-    const tabs = document.querySelectorAll('.tab-btn');
-
-    if (tab === 'sign-in') {
-        signInContent.style.display = 'block';
-        signUpContent.style.display = 'none';
-        tabs[0].style.color = 'var(--brand-dark)';
-        tabs[0].style.borderBottom = '3px solid var(--brand-dark)';
-        tabs[1].style.color = 'var(--text-muted)';
-        tabs[1].style.borderBottom = '2px solid #eee';
-    } else {
-        signInContent.style.display = 'none';
-        signUpContent.style.display = 'block';
-        tabs[0].style.color = 'var(--text-muted)';
-        tabs[0].style.borderBottom = '2px solid #eee';
-        tabs[1].style.color = 'var(--brand-dark)';
-        tabs[1].style.borderBottom = '3px solid var(--brand-dark)';
-    }
+    document.getElementById('sign-in-content').style.display = tab === 'sign-in' ? 'block' : 'none';
+    document.getElementById('sign-up-content').style.display = tab === 'sign-up' ? 'block' : 'none';
+    document.getElementById('phone-content').style.display = tab === 'phone' ? 'block' : 'none';
+    document.getElementById('forgot-content').style.display = 'none';
+
+    document.querySelectorAll('.tab-btn').forEach((btn) => {
+        const active = btn.dataset.tab === tab;
+        btn.style.color = active ? 'var(--brand-dark)' : 'var(--text-muted)';
+        btn.style.borderBottom = active ? '3px solid var(--brand-dark)' : '2px solid #eee';
+    });
 }
 
 function initGoogleButtonsWithRetry(attempt = 0) {
@@ -101,24 +117,67 @@ document.addEventListener('DOMContentLoaded', () => {
     // Attach form handlers
     document.getElementById('signInForm').addEventListener('submit', handleEmailSignIn);
     document.getElementById('signUpForm').addEventListener('submit', handleEmailSignUp);
+    document.getElementById('forgotRequestForm').addEventListener('submit', handleForgotPasswordRequest);
+    document.getElementById('forgotResetForm').addEventListener('submit', handlePasswordReset);
+    document.getElementById('forgot-password-link').addEventListener('click', (e) => {
+        e.preventDefault();
+        showForgotPassword();
+    });
+    document.getElementById('forgot-resend-link').addEventListener('click', (e) => {
+        e.preventDefault();
+        showForgotPassword(document.getElementById('forgot-identifier').value);
+    });
+    document.getElementById('forgot-back-link').addEventListener('click', (e) => {
+        e.preventDefault();
+        switchTab('sign-in');
+    });
+    document.getElementById('phoneStartForm').addEventListener('submit', handlePhoneStart);
+    document.getElementById('phoneVerifyForm').addEventListener('submit', handlePhoneVerify);
+    document.getElementById('phone-new-account').addEventListener('change', (e) => {
+        document.getElementById('phone-name-fields').style.display = e.target.checked ? 'block' : 'none';
+    });
+    document.getElementById('phone-change-link').addEventListener('click', (e) => {
+        e.preventDefault();
+        document.getElementById('phoneVerifyForm').style.display = 'none';
+        document.getElementById('phoneStartForm').style.display = 'block';
+    });
+
+    // Link from the verification email: login.html?verify_email=<email>&code=<code>
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('verify_email') && params.get('code')) {
+        verifyEmailFromLink(params.get('verify_email'), params.get('code'));
+    }
 });
+
+async function verifyEmailFromLink(email, code) {
+    window.history.replaceState(null, '', window.location.pathname);
+    try {
+        const response = await fetch(`${API_BASE}/auth/email/verify`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ email, code })
+        });
+        const result = await response.json();
+        if (!response.ok) throw apiError(response, result, 'Verification failed');
+
+        const user = getCurrentUser();
+        if (user && String(user.email).toLowerCase() === String(result.email).toLowerCase()) {
+            localStorage.setItem('user', JSON.stringify({ ...user, verified: true }));
+        }
+        document.getElementById('signin-email').value = result.email || '';
+        notify('success', 'Email address verified. You can sign in now.', 5000);
+    } catch (err) {
+        notifyRequestFailed('Email verification failed: ', err);
+    }
+}
 
 // Google OAuth Callback
 function handleGoogleSignInResponse(response) {
-    const token = response.credential;
-    
-    // Decode JWT (Google ID token) to extract user info
-    const parts = token.split('.');
-    const payload = JSON.parse(atob(parts[1]));
-    
+    // The worker verifies the raw credential and reads the identity from it;
+    // nothing decoded here is trusted server-side.
     const userData = {
-        googleId: payload.sub,
-        email: payload.email,
-        firstName: payload.given_name || '',
-        lastName: payload.family_name || '',
-        picture: payload.picture,
         authMethod: 'google',
-        idToken: token
+        idToken: response.credential
     };
 
     // Sign in should not ask for contact details again.
@@ -236,11 +295,7 @@ async function authenticateWithGoogle(userData) {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({
-                googleId: userData.googleId,
-                email: userData.email,
-                firstName: userData.firstName,
-                lastName: userData.lastName,
-                picture: userData.picture,
+                idToken: userData.idToken,
                 phone: userData.phone || null,
                 nokName: userData.nokName || null,
                 nokPhone: userData.nokPhone || null,
@@ -259,8 +314,8 @@ async function authenticateWithGoogle(userData) {
         localStorage.setItem('authToken', result.token);
         localStorage.setItem('user', JSON.stringify(result.user));
         
-        // Redirect to routes page
-        window.location.href = 'routes.html';
+        // Redirect to routes page (or back to a waitlist seat hold)
+        window.location.href = postLoginDestination();
     } catch (err) {
         // Close modal on error
         const modal = document.getElementById('google-contact-modal');
@@ -290,7 +345,7 @@ async function handleEmailSignIn(e) {
 
         if (!response.ok) {
             const error = await response.json();
-            throw new Error(error.error || 'Sign in failed');
+            throw apiError(response, error, 'Sign in failed');
         }
 
         const result = await response.json();
@@ -299,10 +354,10 @@ async function handleEmailSignIn(e) {
         localStorage.setItem('authToken', result.token);
         localStorage.setItem('user', JSON.stringify(result.user));
         
-        // Redirect to routes page
-        window.location.href = 'routes.html';
+        // Redirect to routes page (or back to a waitlist seat hold)
+        window.location.href = postLoginDestination();
     } catch (err) {
-        notify('error', 'Sign in failed: ' + err.message);
+        notifyRequestFailed('Sign in failed: ', err);
     }
 }
 
@@ -341,7 +396,7 @@ async function handleEmailSignUp(e) {
 
         if (!response.ok) {
             const error = await response.json();
-            throw new Error(error.error || 'Sign up failed');
+            throw apiError(response, error, 'Sign up failed');
         }
 
         const result = await response.json();
@@ -350,13 +405,179 @@ async function handleEmailSignUp(e) {
         localStorage.setItem('authToken', result.token);
         localStorage.setItem('user', JSON.stringify(result.user));
         
-        // Redirect to routes page
-        window.location.href = 'routes.html';
+        // Redirect to routes page (or back to a waitlist seat hold)
+        window.location.href = postLoginDestination();
     } catch (err) {
-        notify('error', 'Sign up failed: ' + err.message);
+        notifyRequestFailed('Sign up failed: ', err);
     }
 }
 
+// Phone sign in: text a code, then trade it for a session like the other sign-in methods.
+async function handlePhoneStart(e) {
+    e.preventDefault();
+
+    const phone = document.getElementById('phone-number').value.trim();
+    const isNew = document.getElementById('phone-new-account').checked;
+    const firstName = document.getElementById('phone-first-name').value.trim();
+    const lastName = document.getElementById('phone-last-name').value.trim();
+
+    if (!phone) {
+        notify('warning', 'Please enter your phone number.');
+        return;
+    }
+    if (isNew && (!firstName || !lastName)) {
+        notify('warning', 'Please enter your first and last name.');
+        return;
+    }
+
+    try {
+        const response = await fetch(`${API_BASE}/auth/phone/start`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                phone,
+                mode: isNew ? 'signup' : 'signin',
+                firstName: isNew ? firstName : undefined,
+                lastName: isNew ? lastName : undefined
+            })
+        });
+
+        const result = await response.json();
+        if (!response.ok) throw apiError(response, result, 'Could not send code');
+
+        document.getElementById('phone-sent-message').textContent =
+            `We texted a code to ${result.phone}. It expires in ${result.expiresInMinutes} minutes.`;
+        document.getElementById('phoneStartForm').style.display = 'none';
+        document.getElementById('phoneVerifyForm').style.display = 'block';
+        document.getElementById('phone-code').value = '';
+        document.getElementById('phone-code').focus();
+    } catch (err) {
+        notifyRequestFailed('Could not send code: ', err);
+    }
+}
+
+async function handlePhoneVerify(e) {
+    e.preventDefault();
+
+    const phone = document.getElementById('phone-number').value.trim();
+    const code = document.getElementById('phone-code').value.trim();
+    if (!code) {
+        notify('warning', 'Please enter the code we texted you.');
+        return;
+    }
+
+    try {
+        const response = await fetch(`${API_BASE}/auth/phone/verify`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ phone, code })
+        });
+
+        if (!response.ok) {
+            const error = await response.json();
+            throw apiError(response, error, 'Sign in failed');
+        }
+
+        const result = await response.json();
+
+        // Store auth token and user data
+        localStorage.setItem('authToken', result.token);
+        localStorage.setItem('user', JSON.stringify(result.user));
+
+        // Redirect to routes page (or back to a waitlist seat hold)
+        window.location.href = postLoginDestination();
+    } catch (err) {
+        notifyRequestFailed('Sign in failed: ', err);
+    }
+}
+
+// Forgot password: step one asks for the account and a channel, step two takes the code.
+function showForgotPassword(identifier) {
+    document.getElementById('sign-in-content').style.display = 'none';
+    document.getElementById('sign-up-content').style.display = 'none';
+    document.getElementById('forgot-content').style.display = 'block';
+    document.getElementById('forgotRequestForm').style.display = 'block';
+    document.getElementById('forgotResetForm').style.display = 'none';
+    const identifierInput = document.getElementById('forgot-identifier');
+    identifierInput.value = identifier || document.getElementById('signin-email').value || '';
+    identifierInput.focus();
+}
+
+async function handleForgotPasswordRequest(e) {
+    e.preventDefault();
+
+    const identifier = document.getElementById('forgot-identifier').value.trim();
+    const channel = document.querySelector('input[name="forgot-channel"]:checked')?.value || 'email';
+    if (!identifier) {
+        notify('warning', 'Enter your email address or phone number.');
+        return;
+    }
+
+    try {
+        const response = await fetch(`${API_BASE}/auth/password/forgot`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ identifier, channel })
+        });
+
+        const result = await response.json();
+        if (!response.ok) throw apiError(response, result, 'Could not send reset code');
+
+        const via = result.channel === 'sms' ? 'by SMS to the phone number' : 'to the email address';
+        document.getElementById('forgot-sent-message').textContent =
+            `If an account matches, a code has been sent ${via} on it. It expires in ${result.expiresInMinutes} minutes.`;
+        document.getElementById('forgotRequestForm').style.display = 'none';
+        document.getElementById('forgotResetForm').style.display = 'block';
+        document.getElementById('forgot-code').focus();
+    } catch (err) {
+        notifyRequestFailed('Could not send reset code: ', err);
+    }
+}
+
+async function handlePasswordReset(e) {
+    e.preventDefault();
+
+    const identifier = document.getElementById('forgot-identifier').value.trim();
+    const code = document.getElementById('forgot-code').value.trim();
+    const password = document.getElementById('forgot-password').value;
+    const confirmPassword = document.getElementById('forgot-password-confirm').value;
+
+    if (!code || !password) {
+        notify('warning', 'Please fill in all fields.');
+        return;
+    }
+    if (password.length < 6) {
+        notify('warning', 'Password must be at least 6 characters.');
+        return;
+    }
+    if (password !== confirmPassword) {
+        notify('warning', 'Passwords do not match.');
+        return;
+    }
+
+    try {
+        const response = await fetch(`${API_BASE}/auth/password/reset`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ identifier, code, password })
+        });
+
+        const result = await response.json();
+        if (!response.ok) throw apiError(response, result, 'Password reset failed');
+
+        // Every session was signed out, including any on this browser.
+        localStorage.removeItem('authToken');
+        localStorage.removeItem('user');
+        document.getElementById('forgotResetForm').reset();
+        switchTab('sign-in');
+        document.getElementById('signin-email').value = result.email || '';
+        document.getElementById('signin-password').focus();
+        notify('success', 'Password updated. Sign in with your new password.', 5000);
+    } catch (err) {
+        notifyRequestFailed('Password reset failed: ', err);
+    }
+}
+
 // Check if user is logged in
 function getCurrentUser() {
     const token = localStorage.getItem('authToken');
@@ -369,7 +590,14 @@ function getCurrentUser() {
 }
 
 // Logout
-function logout() {
+async function logout() {
+    const token = localStorage.getItem('authToken');
+    if (token) {
+        await fetch(`${API_BASE}/auth/logout`, {
+            method: 'POST',
+            headers: { 'Authorization': `Bearer ${token}` }
+        }).catch(() => {});
+    }
     localStorage.removeItem('authToken');
     localStorage.removeItem('user');
     window.location.href = 'login.html';
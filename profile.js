@@ -5,9 +5,14 @@ document.addEventListener('DOMContentLoaded', () => {
     requireAuth(); // Require user to be logged in
     loadProfileInfo();
     loadBookingHistory();
+    loadEmailVerification();
+    loadSessions();
     
     document.getElementById('logout-btn').addEventListener('click', logout);
     document.getElementById('refresh-bookings-btn').addEventListener('click', loadBookingHistory);
+    document.getElementById('email-verify-form').addEventListener('submit', submitEmailVerification);
+    document.getElementById('email-verify-resend').addEventListener('click', resendEmailVerification);
+    document.getElementById('revoke-other-sessions-btn').addEventListener('click', revokeOtherSessions);
 });
 
 function loadProfileInfo() {
@@ -30,6 +35,164 @@ function loadProfileInfo() {
     }
 }
 
+// The stored user can predate verification, so ask the worker for the current state.
+async function loadEmailVerification() {
+    try {
+        const response = await fetch(`${API_BASE}/user/profile`, {
+            headers: { 'Authorization': `Bearer ${getAuthToken()}` }
+        });
+        if (!response.ok) return;
+        const data = await response.json();
+        setEmailVerified(!!data.user?.verified);
+    } catch (err) {
+        // Leave the banner hidden; booking still reports it if verification is required.
+    }
+}
+
+function setEmailVerified(verified) {
+    document.getElementById('email-verification').style.display = verified ? 'none' : 'block';
+    const user = getCurrentUser();
+    if (user && user.verified !== verified) {
+        localStorage.setItem('user', JSON.stringify({ ...user, verified }));
+    }
+}
+
+async function submitEmailVerification(e) {
+    e.preventDefault();
+    const code = document.getElementById('email-verify-code').value.trim();
+    if (!code) return;
+
+    try {
+        const response = await fetch(`${API_BASE}/auth/email/verify`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${getAuthToken()}`
+            },
+            body: JSON.stringify({ code })
+        });
+        const data = await response.json();
+        if (!response.ok) throw apiError(response, data, 'Verification failed');
+        setEmailVerified(true);
+        notify('success', 'Email address verified.');
+    } catch (err) {
+        notifyRequestFailed('Verification failed: ', err);
+    }
+}
+
+async function resendEmailVerification() {
+    try {
+        const response = await fetch(`${API_BASE}/auth/email/resend`, {
+            method: 'POST',
+            headers: { 'Authorization': `Bearer ${getAuthToken()}` }
+        });
+        const data = await response.json();
+        if (!response.ok) throw apiError(response, data, 'Could not send code');
+        notify('success', `A new code has been sent to ${data.email}.`);
+    } catch (err) {
+        notifyRequestFailed('Could not send code: ', err);
+    }
+}
+
+// Rough "Browser on OS" label from a user agent; the raw string is kept in the title.
+function describeUserAgent(userAgent) {
+    const ua = String(userAgent || '');
+    if (!ua) return 'Unknown device';
+    const browser = /Edg\//.test(ua) ? 'Edge'
+        : /OPR\//.test(ua) ? 'Opera'
+        : /Chrome\//.test(ua) ? 'Chrome'
+        : /Firefox\//.test(ua) ? 'Firefox'
+        : /Safari\//.test(ua) ? 'Safari'
+        : 'Browser';
+    const os = /Android/.test(ua) ? 'Android'
+        : /iPhone|iPad/.test(ua) ? 'iOS'
+        : /Windows/.test(ua) ? 'Windows'
+        : /Mac OS X/.test(ua) ? 'macOS'
+        : /Linux/.test(ua) ? 'Linux'
+        : 'unknown OS';
+    return `${browser} on ${os}`;
+}
+
+function formatSessionTime(value) {
+    const date = new Date(`${String(value).replace(' ', 'T')}${/Z|[+-]\d\d:?\d\d$/.test(value) ? '' : 'Z'}`);
+    return Number.isNaN(date.getTime()) ? String(value) : date.toLocaleString();
+}
+
+async function loadSessions() {
+    const container = document.getElementById('sessions-list');
+    try {
+        const response = await fetch(`${API_BASE}/user/sessions`, {
+            headers: { 'Authorization': `Bearer ${getAuthToken()}` },
+            cache: 'no-store'
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+
+        const sessions = data.sessions || [];
+        document.getElementById('revoke-other-sessions-btn').style.display = sessions.some((s) => !s.current) ? 'inline-block' : 'none';
+        container.innerHTML = sessions.map((session) => `
+            <div class="booking-row session-row">
+                <div title="${escapeAttr(session.userAgent || '')}">
+                    <strong>${describeUserAgent(session.userAgent)}</strong>
+                    ${session.current ? '<span style="margin-left: 6px; padding: 2px 8px; background: var(--brand-dark); color: white; border-radius: 4px; font-size: 0.75rem;">This device</span>' : ''}
+                </div>
+                <div class="faded">${escapeAttr(session.ip || '-')}</div>
+                <div class="faded">Last active ${formatSessionTime(session.lastSeenAt)}</div>
+                <div>
+                    ${session.current ? '' : `<button class="revoke-session-btn" data-session-id="${session.id}" style="padding: 6px 12px; background: none; color: #d32f2f; border: 1px solid #d32f2f; border-radius: 4px; cursor: pointer; font-weight: 600;">Sign out</button>`}
+                </div>
+            </div>
+        `).join('') || '<div class="faded">No active sessions.</div>';
+
+        container.querySelectorAll('.revoke-session-btn').forEach((btn) => {
+            btn.addEventListener('click', () => revokeSession(btn.dataset.sessionId, btn));
+        });
+    } catch (err) {
+        container.innerHTML = `<div class="faded" style="color: #d32f2f;">Error loading devices: ${err.message}</div>`;
+    }
+}
+
+function escapeAttr(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+async function revokeSession(sessionId, button) {
+    button.disabled = true;
+    try {
+        const response = await fetch(`${API_BASE}/user/sessions/${sessionId}/revoke`, {
+            method: 'POST',
+            headers: { 'Authorization': `Bearer ${getAuthToken()}` }
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Could not sign out device');
+        notify('success', 'Device signed out.');
+        loadSessions();
+    } catch (err) {
+        button.disabled = false;
+        notify('error', 'Could not sign out device: ' + err.message);
+    }
+}
+
+async function revokeOtherSessions() {
+    if (!confirm('Sign out every other device signed in to your account?')) return;
+    try {
+        const response = await fetch(`${API_BASE}/user/sessions/revoke-all`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${getAuthToken()}`
+            },
+            body: JSON.stringify({ includeCurrent: false })
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Could not sign out devices');
+        notify('success', `Signed out ${data.revoked} other device${data.revoked === 1 ? '' : 's'}.`);
+        loadSessions();
+    } catch (err) {
+        notify('error', 'Could not sign out devices: ' + err.message);
+    }
+}
+
 function capitalizeFirst(str) {
     return str.charAt(0).toUpperCase() + str.slice(1);
 }
@@ -67,7 +230,7 @@ async function loadBookingHistory() {
         }
 
         // Display bookings in table format
-        let html = '<div class="booking-row-header"><div>Route</div><div>Bus</div><div>Seat</div><div>Price</div><div>Status</div></div>';
+        let html = '<div class="booking-row-header"><div>Route</div><div>Bus</div><div>Seat</div><div>Price</div><div>Status</div><div></div></div>';
         
         bookings.forEach(booking => {
             const statusColor = booking.status === 'confirmed' ? 'green' : booking.status === 'pending' ? 'orange' : '#ccc';
@@ -80,12 +243,99 @@ async function loadBookingHistory() {
                     <div style="padding: 4px 8px; background-color: ${statusColor}; color: white; border-radius: 4px; text-align: center; font-size: 0.85rem; font-weight: 600;">
                         ${capitalizeFirst(booking.status || 'unknown')}
                     </div>
+                    <div>
+                        ${booking.ticket_code ? `<button class="ticket-booking-btn" data-booking-id="${booking.id}" style="padding: 6px 12px; margin-right: 6px; background: var(--brand-dark); color: white; border: none; border-radius: 4px; cursor: pointer; font-weight: 600;"><i class="fa-solid fa-qrcode"></i> Ticket</button>` : ''}
+                        ${booking.status === 'confirmed' ? `<button class="rebook-booking-btn" data-booking-id="${booking.id}" style="padding: 6px 12px; margin-right: 6px; background: none; color: var(--brand-dark); border: 1px solid var(--brand-dark); border-radius: 4px; cursor: pointer; font-weight: 600;">Change trip</button>` : ''}
+                        ${booking.status === 'confirmed' ? `<button class="cancel-booking-btn" data-booking-id="${booking.id}" style="padding: 6px 12px; background: none; color: #d32f2f; border: 1px solid #d32f2f; border-radius: 4px; cursor: pointer; font-weight: 600;">Cancel</button>` : ''}
+                    </div>
                 </div>
             `;
         });
 
         bookingsContainer.innerHTML = html;
+        bookingsContainer.querySelectorAll('.cancel-booking-btn').forEach((btn) => {
+            btn.addEventListener('click', () => cancelBooking(btn.dataset.bookingId, btn));
+        });
+        bookingsContainer.querySelectorAll('.ticket-booking-btn').forEach((btn) => {
+            const booking = bookings.find((b) => String(b.id) === btn.dataset.bookingId);
+            btn.addEventListener('click', () => showTicket(booking));
+        });
+        bookingsContainer.querySelectorAll('.rebook-booking-btn').forEach((btn) => {
+            const booking = bookings.find((b) => String(b.id) === btn.dataset.bookingId);
+            btn.addEventListener('click', () => startRebook(booking));
+        });
     } catch (err) {
         bookingsContainer.innerHTML = `<div class="faded" style="color: #d32f2f;">Error loading bookings: ${err.message}</div>`;
     }
 }
+
+async function cancelBooking(bookingId, button) {
+    if (!confirm(`Cancel booking ELITE-${bookingId}? Your seat will be released and the fare refunded to your payment method.`)) {
+        return;
+    }
+
+    const token = localStorage.getItem('authToken');
+    button.disabled = true;
+    try {
+        const response = await fetch(`${API_BASE}/user/bookings/${bookingId}/cancel`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${token}`
+            }
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error((data.error || `HTTP ${response.status}`).replace(/^Error:\s*/, ''));
+        }
+
+        const refundStatus = data.refund?.status;
+        notify('success', refundStatus === 'pending' || refundStatus === 'processed'
+            ? `Booking cancelled. Refund of GHS ${Number(data.refund.amount).toFixed(2)} initiated.`
+            : 'Booking cancelled.', 5000);
+        loadBookingHistory();
+    } catch (err) {
+        button.disabled = false;
+        notify('error', 'Cancellation failed: ' + err.message, 5000);
+    }
+}
+
+// Rebooking reuses the normal route -> seat selection pages; bookings.js picks this up.
+function startRebook(booking) {
+    sessionStorage.setItem('rebookBooking', JSON.stringify({
+        id: booking.id,
+        routeName: booking.route_name,
+        seat: booking.seat_number,
+        pricePaid: Number(booking.price_paid || 0)
+    }));
+    notify('info', 'Choose the trip and seat you want to move to.', 4000);
+    window.location.href = `routes.html?rebook=${booking.id}`;
+}
+
+function showTicket(booking) {
+    const existing = document.getElementById('ticket-modal');
+    if (existing) existing.remove();
+
+    const departure = [booking.departure_date, booking.departure_time].filter(Boolean).join(' ');
+    document.body.insertAdjacentHTML('beforeend', `
+        <div id="ticket-modal" style="position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.7); display: flex; align-items: center; justify-content: center; z-index: 9999;">
+            <div style="background: white; padding: 30px; border-radius: 12px; max-width: 360px; width: 90%; text-align: center;">
+                <h3 style="color: var(--brand-dark); margin-bottom: 5px;">ELITE-${booking.id}</h3>
+                <div style="color: var(--text-muted); margin-bottom: 15px;">${booking.route_name || 'Route'} &middot; Seat ${booking.seat_number || '-'}${departure ? ` &middot; ${departure}` : ''}</div>
+                <div id="ticket-modal-qr" style="display: inline-block; padding: 10px; border: 1px solid #ddd; border-radius: 8px; word-break: break-all; max-width: 240px; font-size: 0.75rem;"></div>
+                <p style="color: var(--text-muted); font-size: 0.85rem; margin: 15px 0;">Show this code to the conductor when boarding.</p>
+                <button id="ticket-modal-close" class="btn-primary" style="width: 100%; padding: 12px; border: none; cursor: pointer;">Close</button>
+            </div>
+        </div>
+    `);
+
+    const target = document.getElementById('ticket-modal-qr');
+    if (typeof QRCode === 'undefined') {
+        target.textContent = booking.ticket_code;
+    } else {
+        new QRCode(target, { text: booking.ticket_code, width: 200, height: 200 });
+    }
+    document.getElementById('ticket-modal-close').addEventListener('click', () => {
+        document.getElementById('ticket-modal').remove();
+    });
+}
@@ -15,6 +15,8 @@ function createBusItem(bus, routeName){
     const isAvailable = status === 'Available';
     const seatChipClass = seatsLeft === 0 ? 'route-chip--full' : seatsLeft <= 5 ? 'route-chip--warn' : 'route-chip--ok';
     const seatChipText = seatsLeft === 0 ? 'Full' : seatsLeft <= 5 ? `${seatsLeft} seats left` : `${seatsLeft} seats open`;
+    // Full scheduled trips offer a waitlist instead of a disabled button.
+    const canWaitlist = !isAvailable && !!bus.tripId;
     
     div.innerHTML = `
         <div style="display:flex;justify-content:space-between;align-items:center;gap:20px;">
@@ -29,8 +31,8 @@ function createBusItem(bus, routeName){
                 <div style="font-weight:800;color:var(--brand-dark);">${formatCurrency(bus.price || 0)}</div>
                 <div style="font-size:0.85rem;color:${isAvailable? 'green' : '#a0a0a0'}">${status}</div>
             </div>
-            <button class="btn-select-route" style="padding:8px 16px;background:${isAvailable?'var(--brand-dark)':'#ccc'};color:white;border:none;border-radius:6px;cursor:${isAvailable?'pointer':'not-allowed'};font-weight:600;" ${isAvailable?'':'disabled'}>
-                Select
+            <button class="btn-select-route" style="padding:8px 16px;background:${isAvailable||canWaitlist?'var(--brand-dark)':'#ccc'};color:white;border:none;border-radius:6px;cursor:${isAvailable||canWaitlist?'pointer':'not-allowed'};font-weight:600;" ${isAvailable||canWaitlist?'':'disabled'}>
+                ${canWaitlist ? 'Join waitlist' : 'Select'}
             </button>
         </div>
     `;
@@ -39,6 +41,9 @@ function createBusItem(bus, routeName){
     if (isAvailable) {
         const btn = div.querySelector('.btn-select-route');
         btn.addEventListener('click', () => selectRoute(routeName, bus));
+    } else if (canWaitlist) {
+        const btn = div.querySelector('.btn-select-route');
+        btn.addEventListener('click', () => joinWaitlist(bus, btn));
     }
     
     return div;
@@ -65,6 +70,35 @@ function selectRoute(routeName, bus) {
     // Navigate to bookings page
     window.location.href = 'bookings.html';
 }
+async function joinWaitlist(bus, button) {
+    button.disabled = true;
+    try {
+        const res = await fetch(`${API_BASE}/trips/${bus.tripId}/waitlist`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${getAuthToken()}`
+            },
+            body: JSON.stringify({})
+        });
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) throw new Error((data.error || 'Could not join the waitlist').replace(/^Error:\s*/, ''));
+
+        if (data.status === 'offered') {
+            notify('success', `A seat just freed up! Check your SMS to book seat ${data.offeredSeat}.`, 6000);
+            button.textContent = 'Seat offered';
+        } else {
+            notify('success', `You're #${data.position} on the waitlist. We'll text you when a seat frees up.`, 5000);
+            button.textContent = `Waitlisted (#${data.position})`;
+        }
+        button.style.background = '#a0a0a0';
+        button.style.cursor = 'default';
+    } catch (err) {
+        notify('error', err.message);
+        button.disabled = false;
+    }
+}
+
 function renderSection(containerId, items){
     const container = document.getElementById(containerId);
     container.innerHTML = '';
@@ -131,6 +165,10 @@ async function fetchAndRender(){
 
 document.addEventListener('DOMContentLoaded', () => {
     requireAuth(); // Require user to be logged in
+    // Only the profile page's "Change trip" (routes.html?rebook=<id>) keeps a booking move going.
+    if (!new URLSearchParams(window.location.search).has('rebook')) {
+        sessionStorage.removeItem('rebookBooking');
+    }
     fetchAndRender();
     document.getElementById('refresh-btn').addEventListener('click', fetchAndRender);
 });
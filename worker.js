@@ -24,7 +24,7 @@ export default {
       // Compatibility fallback: some Paystack integrations may still post to root "/".
       // Only treat it as webhook when Paystack signature header is present.
       if (pathname === '' && request.method === 'POST' && request.headers.get('x-paystack-signature')) {
-        return await handlePaystackWebhook(env, request);
+        return await handlePaymentWebhook(env, request, 'paystack');
       }
 
       if (pathname === '/api/routes' && request.method === 'GET') {
@@ -47,7 +47,7 @@ export default {
       if (lockSeatMatch && request.method === 'POST') {
         const busId = lockSeatMatch[1];
         const body = await request.json();
-        return await handleLockSeat(env, busId, body.seat, body.tripId || null, body.lockId || null);
+        return await handleLockSeat(env, busId, body.seat, body.tripId || null, body.lockId || null, requestClientInfo(request));
       }
 
       // NEW: Unlock a seat (release hold)
@@ -57,34 +57,123 @@ export default {
         const body = await request.json();
         return await handleUnlockSeat(env, busId, body.seat, body.tripId || null, body.lockId || null);
       }
+
+      // NEW: Server-side fare quote for a seat selection
+      if (pathname === '/api/booking/quote' && request.method === 'POST') {
+        const token = request.headers.get('Authorization')?.replace('Bearer ', '');
+        const body = await request.json();
+        return await handleBookingQuote(env, body, token);
+      }
 
-      // NEW: Confirm booking after Paystack payment
+      // NEW: Open checkout (pending booking + payment reference) before the payment gateway
+      if (pathname === '/api/booking/initialize' && request.method === 'POST') {
+        const token = request.headers.get('Authorization')?.replace('Bearer ', '');
+        const body = await request.json();
+        return await handleBookingInitialize(env, body, token);
+      }
+
+      // NEW: Confirm booking after gateway payment
       if (pathname === '/api/booking/confirm' && request.method === 'POST') {
         const body = await request.json();
         return await handleBookingConfirm(env, body);
       }
 
+      // Mobile money checkout through the Paystack Charge API (alternative to the popup)
+      if (pathname === '/api/booking/momo/charge' && request.method === 'POST') {
+        const body = await request.json();
+        return await handleMomoCharge(env, body);
+      }
+
+      if (pathname === '/api/booking/momo/otp' && request.method === 'POST') {
+        const body = await request.json();
+        return await handleMomoSubmitOtp(env, body);
+      }
+
+      if (pathname === '/api/booking/momo/status' && request.method === 'GET') {
+        return await handleMomoStatus(env, request);
+      }
+
+      // NEW: Checkout status by payment reference
+      if (pathname === '/api/booking/status' && request.method === 'GET') {
+        return await handleBookingStatus(env, request);
+      }
+
       // PAYMENTS: Paystack webhook
       if (pathname === '/api/paystack/webhook' && request.method === 'POST') {
-        return await handlePaystackWebhook(env, request);
+        return await handlePaymentWebhook(env, request, 'paystack');
+      }
+
+      // PAYMENTS: Webhooks for every configured gateway
+      const paymentWebhookMatch = pathname.match(/^\/api\/payments\/webhook\/([a-z]+)$/);
+      if (paymentWebhookMatch && request.method === 'POST') {
+        return await handlePaymentWebhook(env, request, paymentWebhookMatch[1]);
+      }
+
+      // PAYMENTS: Approve or decline a checkout on the offline fake gateway
+      if (pathname === '/api/payments/fake/pay' && request.method === 'POST') {
+        const body = await request.json();
+        return await handleFakePayment(env, body);
       }
 
       // AUTH: Google OAuth
       if (pathname === '/api/auth/google' && request.method === 'POST') {
         const body = await request.json();
-        return await handleGoogleAuth(env, body);
+        return await handleGoogleAuth(env, body, requestClientInfo(request));
       }
 
       // AUTH: Email Sign In
       if (pathname === '/api/auth/signin' && request.method === 'POST') {
         const body = await request.json();
-        return await handleEmailSignIn(env, body);
+        return await handleEmailSignIn(env, body, requestClientInfo(request));
       }
 
       // AUTH: Email Sign Up
       if (pathname === '/api/auth/signup' && request.method === 'POST') {
         const body = await request.json();
-        return await handleEmailSignUp(env, body);
+        return await handleEmailSignUp(env, body, requestClientInfo(request));
+      }
+
+      // AUTH: Send a password reset code by email or SMS
+      if (pathname === '/api/auth/password/forgot' && request.method === 'POST') {
+        const body = await request.json();
+        return await handleForgotPassword(env, body, requestClientInfo(request));
+      }
+
+      // AUTH: Set a new password with a reset code (signs out every session)
+      if (pathname === '/api/auth/password/reset' && request.method === 'POST') {
+        const body = await request.json();
+        return await handleResetPassword(env, body, requestClientInfo(request));
+      }
+
+      // AUTH: Confirm an email address with the code from the verification email
+      if (pathname === '/api/auth/email/verify' && request.method === 'POST') {
+        const token = request.headers.get('Authorization')?.replace('Bearer ', '');
+        const body = await request.json();
+        return await handleVerifyEmail(env, body, token, requestClientInfo(request));
+      }
+
+      // AUTH: Send a fresh verification email to the signed-in user
+      if (pathname === '/api/auth/email/resend' && request.method === 'POST') {
+        const token = request.headers.get('Authorization')?.replace('Bearer ', '');
+        return await handleResendEmailVerification(env, token);
+      }
+
+      // AUTH: Text a sign-in code to a phone number (signs up new riders)
+      if (pathname === '/api/auth/phone/start' && request.method === 'POST') {
+        const body = await request.json();
+        return await handlePhoneAuthStart(env, body, requestClientInfo(request));
+      }
+
+      // AUTH: Exchange a phone sign-in code for a session
+      if (pathname === '/api/auth/phone/verify' && request.method === 'POST') {
+        const body = await request.json();
+        return await handlePhoneAuthVerify(env, body, requestClientInfo(request));
+      }
+
+      // AUTH: Sign out this device (deletes the session server-side)
+      if (pathname === '/api/auth/logout' && request.method === 'POST') {
+        const token = request.headers.get('Authorization')?.replace('Bearer ', '');
+        return await handleLogout(env, token);
       }
 
       // AUTH: Verify Token
@@ -105,6 +194,69 @@ export default {
         return await handleGetUserProfile(env, token);
       }
 
+      // USER: Signed-in devices for this account
+      if (pathname === '/api/user/sessions' && request.method === 'GET') {
+        const token = request.headers.get('Authorization')?.replace('Bearer ', '');
+        return await handleListUserSessions(env, token);
+      }
+
+      // USER: Sign out every other device (or all of them with { includeCurrent: true })
+      if (pathname === '/api/user/sessions/revoke-all' && request.method === 'POST') {
+        const token = request.headers.get('Authorization')?.replace('Bearer ', '');
+        const body = await request.json().catch(() => ({}));
+        return await handleRevokeAllUserSessions(env, token, body);
+      }
+
+      // USER: Sign out one device
+      const sessionRevokeMatch = pathname.match(/^\/api\/user\/sessions\/(\d+)\/revoke$/);
+      if (sessionRevokeMatch && request.method === 'POST') {
+        const token = request.headers.get('Authorization')?.replace('Bearer ', '');
+        return await handleRevokeUserSession(env, token, Number(sessionRevokeMatch[1]));
+      }
+
+      // USER: Cancel own booking (before the cancellation cutoff)
+      const userCancelMatch = pathname.match(/^\/api\/user\/bookings\/(\d+)\/cancel$/);
+      if (userCancelMatch && request.method === 'POST') {
+        const token = request.headers.get('Authorization')?.replace('Bearer ', '');
+        return await handleUserCancelBooking(env, token, Number(userCancelMatch[1]));
+      }
+
+      // USER: Move own booking to another trip/seat
+      const userRebookMatch = pathname.match(/^\/api\/user\/bookings\/(\d+)\/rebook$/);
+      if (userRebookMatch && request.method === 'POST') {
+        const token = request.headers.get('Authorization')?.replace('Bearer ', '');
+        const body = await request.json();
+        return await handleUserRebookBooking(env, token, Number(userRebookMatch[1]), body);
+      }
+
+      // TRIPS: Boarding check-in by scanned ticket code
+      const checkinMatch = pathname.match(/^\/api\/trips\/(\d+)\/checkin$/);
+      if (checkinMatch && request.method === 'POST') {
+        const token = request.headers.get('Authorization')?.replace('Bearer ', '');
+        const body = await request.json();
+        return await handleTripCheckin(env, token, Number(checkinMatch[1]), body, requestClientInfo(request));
+      }
+
+      // TRIPS: Join / leave the waitlist of a full trip
+      const waitlistMatch = pathname.match(/^\/api\/trips\/(\d+)\/waitlist$/);
+      if (waitlistMatch && request.method === 'POST') {
+        const token = request.headers.get('Authorization')?.replace('Bearer ', '');
+        const body = await request.json().catch(() => ({}));
+        return await handleJoinWaitlist(env, token, Number(waitlistMatch[1]), body);
+      }
+
+      const leaveWaitlistMatch = pathname.match(/^\/api\/trips\/(\d+)\/waitlist\/leave$/);
+      if (leaveWaitlistMatch && request.method === 'POST') {
+        const token = request.headers.get('Authorization')?.replace('Bearer ', '');
+        return await handleLeaveWaitlist(env, token, Number(leaveWaitlistMatch[1]));
+      }
+
+      // TRIPS: Seat held for a waitlisted customer (link from the offer SMS)
+      if (pathname === '/api/waitlist/hold' && request.method === 'GET') {
+        const token = request.headers.get('Authorization')?.replace('Bearer ', '');
+        return await handleGetWaitlistHold(env, token, request);
+      }
+
       // ADMIN: Bootstrap dashboard stats
       if (pathname === '/api/admin/bootstrap' && request.method === 'GET') {
         const token = request.headers.get('Authorization')?.replace('Bearer ', '');
@@ -115,7 +267,15 @@ export default {
       if (pathname === '/api/admin/bookings/manual' && request.method === 'POST') {
         const token = request.headers.get('Authorization')?.replace('Bearer ', '');
         const body = await request.json();
-        return await handleAdminManualBooking(env, token, body);
+        return await handleAdminManualBooking(env, token, body, requestClientInfo(request));
+      }
+
+      // ADMIN: Cancel any booking (refund optional)
+      const adminCancelMatch = pathname.match(/^\/api\/admin\/bookings\/(\d+)\/cancel$/);
+      if (adminCancelMatch && request.method === 'POST') {
+        const token = request.headers.get('Authorization')?.replace('Bearer ', '');
+        const body = await request.json().catch(() => ({}));
+        return await handleAdminCancelBooking(env, token, Number(adminCancelMatch[1]), body, requestClientInfo(request));
       }
 
       // ADMIN: Upcoming schedule bookings with passenger details
@@ -134,27 +294,184 @@ export default {
       if (pathname === '/api/admin/buses' && request.method === 'POST') {
         const token = request.headers.get('Authorization')?.replace('Bearer ', '');
         const body = await request.json();
-        return await handleAdminCreateBus(env, token, body);
+        return await handleAdminCreateBus(env, token, body, requestClientInfo(request));
+      }
+
+      // ADMIN: Seat layouts
+      if (pathname === '/api/admin/seat-layouts' && request.method === 'GET') {
+        const token = request.headers.get('Authorization')?.replace('Bearer ', '');
+        return await handleAdminListSeatLayouts(env, token);
+      }
+
+      if (pathname === '/api/admin/seat-layouts' && request.method === 'POST') {
+        const token = request.headers.get('Authorization')?.replace('Bearer ', '');
+        const body = await request.json();
+        return await handleAdminSaveSeatLayout(env, token, null, body, requestClientInfo(request));
+      }
+
+      const seatLayoutMatch = pathname.match(/^\/api\/admin\/seat-layouts\/(\d+)$/);
+      if (seatLayoutMatch && request.method === 'POST') {
+        const token = request.headers.get('Authorization')?.replace('Bearer ', '');
+        const body = await request.json();
+        return await handleAdminSaveSeatLayout(env, token, Number(seatLayoutMatch[1]), body, requestClientInfo(request));
+      }
+
+      const busLayoutMatch = pathname.match(/^\/api\/admin\/buses\/(\d+)\/layout$/);
+      if (busLayoutMatch && request.method === 'POST') {
+        const token = request.headers.get('Authorization')?.replace('Bearer ', '');
+        const body = await request.json();
+        return await handleAdminAssignBusLayout(env, token, Number(busLayoutMatch[1]), body, requestClientInfo(request));
       }
 
       // ADMIN: Create/schedule trip
       if (pathname === '/api/admin/trips' && request.method === 'POST') {
         const token = request.headers.get('Authorization')?.replace('Bearer ', '');
         const body = await request.json();
-        return await handleAdminCreateTrip(env, token, body);
+        return await handleAdminCreateTrip(env, token, body, requestClientInfo(request));
       }
 
       // ADMIN: End trip (remove from customer route listing, keep history)
       const endTripMatch = pathname.match(/^\/api\/admin\/trips\/(\d+)\/end$/);
       if (endTripMatch && request.method === 'POST') {
         const token = request.headers.get('Authorization')?.replace('Bearer ', '');
-        return await handleAdminEndTrip(env, token, Number(endTripMatch[1]));
+        return await handleAdminEndTrip(env, token, Number(endTripMatch[1]), requestClientInfo(request));
+      }
+
+      // ADMIN: Seat class prices for one trip
+      const classPricesMatch = pathname.match(/^\/api\/admin\/trips\/(\d+)\/class-prices$/);
+      if (classPricesMatch && request.method === 'POST') {
+        const token = request.headers.get('Authorization')?.replace('Bearer ', '');
+        const body = await request.json();
+        return await handleAdminSetTripClassPrices(env, token, Number(classPricesMatch[1]), body, requestClientInfo(request));
+      }
+
+      // ADMIN: Boarding manifest for one trip (?format=json|csv|html)
+      const manifestMatch = pathname.match(/^\/api\/admin\/trips\/(\d+)\/manifest$/);
+      if (manifestMatch && request.method === 'GET') {
+        const token = request.headers.get('Authorization')?.replace('Bearer ', '');
+        return await handleAdminTripManifest(env, token, Number(manifestMatch[1]), request);
+      }
+
+      // ADMIN: Recurring trip templates
+      if (pathname === '/api/admin/trip-templates' && request.method === 'GET') {
+        const token = request.headers.get('Authorization')?.replace('Bearer ', '');
+        return await handleAdminListTripTemplates(env, token);
+      }
+
+      if (pathname === '/api/admin/trip-templates' && request.method === 'POST') {
+        const token = request.headers.get('Authorization')?.replace('Bearer ', '');
+        const body = await request.json();
+        return await handleAdminCreateTripTemplate(env, token, body, requestClientInfo(request));
+      }
+
+      const templatePreviewMatch = pathname.match(/^\/api\/admin\/trip-templates\/(\d+)\/preview$/);
+      if (templatePreviewMatch && request.method === 'GET') {
+        const token = request.headers.get('Authorization')?.replace('Bearer ', '');
+        return await handleAdminPreviewTripTemplate(env, token, Number(templatePreviewMatch[1]), request);
+      }
+
+      const templateMaterialiseMatch = pathname.match(/^\/api\/admin\/trip-templates\/(\d+)\/materialise$/);
+      if (templateMaterialiseMatch && request.method === 'POST') {
+        const token = request.headers.get('Authorization')?.replace('Bearer ', '');
+        const body = await request.json().catch(() => ({}));
+        return await handleAdminMaterialiseTripTemplate(env, token, Number(templateMaterialiseMatch[1]), body, requestClientInfo(request));
+      }
+
+      const templateCancelMatch = pathname.match(/^\/api\/admin\/trip-templates\/(\d+)\/cancel$/);
+      if (templateCancelMatch && request.method === 'POST') {
+        const token = request.headers.get('Authorization')?.replace('Bearer ', '');
+        const body = await request.json().catch(() => ({}));
+        return await handleAdminCancelTemplateTrips(env, token, Number(templateCancelMatch[1]), body, requestClientInfo(request));
+      }
+
+      // ADMIN: Fare rules used by server-side quotes
+      if (pathname === '/api/admin/fare-rules' && request.method === 'GET') {
+        const token = request.headers.get('Authorization')?.replace('Bearer ', '');
+        return await handleAdminListFareRules(env, token);
+      }
+
+      if (pathname === '/api/admin/fare-rules' && request.method === 'POST') {
+        const token = request.headers.get('Authorization')?.replace('Bearer ', '');
+        const body = await request.json();
+        return await handleAdminCreateFareRule(env, token, body, requestClientInfo(request));
+      }
+
+      const disableFareRuleMatch = pathname.match(/^\/api\/admin\/fare-rules\/(\d+)\/disable$/);
+      if (disableFareRuleMatch && request.method === 'POST') {
+        const token = request.headers.get('Authorization')?.replace('Bearer ', '');
+        return await handleAdminDisableFareRule(env, token, Number(disableFareRuleMatch[1]), requestClientInfo(request));
+      }
+
+      // ADMIN: Promo codes applied at checkout
+      if (pathname === '/api/admin/promo-codes' && request.method === 'GET') {
+        const token = request.headers.get('Authorization')?.replace('Bearer ', '');
+        return await handleAdminListPromoCodes(env, token);
+      }
+
+      if (pathname === '/api/admin/promo-codes' && request.method === 'POST') {
+        const token = request.headers.get('Authorization')?.replace('Bearer ', '');
+        const body = await request.json();
+        return await handleAdminCreatePromoCode(env, token, body, requestClientInfo(request));
+      }
+
+      const disablePromoMatch = pathname.match(/^\/api\/admin\/promo-codes\/(\d+)\/disable$/);
+      if (disablePromoMatch && request.method === 'POST') {
+        const token = request.headers.get('Authorization')?.replace('Bearer ', '');
+        return await handleAdminDisablePromoCode(env, token, Number(disablePromoMatch[1]), requestClientInfo(request));
+      }
+
+      // ADMIN: Paystack reconciliation report and actions
+      if (pathname === '/api/admin/reconciliation' && request.method === 'GET') {
+        const token = request.headers.get('Authorization')?.replace('Bearer ', '');
+        return await handleAdminListReconciliation(env, token, url);
+      }
+
+      if (pathname === '/api/admin/reconciliation/run' && request.method === 'POST') {
+        const token = request.headers.get('Authorization')?.replace('Bearer ', '');
+        const body = await request.json().catch(() => ({}));
+        return await handleAdminRunReconciliation(env, token, body, requestClientInfo(request));
+      }
+
+      const reconciliationResolveMatch = pathname.match(/^\/api\/admin\/reconciliation\/items\/(\d+)\/resolve$/);
+      if (reconciliationResolveMatch && request.method === 'POST') {
+        const token = request.headers.get('Authorization')?.replace('Bearer ', '');
+        const body = await request.json().catch(() => ({}));
+        return await handleAdminResolveReconciliationItem(env, token, Number(reconciliationResolveMatch[1]), body, requestClientInfo(request));
+      }
+
+      // ADMIN: Staff roles and who holds them
+      if (pathname === '/api/admin/roles' && request.method === 'GET') {
+        const token = request.headers.get('Authorization')?.replace('Bearer ', '');
+        return await handleAdminListRoles(env, token);
+      }
+
+      if (pathname === '/api/admin/users/roles' && request.method === 'POST') {
+        const token = request.headers.get('Authorization')?.replace('Bearer ', '');
+        const body = await request.json();
+        return await handleAdminSetUserRoles(env, token, body, requestClientInfo(request));
+      }
+
+      // ADMIN: Audit log of admin changes (?format=csv for export)
+      if (pathname === '/api/admin/audit' && request.method === 'GET') {
+        const token = request.headers.get('Authorization')?.replace('Bearer ', '');
+        return await handleAdminListAudit(env, token, url);
+      }
+
+      // ADMIN: Scheduled job run log
+      if (pathname === '/api/admin/jobs' && request.method === 'GET') {
+        const token = request.headers.get('Authorization')?.replace('Bearer ', '');
+        return await handleAdminListJobRuns(env, token, url);
       }
 
       return new Response('Not found', { status: 404, headers: corsHeaders() });
     } catch (err) {
       return new Response(JSON.stringify({ error: String(err) }), { status: 500, headers: { 'Content-Type': 'application/json', ...corsHeaders() } });
     }
+  },
+
+  // Cron trigger (configured on the Worker, e.g. every 15 minutes). See runScheduledMaintenance.
+  async scheduled(event, env, ctx) {
+    ctx.waitUntil(runScheduledMaintenance(env, `cron ${event.cron}`));
   }
 };
 
@@ -162,7 +479,8 @@ function corsHeaders(){
   return {
     'Access-Control-Allow-Origin': '*',
     'Access-Control-Allow-Methods': 'GET,POST,OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type,Authorization'
+    'Access-Control-Allow-Headers': 'Content-Type,Authorization',
+    'Access-Control-Expose-Headers': 'Retry-After'
   };
 }
 
@@ -183,6 +501,12 @@ function base64ToBytes(base64) {
   return out;
 }
 
+function base64UrlToBytes(value) {
+  const base64 = String(value || '').replace(/-/g, '+').replace(/_/g, '/');
+  const padded = base64 + '='.repeat((4 - (base64.length % 4)) % 4);
+  return base64ToBytes(padded);
+}
+
 let schemaInitPromise = null;
 
 async function tableColumns(env, tableName) {
@@ -226,104 +550,662 @@ async function ensureOperationalSchema(env) {
       await env.DB.prepare('ALTER TABLE seat_locks ADD COLUMN trip_id INTEGER REFERENCES trip_schedules(id) ON DELETE CASCADE').run();
       await env.DB.prepare('CREATE INDEX IF NOT EXISTS idx_seat_locks_trip ON seat_locks(trip_id)').run();
     }
-  })();
+    if (!lockCols.has('locked_ip')) {
+      await env.DB.prepare('ALTER TABLE seat_locks ADD COLUMN locked_ip TEXT').run();
+    }
 
-  try {
-    await schemaInitPromise;
-  } catch (err) {
-    schemaInitPromise = null;
-    throw err;
-  }
-}
+    await env.DB.prepare(`
+      CREATE TABLE IF NOT EXISTS pending_bookings (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        reference TEXT UNIQUE NOT NULL,
+        bus_id INTEGER NOT NULL REFERENCES buses(id) ON DELETE CASCADE,
+        trip_id INTEGER REFERENCES trip_schedules(id) ON DELETE SET NULL,
+        lock_id TEXT,
+        seats TEXT NOT NULL,
+        passenger TEXT NOT NULL,
+        amount_kobo INTEGER NOT NULL,
+        unit_price REAL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        booking_ids TEXT,
+        failure_reason TEXT,
+        created_at DATETIME DEFAULT (datetime('now')),
+        completed_at DATETIME
+      )
+    `).run();
+    await env.DB.prepare('CREATE INDEX IF NOT EXISTS idx_pending_bookings_status ON pending_bookings(status)').run();
 
-async function resolveTripForBus(env, busId, tripId = null) {
-  if (tripId) {
-    const trip = await env.DB.prepare(`
-      SELECT id, route_id, bus_id, departure_date, departure_time, price, status
-      FROM trip_schedules
-      WHERE id = ? AND bus_id = ?
-      LIMIT 1
-    `).bind(tripId, busId).first();
-    if (!trip) throw new Error('Trip not found for bus');
-    if (trip.status !== 'active') throw new Error('Trip is not active');
-    return trip;
-  }
+    const pendingCols = await tableColumns(env, 'pending_bookings');
+    if (!pendingCols.has('claimed_at')) {
+      await env.DB.prepare('ALTER TABLE pending_bookings ADD COLUMN claimed_at DATETIME').run();
+    }
+    // A paid checkout that could not be booked has no booking row for booking_refunds to point
+    // at, so its refund is tracked on the pending row itself.
+    if (!pendingCols.has('refund_status')) {
+      await env.DB.prepare('ALTER TABLE pending_bookings ADD COLUMN refund_status TEXT').run();
+      await env.DB.prepare('ALTER TABLE pending_bookings ADD COLUMN refund_kobo INTEGER').run();
+      await env.DB.prepare('ALTER TABLE pending_bookings ADD COLUMN provider_refund_id TEXT').run();
+      await env.DB.prepare('ALTER TABLE pending_bookings ADD COLUMN refund_error TEXT').run();
+    }
+    if (!pendingCols.has('kind')) {
+      await env.DB.prepare("ALTER TABLE pending_bookings ADD COLUMN kind TEXT NOT NULL DEFAULT 'booking'").run();
+      await env.DB.prepare('ALTER TABLE pending_bookings ADD COLUMN booking_id INTEGER REFERENCES bookings(id) ON DELETE SET NULL').run();
+    }
 
-  const activeTrip = await env.DB.prepare(`
-    SELECT id, route_id, bus_id, departure_date, departure_time, price, status
-    FROM trip_schedules
-    WHERE bus_id = ? AND status = 'active'
-    ORDER BY id DESC
-    LIMIT 1
-  `).bind(busId).first();
-  if (activeTrip) return activeTrip;
+    await env.DB.prepare(`
+      CREATE TABLE IF NOT EXISTS booking_transfers (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        booking_id INTEGER NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+        from_bus_id INTEGER,
+        from_trip_id INTEGER,
+        from_seat TEXT,
+        to_bus_id INTEGER,
+        to_trip_id INTEGER,
+        to_seat TEXT,
+        previous_price REAL,
+        new_price REAL,
+        fare_difference REAL NOT NULL DEFAULT 0,
+        payment_ref TEXT,
+        created_at DATETIME DEFAULT (datetime('now'))
+      )
+    `).run();
+    await env.DB.prepare('CREATE INDEX IF NOT EXISTS idx_booking_transfers_booking ON booking_transfers(booking_id)').run();
 
-  return null;
-}
+    if (!bookingCols.has('cancelled_at')) {
+      await env.DB.prepare('ALTER TABLE bookings ADD COLUMN cancelled_at DATETIME').run();
+      await env.DB.prepare('ALTER TABLE bookings ADD COLUMN cancelled_by TEXT').run();
+      await env.DB.prepare('ALTER TABLE bookings ADD COLUMN cancel_reason TEXT').run();
+    }
 
-function normalizeSeatNumberRaw(seatValue, capacity = 50) {
-  if (seatValue === null || seatValue === undefined) return null;
-  const raw = String(seatValue).trim().toUpperCase();
-  if (!raw) return null;
+    if (!bookingCols.has('checked_in_at')) {
+      await env.DB.prepare('ALTER TABLE bookings ADD COLUMN checked_in_at DATETIME').run();
+      await env.DB.prepare('ALTER TABLE bookings ADD COLUMN checked_in_by TEXT').run();
+    }
 
-  // Accept numeric seats like "38", "038", and tolerant "L38" from old UI labeling.
-  const numeric = raw.match(/^L?0*(\d+)$/);
-  if (numeric) {
-    const n = Number(numeric[1]);
-    if (!Number.isFinite(n) || n < 1 || n > Number(capacity || 50)) return null;
-    return String(n);
-  }
+    await env.DB.prepare(`
+      CREATE TABLE IF NOT EXISTS booking_refunds (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        booking_id INTEGER NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+        transaction_ref TEXT,
+        amount_kobo INTEGER NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        provider_refund_id TEXT,
+        failure_reason TEXT,
+        requested_by TEXT,
+        created_at DATETIME DEFAULT (datetime('now'))
+      )
+    `).run();
+    await env.DB.prepare('CREATE INDEX IF NOT EXISTS idx_booking_refunds_booking ON booking_refunds(booking_id)').run();
 
-  // Backward compatibility for legacy seat keys like "A1", "B10".
-  const legacy = raw.match(/^([A-Z])0*(\d{1,2})$/);
-  if (legacy) {
-    const row = legacy[1].charCodeAt(0) - 65;
-    const col = Number(legacy[2]);
-    if (row < 0 || col < 1 || col > 10) return null;
-    const n = row * 10 + col;
-    if (n < 1 || n > Number(capacity || 50)) return null;
-    return String(n);
-  }
+    await env.DB.prepare(`
+      CREATE TABLE IF NOT EXISTS fare_rules (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        route_id INTEGER REFERENCES routes(id) ON DELETE CASCADE,
+        trip_id INTEGER REFERENCES trip_schedules(id) ON DELETE CASCADE,
+        min_seats INTEGER NOT NULL DEFAULT 1,
+        percent_off REAL NOT NULL DEFAULT 0,
+        amount_off REAL NOT NULL DEFAULT 0,
+        starts_at DATETIME,
+        ends_at DATETIME,
+        active INTEGER NOT NULL DEFAULT 1,
+        created_at DATETIME DEFAULT (datetime('now'))
+      )
+    `).run();
 
-  return null;
-}
+    await env.DB.prepare(`
+      CREATE TABLE IF NOT EXISTS promo_codes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        code TEXT NOT NULL UNIQUE,
+        description TEXT,
+        percent_off REAL NOT NULL DEFAULT 0,
+        amount_off REAL NOT NULL DEFAULT 0,
+        route_id INTEGER REFERENCES routes(id) ON DELETE CASCADE,
+        trip_id INTEGER REFERENCES trip_schedules(id) ON DELETE CASCADE,
+        starts_at DATETIME,
+        ends_at DATETIME,
+        max_uses INTEGER,
+        max_uses_per_user INTEGER,
+        active INTEGER NOT NULL DEFAULT 1,
+        created_at DATETIME DEFAULT (datetime('now'))
+      )
+    `).run();
 
-function canonicalSeatToLegacy(canonicalSeat) {
-  const n = Number(canonicalSeat);
-  if (!Number.isFinite(n) || n < 1) return null;
-  const row = Math.floor((n - 1) / 10);
-  const col = ((n - 1) % 10) + 1;
-  return `${String.fromCharCode(65 + row)}${col}`;
-}
+    await env.DB.prepare(`
+      CREATE TABLE IF NOT EXISTS promo_redemptions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        promo_id INTEGER NOT NULL REFERENCES promo_codes(id) ON DELETE CASCADE,
+        reference TEXT NOT NULL UNIQUE,
+        booking_id INTEGER REFERENCES bookings(id) ON DELETE SET NULL,
+        email TEXT,
+        discount REAL NOT NULL DEFAULT 0,
+        status TEXT NOT NULL DEFAULT 'reserved',
+        created_at DATETIME DEFAULT (datetime('now')),
+        redeemed_at DATETIME
+      )
+    `).run();
+    await env.DB.prepare('CREATE INDEX IF NOT EXISTS idx_promo_redemptions_promo ON promo_redemptions(promo_id, status)').run();
+    const redemptionCols = await tableColumns(env, 'promo_redemptions');
+    if (!redemptionCols.has('user_id')) {
+      await env.DB.prepare('ALTER TABLE promo_redemptions ADD COLUMN user_id INTEGER REFERENCES users(id) ON DELETE SET NULL').run();
+    }
 
-function uniqueNormalizedSeatList(rows, capacity) {
-  const out = new Set();
-  for (const r of (rows || [])) {
-    const key = normalizeSeatNumberRaw(r?.seat_number, capacity);
-    if (key) out.add(key);
-  }
-  return [...out].sort((a, b) => Number(a) - Number(b));
-}
+    await env.DB.prepare(`
+      CREATE TABLE IF NOT EXISTS job_runs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        job TEXT NOT NULL,
+        triggered_by TEXT,
+        status TEXT NOT NULL DEFAULT 'running',
+        result TEXT,
+        error TEXT,
+        started_at DATETIME DEFAULT (datetime('now')),
+        finished_at DATETIME
+      )
+    `).run();
+    await env.DB.prepare('CREATE INDEX IF NOT EXISTS idx_job_runs_job ON job_runs(job, started_at)').run();
 
-async function getBusCapacity(env, busId) {
-  const bus = await env.DB.prepare('SELECT capacity FROM buses WHERE id = ?').bind(busId).first();
-  if (!bus) throw new Error('Bus not found');
-  const cap = Number(bus.capacity || 0);
-  return cap > 0 ? cap : 50;
-}
+    await env.DB.prepare(`
+      CREATE TABLE IF NOT EXISTS payment_reconciliation_items (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        reference TEXT NOT NULL,
+        issue TEXT NOT NULL,
+        paystack_amount_kobo INTEGER NOT NULL,
+        expected_amount_kobo INTEGER,
+        customer_email TEXT,
+        paid_at DATETIME,
+        details TEXT,
+        suggested_action TEXT,
+        status TEXT NOT NULL DEFAULT 'open',
+        refund_amount_kobo INTEGER,
+        provider_refund_id TEXT,
+        resolved_by TEXT,
+        resolved_at DATETIME,
+        first_seen_at DATETIME DEFAULT (datetime('now')),
+        last_seen_at DATETIME DEFAULT (datetime('now')),
+        UNIQUE (reference, issue)
+      )
+    `).run();
+    await env.DB.prepare('CREATE INDEX IF NOT EXISTS idx_reconciliation_items_status ON payment_reconciliation_items(status)').run();
 
-async function listConfirmedSeatNumbersForBusTrip(env, busId, tripId, capacity) {
-  const res = tripId
+    await env.DB.prepare(`
+      CREATE TABLE IF NOT EXISTS fake_payments (
+        reference TEXT PRIMARY KEY,
+        amount_kobo INTEGER NOT NULL,
+        email TEXT,
+        status TEXT NOT NULL DEFAULT 'initialized',
+        refunded_kobo INTEGER NOT NULL DEFAULT 0,
+        created_at DATETIME DEFAULT (datetime('now')),
+        paid_at DATETIME
+      )
+    `).run();
+
+    // One-time codes for account recovery; only a keyed hash of each code is stored.
+    await env.DB.prepare(`
+      CREATE TABLE IF NOT EXISTS auth_codes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        purpose TEXT NOT NULL,
+        channel TEXT NOT NULL,
+        code_hash TEXT NOT NULL,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        expires_at DATETIME NOT NULL,
+        consumed_at DATETIME,
+        created_at DATETIME DEFAULT (datetime('now'))
+      )
+    `).run();
+    await env.DB.prepare('CREATE INDEX IF NOT EXISTS idx_auth_codes_user ON auth_codes(user_id, purpose, created_at)').run();
+
+    await env.DB.prepare(`
+      CREATE TABLE IF NOT EXISTS trip_waitlist (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        trip_id INTEGER NOT NULL REFERENCES trip_schedules(id) ON DELETE CASCADE,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        phone TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'waiting',
+        hold_token TEXT UNIQUE,
+        offered_seat TEXT,
+        offered_at DATETIME,
+        offer_expires_at DATETIME,
+        claimed_at DATETIME,
+        created_at DATETIME DEFAULT (datetime('now'))
+      )
+    `).run();
+    await env.DB.prepare('CREATE INDEX IF NOT EXISTS idx_trip_waitlist_trip_status ON trip_waitlist(trip_id, status)').run();
+
+    await env.DB.prepare(`
+      CREATE TABLE IF NOT EXISTS trip_templates (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        route_id INTEGER NOT NULL REFERENCES routes(id) ON DELETE CASCADE,
+        bus_id INTEGER NOT NULL REFERENCES buses(id) ON DELETE CASCADE,
+        weekdays TEXT NOT NULL,
+        departure_time TEXT,
+        price REAL,
+        start_date TEXT NOT NULL,
+        end_date TEXT NOT NULL,
+        exclusions TEXT,
+        active INTEGER NOT NULL DEFAULT 1,
+        created_at DATETIME DEFAULT (datetime('now'))
+      )
+    `).run();
+    const tripCols = await tableColumns(env, 'trip_schedules');
+    if (!tripCols.has('template_id')) {
+      await env.DB.prepare('ALTER TABLE trip_schedules ADD COLUMN template_id INTEGER REFERENCES trip_templates(id) ON DELETE SET NULL').run();
+      await env.DB.prepare('CREATE INDEX IF NOT EXISTS idx_trip_schedules_template ON trip_schedules(template_id, departure_date)').run();
+    }
+    if (!tripCols.has('duration_minutes')) {
+      await env.DB.prepare('ALTER TABLE trip_schedules ADD COLUMN duration_minutes INTEGER').run();
+    }
+    const templateCols = await tableColumns(env, 'trip_templates');
+    if (!templateCols.has('duration_minutes')) {
+      await env.DB.prepare('ALTER TABLE trip_templates ADD COLUMN duration_minutes INTEGER').run();
+    }
+
+    await env.DB.prepare(`
+      CREATE TABLE IF NOT EXISTS seat_layouts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        rows TEXT NOT NULL,
+        capacity INTEGER NOT NULL,
+        legacy_columns INTEGER,
+        created_at DATETIME DEFAULT (datetime('now')),
+        updated_at DATETIME DEFAULT (datetime('now'))
+      )
+    `).run();
+    const busCols = await tableColumns(env, 'buses');
+    if (!busCols.has('layout_id')) {
+      await env.DB.prepare('ALTER TABLE buses ADD COLUMN layout_id INTEGER REFERENCES seat_layouts(id) ON DELETE SET NULL').run();
+    }
+    const layoutCols = await tableColumns(env, 'seat_layouts');
+    if (!layoutCols.has('seat_classes')) {
+      await env.DB.prepare('ALTER TABLE seat_layouts ADD COLUMN seat_classes TEXT').run();
+    }
+    if (!tripCols.has('class_prices')) {
+      await env.DB.prepare('ALTER TABLE trip_schedules ADD COLUMN class_prices TEXT').run();
+    }
+    if (!templateCols.has('class_prices')) {
+      await env.DB.prepare('ALTER TABLE trip_templates ADD COLUMN class_prices TEXT').run();
+    }
+    if (!pendingCols.has('seat_prices')) {
+      await env.DB.prepare('ALTER TABLE pending_bookings ADD COLUMN seat_prices TEXT').run();
+    }
+    if (!pendingCols.has('promo_code')) {
+      await env.DB.prepare('ALTER TABLE pending_bookings ADD COLUMN promo_code TEXT').run();
+    }
+    if (!pendingCols.has('seat_passengers')) {
+      await env.DB.prepare('ALTER TABLE pending_bookings ADD COLUMN seat_passengers TEXT').run();
+    }
+    if (!pendingCols.has('payment_provider')) {
+      await env.DB.prepare('ALTER TABLE pending_bookings ADD COLUMN payment_provider TEXT').run();
+    }
+    const reconciliationCols = await tableColumns(env, 'payment_reconciliation_items');
+    if (!reconciliationCols.has('payment_provider')) {
+      await env.DB.prepare('ALTER TABLE payment_reconciliation_items ADD COLUMN payment_provider TEXT').run();
+    }
+
+    const sessionCols = await tableColumns(env, 'auth_sessions');
+    if (!sessionCols.has('user_agent')) {
+      await env.DB.prepare('ALTER TABLE auth_sessions ADD COLUMN user_agent TEXT').run();
+    }
+    if (!sessionCols.has('ip')) {
+      await env.DB.prepare('ALTER TABLE auth_sessions ADD COLUMN ip TEXT').run();
+    }
+    if (!sessionCols.has('last_seen_at')) {
+      await env.DB.prepare('ALTER TABLE auth_sessions ADD COLUMN last_seen_at DATETIME').run();
+    }
+
+    const userCols = await tableColumns(env, 'users');
+    if (!userCols.has('phone_verified')) {
+      await env.DB.prepare('ALTER TABLE users ADD COLUMN phone_verified INTEGER DEFAULT 0').run();
+    }
+    await env.DB.prepare(`
+      CREATE TABLE IF NOT EXISTS roles (
+        key TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        description TEXT,
+        created_at DATETIME DEFAULT (datetime('now'))
+      )
+    `).run();
+    await env.DB.prepare(`
+      CREATE TABLE IF NOT EXISTS role_permissions (
+        role_key TEXT NOT NULL REFERENCES roles(key) ON DELETE CASCADE,
+        permission TEXT NOT NULL,
+        PRIMARY KEY (role_key, permission)
+      )
+    `).run();
+    await env.DB.prepare(`
+      CREATE TABLE IF NOT EXISTS user_roles (
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        role_key TEXT NOT NULL REFERENCES roles(key) ON DELETE CASCADE,
+        granted_by TEXT,
+        created_at DATETIME DEFAULT (datetime('now')),
+        PRIMARY KEY (user_id, role_key)
+      )
+    `).run();
+    const roleCount = await env.DB.prepare('SELECT COUNT(*) as c FROM roles').first();
+    if (Number(roleCount?.c || 0) === 0) {
+      for (const role of BUILT_IN_ROLES) {
+        await env.DB.prepare('INSERT OR IGNORE INTO roles (key, name, description) VALUES (?, ?, ?)').bind(role.key, role.name, role.description).run();
+      }
+    }
+    // Built-in roles that still exist pick up permissions added after they were seeded.
+    for (const role of BUILT_IN_ROLES) {
+      await env.DB.prepare(`
+        INSERT OR IGNORE INTO role_permissions (role_key, permission)
+        SELECT r.key, p.value FROM roles r, json_each(?) p WHERE r.key = ?
+      `).bind(JSON.stringify(role.permissions), role.key).run();
+    }
+
+    // Append-only record of admin changes; the triggers refuse edits and deletes.
+    await env.DB.prepare(`
+      CREATE TABLE IF NOT EXISTS admin_audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        actor_user_id INTEGER,
+        actor TEXT,
+        action TEXT NOT NULL,
+        target_type TEXT,
+        target_id TEXT,
+        before_json TEXT,
+        after_json TEXT,
+        ip TEXT,
+        user_agent TEXT,
+        created_at DATETIME DEFAULT (datetime('now'))
+      )
+    `).run();
+    await env.DB.prepare('CREATE INDEX IF NOT EXISTS idx_admin_audit_log_target ON admin_audit_log(target_type, target_id)').run();
+    await env.DB.prepare(`
+      CREATE TRIGGER IF NOT EXISTS admin_audit_log_no_update BEFORE UPDATE ON admin_audit_log
+      BEGIN SELECT RAISE(ABORT, 'admin_audit_log is append-only'); END
+    `).run();
+    await env.DB.prepare(`
+      CREATE TRIGGER IF NOT EXISTS admin_audit_log_no_delete BEFORE DELETE ON admin_audit_log
+      BEGIN SELECT RAISE(ABORT, 'admin_audit_log is append-only'); END
+    `).run();
+
+    // Sliding-window rate limits: one row per accepted request, keyed by "scope:key".
+    await env.DB.prepare(`
+      CREATE TABLE IF NOT EXISTS rate_limit_hits (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        bucket TEXT NOT NULL,
+        hit_at INTEGER NOT NULL
+      )
+    `).run();
+    await env.DB.prepare('CREATE INDEX IF NOT EXISTS idx_rate_limit_hits_bucket ON rate_limit_hits(bucket, hit_at)').run();
+    if (!userCols.has('failed_login_count')) {
+      await env.DB.prepare('ALTER TABLE users ADD COLUMN failed_login_count INTEGER DEFAULT 0').run();
+    }
+    if (!userCols.has('failed_login_at')) {
+      await env.DB.prepare('ALTER TABLE users ADD COLUMN failed_login_at DATETIME').run();
+    }
+    if (!userCols.has('locked_until')) {
+      await env.DB.prepare('ALTER TABLE users ADD COLUMN locked_until DATETIME').run();
+    }
+
+    const layoutCount = await env.DB.prepare('SELECT COUNT(*) as c FROM seat_layouts').first();
+    if (Number(layoutCount?.c || 0) === 0) {
+      await env.DB.prepare('INSERT INTO seat_layouts (name, rows, capacity, legacy_columns) VALUES (?, ?, ?, ?)')
+        .bind(DEFAULT_COACH_LAYOUT_NAME, JSON.stringify(DEFAULT_COACH_LAYOUT_ROWS), 50, LEGACY_SEAT_COLUMNS).run();
+    }
+  })();
+
+  try {
+    await schemaInitPromise;
+  } catch (err) {
+    schemaInitPromise = null;
+    throw err;
+  }
+}
+
+async function resolveTripForBus(env, busId, tripId = null) {
+  if (tripId) {
+    const trip = await env.DB.prepare(`
+      SELECT id, route_id, bus_id, departure_date, departure_time, price, class_prices, status
+      FROM trip_schedules
+      WHERE id = ? AND bus_id = ?
+      LIMIT 1
+    `).bind(tripId, busId).first();
+    if (!trip) throw new Error('Trip not found for bus');
+    if (trip.status !== 'active') throw new Error('Trip is not active');
+    return trip;
+  }
+
+  // A bus can carry several scheduled trips, so seats are only meaningful for a named one.
+  // Buses that were never scheduled keep the legacy trip-less behaviour.
+  const scheduled = await env.DB.prepare(`
+    SELECT id FROM trip_schedules WHERE bus_id = ? AND status = 'active' LIMIT 1
+  `).bind(busId).first();
+  if (scheduled) throw new Error('Trip is required for this bus');
+
+  return null;
+}
+
+const DEFAULT_TRIP_DURATION_MINUTES = 240;
+
+// Departure window of a trip in epoch ms, or null for undated trips. Without a departure time
+// the trip is assumed to occupy the whole day.
+function tripTimeWindow(trip) {
+  const date = normalizeIsoDate(trip.departure_date);
+  if (!date) return null;
+  const time = /^\d{2}:\d{2}/.test(String(trip.departure_time || '')) ? String(trip.departure_time).slice(0, 5) : null;
+  const start = Date.parse(`${date}T${time || '00:00'}:00Z`);
+  const minutes = Number(trip.duration_minutes) > 0
+    ? Number(trip.duration_minutes)
+    : (time ? DEFAULT_TRIP_DURATION_MINUTES : 24 * 60);
+  return { start, end: start + minutes * 60 * 1000 };
+}
+
+// Returns the first active trip on the bus whose window overlaps the candidate. Undated trips
+// cannot be placed in time, so they conflict with every other trip on the same bus.
+async function findOverlappingBusTrip(env, busId, candidate, excludeTripId = null) {
+  const res = await env.DB.prepare(`
+    SELECT id, departure_date, departure_time, duration_minutes
+    FROM trip_schedules
+    WHERE bus_id = ? AND status = 'active'
+  `).bind(busId).all();
+  const window = tripTimeWindow(candidate);
+  for (const trip of (res.results || [])) {
+    if (excludeTripId && Number(trip.id) === Number(excludeTripId)) continue;
+    const other = tripTimeWindow(trip);
+    if (!window || !other) return trip;
+    if (window.start < other.end && other.start < window.end) return trip;
+  }
+  return null;
+}
+
+// Legacy "A1".."E10" labels came from the original 10-column seat grid.
+const LEGACY_SEAT_COLUMNS = 10;
+
+function normalizeSeatNumberRaw(seatValue, capacity = 50, legacyColumns = LEGACY_SEAT_COLUMNS) {
+  if (seatValue === null || seatValue === undefined) return null;
+  const raw = String(seatValue).trim().toUpperCase();
+  if (!raw) return null;
+
+  // Accept numeric seats like "38", "038", and tolerant "L38" from old UI labeling.
+  const numeric = raw.match(/^L?0*(\d+)$/);
+  if (numeric) {
+    const n = Number(numeric[1]);
+    if (!Number.isFinite(n) || n < 1 || n > Number(capacity || 50)) return null;
+    return String(n);
+  }
+
+  // Backward compatibility for legacy seat keys like "A1", "B10" (layouts without legacy columns reject them).
+  const legacy = legacyColumns ? raw.match(/^([A-Z])0*(\d{1,2})$/) : null;
+  if (legacy) {
+    const row = legacy[1].charCodeAt(0) - 65;
+    const col = Number(legacy[2]);
+    if (row < 0 || col < 1 || col > legacyColumns) return null;
+    const n = row * legacyColumns + col;
+    if (n < 1 || n > Number(capacity || 50)) return null;
+    return String(n);
+  }
+
+  return null;
+}
+
+function canonicalSeatToLegacy(canonicalSeat, legacyColumns = LEGACY_SEAT_COLUMNS) {
+  const n = Number(canonicalSeat);
+  if (!legacyColumns || !Number.isFinite(n) || n < 1) return null;
+  const row = Math.floor((n - 1) / legacyColumns);
+  const col = ((n - 1) % legacyColumns) + 1;
+  return `${String.fromCharCode(65 + row)}${col}`;
+}
+
+function uniqueNormalizedSeatList(rows, capacity, legacyColumns = LEGACY_SEAT_COLUMNS) {
+  const out = new Set();
+  for (const r of (rows || [])) {
+    const key = normalizeSeatNumberRaw(r?.seat_number, capacity, legacyColumns);
+    if (key) out.add(key);
+  }
+  return [...out].sort((a, b) => Number(a) - Number(b));
+}
+
+// ==================== SEAT LAYOUTS ====================
+
+// A layout is a list of rows; each slot is a seat number or one of the markers below.
+// Seat numbers must run 1..N without gaps, so N is the bus capacity and seat keys stay numeric.
+const LAYOUT_MARKERS = new Set(['aisle', 'void', 'stairs']);
+const DEFAULT_COACH_LAYOUT_NAME = 'Coach 50 (default)';
+const DEFAULT_COACH_LAYOUT_ROWS = [
+  ['void', 1, 'void', 'void', 'void'],
+  [2, 3, 'aisle', 4, 5],
+  [6, 7, 'aisle', 8, 9],
+  [10, 11, 'aisle', 12, 13],
+  [14, 15, 'aisle', 16, 17],
+  [18, 19, 'aisle', 20, 21],
+  [22, 23, 'aisle', 24, 25],
+  [26, 27, 'aisle', 'stairs', 'stairs'],
+  [28, 29, 'aisle', 30, 31],
+  [32, 33, 'aisle', 34, 35],
+  [36, 37, 'aisle', 38, 39],
+  [40, 41, 'aisle', 42, 43],
+  [44, 45, 'aisle', 'void', 'void'],
+  [46, 47, 48, 49, 50]
+];
+
+// Validates admin input and returns { rows, capacity, columns }. 0/null slots become 'void'.
+function normalizeLayoutRows(rows) {
+  if (!Array.isArray(rows) || !rows.length) throw new Error('Layout must have at least one row');
+  const seen = new Set();
+  const out = rows.map((row, rowIndex) => {
+    if (!Array.isArray(row) || !row.length) throw new Error(`Layout row ${rowIndex + 1} is empty`);
+    return row.map((slot) => {
+      if (slot === null || slot === 0 || slot === '0') return 'void';
+      const marker = String(slot).trim().toLowerCase();
+      if (LAYOUT_MARKERS.has(marker)) return marker;
+      const n = Number(slot);
+      if (!Number.isInteger(n) || n < 1) throw new Error(`Invalid layout slot "${slot}" in row ${rowIndex + 1}`);
+      if (seen.has(n)) throw new Error(`Seat ${n} appears twice in the layout`);
+      seen.add(n);
+      return n;
+    });
+  });
+  const capacity = seen.size;
+  if (!capacity) throw new Error('Layout has no seats');
+  for (let n = 1; n <= capacity; n++) {
+    if (!seen.has(n)) throw new Error(`Layout seats must be numbered 1-${capacity} without gaps (missing ${n})`);
+  }
+  return { rows: out, capacity, columns: Math.max(...out.map((r) => r.length)) };
+}
+
+// Seat classes a layout can mark; unmarked seats are 'standard' and cost the trip's base fare.
+const SEAT_CLASSES = {
+  front: 'Front',
+  extra_legroom: 'Extra legroom',
+  standard: 'Standard'
+};
+const DEFAULT_SEAT_CLASS = 'standard';
+
+// { "1": "front", "12": "extra_legroom" } keyed by seat number; standard seats are left out.
+function normalizeSeatClasses(input, capacity) {
+  const out = {};
+  for (const [seat, seatClass] of Object.entries(input || {})) {
+    const n = Number(seat);
+    if (!Number.isInteger(n) || n < 1 || n > capacity) throw new Error(`Seat class given for unknown seat ${seat}`);
+    const key = String(seatClass || '').trim().toLowerCase();
+    if (!SEAT_CLASSES[key]) throw new Error(`Unknown seat class: ${seatClass}`);
+    if (key !== DEFAULT_SEAT_CLASS) out[String(n)] = key;
+  }
+  return out;
+}
+
+// Per-trip class prices, e.g. { front: 120, extra_legroom: 100 }. Standard is the trip price itself.
+function normalizeClassPrices(input) {
+  const out = {};
+  for (const [seatClass, price] of Object.entries(input || {})) {
+    const key = String(seatClass || '').trim().toLowerCase();
+    if (!SEAT_CLASSES[key]) throw new Error(`Unknown seat class: ${seatClass}`);
+    if (key === DEFAULT_SEAT_CLASS) throw new Error('Standard seats use the trip price');
+    if (price === null || price === '') continue;
+    const amount = Number(price);
+    if (!Number.isFinite(amount) || amount <= 0) throw new Error(`Invalid price for ${SEAT_CLASSES[key]} seats`);
+    out[key] = roundMoney(amount);
+  }
+  return out;
+}
+
+function seatClassPrice(seatClass, basePrice, classPrices) {
+  const price = Number((classPrices || {})[seatClass]);
+  return roundMoney(Number.isFinite(price) && price > 0 ? price : basePrice);
+}
+
+// Price of every seat class on a trip (or on a trip-less bus), before fare rules.
+async function getClassPriceTable(env, busId, trip) {
+  const bus = await env.DB.prepare('SELECT price FROM buses WHERE id = ?').bind(busId).first();
+  const basePrice = roundMoney(trip?.price ?? bus?.price ?? 0);
+  const classPrices = parseJsonColumn(trip?.class_prices, {});
+  return Object.fromEntries(Object.keys(SEAT_CLASSES).map((key) => [key, seatClassPrice(key, basePrice, classPrices)]));
+}
+
+// Plain 2+2 layout for buses that have no stored layout and are not the standard 50-seat coach.
+function buildGridLayoutRows(capacity) {
+  const rows = [];
+  for (let n = 1; n <= capacity; n += 4) {
+    const slot = (k) => (n + k <= capacity ? n + k : 'void');
+    rows.push([slot(0), slot(1), 'aisle', slot(2), slot(3)]);
+  }
+  return rows;
+}
+
+// Seat geometry and seat-number rules for a bus. Buses without a layout keep the original
+// behaviour: the default coach map for 50 seats, a generated grid otherwise.
+async function getBusSeatConfig(env, busId) {
+  const bus = await env.DB.prepare('SELECT id, capacity, layout_id FROM buses WHERE id = ?').bind(busId).first();
+  if (!bus) throw new Error('Bus not found');
+
+  const stored = bus.layout_id
+    ? await env.DB.prepare('SELECT id, name, rows, legacy_columns, seat_classes FROM seat_layouts WHERE id = ?').bind(bus.layout_id).first()
+    : null;
+  if (stored) {
+    const { rows, capacity, columns } = normalizeLayoutRows(parseJsonColumn(stored.rows, []));
+    return {
+      capacity,
+      legacyColumns: stored.legacy_columns ? Number(stored.legacy_columns) : null,
+      seatClasses: parseJsonColumn(stored.seat_classes, {}),
+      layout: { id: stored.id, name: stored.name, columns, rows }
+    };
+  }
+
+  const capacity = Number(bus.capacity || 0) > 0 ? Number(bus.capacity) : 50;
+  const rows = capacity === 50 ? DEFAULT_COACH_LAYOUT_ROWS : buildGridLayoutRows(capacity);
+  return {
+    capacity,
+    legacyColumns: LEGACY_SEAT_COLUMNS,
+    seatClasses: {},
+    layout: { id: null, name: capacity === 50 ? DEFAULT_COACH_LAYOUT_NAME : `Standard ${capacity}-seat`, columns: 5, rows }
+  };
+}
+
+async function listConfirmedSeatNumbersForBusTrip(env, busId, tripId, capacity, legacyColumns = LEGACY_SEAT_COLUMNS) {
+  const res = tripId
     ? await env.DB.prepare('SELECT seat_number FROM bookings WHERE bus_id = ? AND trip_id = ? AND status = "confirmed"').bind(busId, tripId).all()
     : await env.DB.prepare('SELECT seat_number FROM bookings WHERE bus_id = ? AND status = "confirmed"').bind(busId).all();
-  return uniqueNormalizedSeatList(res.results || [], capacity);
+  return uniqueNormalizedSeatList(res.results || [], capacity, legacyColumns);
 }
 
-async function listActiveLockedSeatNumbersForBusTrip(env, busId, tripId, capacity) {
+async function listActiveLockedSeatNumbersForBusTrip(env, busId, tripId, capacity, legacyColumns = LEGACY_SEAT_COLUMNS) {
   const res = tripId
     ? await env.DB.prepare('SELECT seat_number FROM seat_locks WHERE bus_id = ? AND trip_id = ? AND datetime(expires_at) > datetime("now")').bind(busId, tripId).all()
     : await env.DB.prepare('SELECT seat_number FROM seat_locks WHERE bus_id = ? AND datetime(expires_at) > datetime("now")').bind(busId).all();
-  return uniqueNormalizedSeatList(res.results || [], capacity);
+  return uniqueNormalizedSeatList(res.results || [], capacity, legacyColumns);
 }
 
 async function listActiveLocksForBusTrip(env, busId, tripId) {
@@ -333,22 +1215,22 @@ async function listActiveLocksForBusTrip(env, busId, tripId) {
   return res.results || [];
 }
 
-async function hasConfirmedSeat(env, busId, tripId, seatKey, capacity) {
-  const seats = await listConfirmedSeatNumbersForBusTrip(env, busId, tripId, capacity);
+async function hasConfirmedSeat(env, busId, tripId, seatKey, capacity, legacyColumns = LEGACY_SEAT_COLUMNS) {
+  const seats = await listConfirmedSeatNumbersForBusTrip(env, busId, tripId, capacity, legacyColumns);
   return seats.includes(String(seatKey));
 }
 
-async function hasActiveLockSeat(env, busId, tripId, seatKey, capacity) {
-  const seats = await listActiveLockedSeatNumbersForBusTrip(env, busId, tripId, capacity);
+async function hasActiveLockSeat(env, busId, tripId, seatKey, capacity, legacyColumns = LEGACY_SEAT_COLUMNS) {
+  const seats = await listActiveLockedSeatNumbersForBusTrip(env, busId, tripId, capacity, legacyColumns);
   return seats.includes(String(seatKey));
 }
 
-async function findOwnedActiveLockForSeat(env, busId, tripId, lockId, seatKey, capacity) {
+async function findOwnedActiveLockForSeat(env, busId, tripId, lockId, seatKey, capacity, legacyColumns = LEGACY_SEAT_COLUMNS) {
   const res = tripId
     ? await env.DB.prepare('SELECT id, seat_number FROM seat_locks WHERE bus_id = ? AND trip_id = ? AND locked_by = ? AND datetime(expires_at) > datetime("now")').bind(busId, tripId, lockId).all()
     : await env.DB.prepare('SELECT id, seat_number FROM seat_locks WHERE bus_id = ? AND locked_by = ? AND datetime(expires_at) > datetime("now")').bind(busId, lockId).all();
   const rows = res.results || [];
-  return rows.find((r) => normalizeSeatNumberRaw(r.seat_number, capacity) === String(seatKey)) || null;
+  return rows.find((r) => normalizeSeatNumberRaw(r.seat_number, capacity, legacyColumns) === String(seatKey)) || null;
 }
 
 async function insertConfirmedBookingAtomic(env, payload) {
@@ -401,7 +1283,7 @@ async function handleGetRoutes(env){
     FROM trip_schedules ts
     JOIN buses b ON b.id = ts.bus_id
     WHERE ts.status = 'active'
-    ORDER BY ts.id DESC
+    ORDER BY ts.departure_date IS NULL, ts.departure_date ASC, ts.departure_time ASC, ts.id ASC
   `).all();
   const activeTrips = activeTripsRes.results || [];
   const tripCountRes = await env.DB.prepare('SELECT COUNT(*) as c FROM trip_schedules').first();
@@ -492,7 +1374,7 @@ async function handleGetBusSeats(env, busId, request) {
     const ownLockId = String(url.searchParams.get('lockId') || '').trim() || null;
     const trip = await resolveTripForBus(env, busId, tripId);
 
-    const capacity = await getBusCapacity(env, busId);
+    const { capacity, legacyColumns, seatClasses, layout } = await getBusSeatConfig(env, busId);
 
     // Numeric seat keys: "1" ... "capacity"
     const allSeats = [];
@@ -500,12 +1382,12 @@ async function handleGetBusSeats(env, busId, request) {
       allSeats.push(String(i + 1));
     }
 
-    const bookedSeats = await listConfirmedSeatNumbersForBusTrip(env, busId, trip?.id || null, capacity);
+    const bookedSeats = await listConfirmedSeatNumbersForBusTrip(env, busId, trip?.id || null, capacity, legacyColumns);
     const activeLocks = await listActiveLocksForBusTrip(env, busId, trip?.id || null);
     const ownLockedSet = new Set();
     const lockedByOthersSet = new Set();
     for (const l of activeLocks) {
-      const k = normalizeSeatNumberRaw(l.seat_number, capacity);
+      const k = normalizeSeatNumberRaw(l.seat_number, capacity, legacyColumns);
       if (!k) continue;
       if (ownLockId && String(l.locked_by || '') === ownLockId) ownLockedSet.add(k);
       else lockedByOthersSet.add(k);
@@ -521,6 +1403,9 @@ async function handleGetBusSeats(env, busId, request) {
 
     return new Response(JSON.stringify({
       trip_id: trip?.id || null,
+      layout: { ...layout, capacity },
+      seat_classes: seatClasses,
+      class_prices: await getClassPriceTable(env, busId, trip),
       available,
       locked: lockedSeats,
       own_locked: ownLocked,
@@ -532,14 +1417,16 @@ async function handleGetBusSeats(env, busId, request) {
 }
 
 // NEW: Lock a seat (insert into seat_locks with expiry)
-async function handleLockSeat(env, busId, seat, tripId = null, lockId = null) {
+async function handleLockSeat(env, busId, seat, tripId = null, lockId = null, client = {}) {
   try {
+    await consumeRateLimit(env, 'lock_seat_ip', clientRateLimitKey(client), 'Too many seat selections.');
+    await consumeRateLimit(env, 'lock_seat_lock', lockId, 'Too many seat selections.');
     const trip = await resolveTripForBus(env, busId, tripId ? Number(tripId) : null);
     const tripKey = trip?.id || null;
-    const capacity = await getBusCapacity(env, busId);
-    const seatKey = normalizeSeatNumberRaw(seat, capacity);
+    const { capacity, legacyColumns, seatClasses } = await getBusSeatConfig(env, busId);
+    const seatKey = normalizeSeatNumberRaw(seat, capacity, legacyColumns);
     if (!seatKey) throw new Error('Invalid seat number');
-    const legacySeat = canonicalSeatToLegacy(seatKey) || seatKey;
+    const legacySeat = canonicalSeatToLegacy(seatKey, legacyColumns) || seatKey;
     const requestedLockId = String(lockId || '').trim() || null;
     const lockOwner = requestedLockId || `lock_${Date.now()}_${Math.random().toString(36).slice(2, 10)}`;
 
@@ -551,24 +1438,25 @@ async function handleLockSeat(env, busId, seat, tripId = null, lockId = null) {
         AND datetime(expires_at) <= datetime("now")
     `).bind(busId, seatKey, legacySeat).run();
     if (tripKey) {
+      // Drop leftover trip-less locks on this seat; locks of the bus's other trips are independent.
       await env.DB.prepare(`
         DELETE FROM seat_locks
         WHERE bus_id = ?
           AND (seat_number = ? OR seat_number = ?)
-          AND (trip_id IS NULL OR trip_id != ?)
-      `).bind(busId, seatKey, legacySeat, tripKey).run();
+          AND trip_id IS NULL
+      `).bind(busId, seatKey, legacySeat).run();
     }
 
     // Check if seat is already locked by another user.
     const activeLocks = await listActiveLocksForBusTrip(env, busId, tripKey);
     const matchingLock = activeLocks.find((l) => {
-      const k = normalizeSeatNumberRaw(l.seat_number, capacity);
+      const k = normalizeSeatNumberRaw(l.seat_number, capacity, legacyColumns);
       return k === seatKey;
     });
     if (matchingLock && String(matchingLock.locked_by || '') !== lockOwner) {
       throw new Error('Seat already locked by another user');
     }
-    if (await hasConfirmedSeat(env, busId, tripKey, seatKey, capacity)) {
+    if (await hasConfirmedSeat(env, busId, tripKey, seatKey, capacity, legacyColumns)) {
       throw new Error('Seat already booked');
     }
 
@@ -579,187 +1467,697 @@ async function handleLockSeat(env, busId, seat, tripId = null, lockId = null) {
     if (matchingLock) {
       await env.DB.prepare('UPDATE seat_locks SET expires_at = ? WHERE id = ?').bind(expiresAt, matchingLock.id).run();
     } else {
-      await env.DB.prepare('INSERT INTO seat_locks (bus_id, trip_id, seat_number, locked_by, expires_at) VALUES (?, ?, ?, ?, ?)').bind(busId, tripKey, seatKey, lockOwner, expiresAt).run();
+      await assertSeatHoldAllowed(env, busId, tripKey, lockOwner, client.ip || null);
+      await env.DB.prepare('INSERT INTO seat_locks (bus_id, trip_id, seat_number, locked_by, locked_ip, expires_at) VALUES (?, ?, ?, ?, ?, ?)').bind(busId, tripKey, seatKey, lockOwner, client.ip || null, expiresAt).run();
     }
 
+    const seatClass = seatClasses[seatKey] || DEFAULT_SEAT_CLASS;
+    const classPriceTable = await getClassPriceTable(env, busId, trip);
+
     return new Response(JSON.stringify({
       lock_id: lockOwner,
       trip_id: tripKey,
       seat: seatKey,
+      seat_class: seatClass,
+      seat_price: classPriceTable[seatClass],
       expires_at: expiresAt
     }), { status: 200, headers: { 'Content-Type': 'application/json', ...corsHeaders() } });
   } catch (err) {
+    return rateLimitedErrorResponse(err);
+  }
+}
+
+function roundMoney(value) {
+  return Math.round(Number(value || 0) * 100) / 100;
+}
+
+// Active fare rules that apply to a trip/route for the given number of seats.
+async function listApplicableFareRules(env, routeId, tripId, seatCount) {
+  const res = await env.DB.prepare(`
+    SELECT id, name, route_id, trip_id, min_seats, percent_off, amount_off
+    FROM fare_rules
+    WHERE active = 1
+      AND min_seats <= ?
+      AND (route_id IS NULL OR route_id = ?)
+      AND (trip_id IS NULL OR trip_id = ?)
+      AND (starts_at IS NULL OR datetime(starts_at) <= datetime('now'))
+      AND (ends_at IS NULL OR datetime(ends_at) > datetime('now'))
+  `).bind(seatCount, routeId || null, tripId || null).all();
+  return res.results || [];
+}
+
+function normalizePromoCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+// Checks a promo code against its window, restrictions and usage caps. Checkout reservations
+// count towards the caps while their hold is live, except the account's own unpaid ones, which
+// a new checkout replaces. The per-user cap is counted against the signed-in account, so codes
+// that carry one cannot be used anonymously.
+// Returns { promo } or { error }.
+async function checkPromoCode(env, code, { routeId = null, tripId = null, userId = null } = {}) {
+  const promo = await env.DB.prepare(`
+    SELECT id, code, percent_off, amount_off, route_id, trip_id, max_uses, max_uses_per_user, active,
+           (starts_at IS NULL OR datetime(starts_at) <= datetime('now')) as started,
+           (ends_at IS NULL OR datetime(ends_at) > datetime('now')) as open
+    FROM promo_codes
+    WHERE code = ?
+  `).bind(normalizePromoCode(code)).first();
+  if (!promo || Number(promo.active) !== 1) return { error: 'Promo code is not valid' };
+  if (!Number(promo.started)) return { error: 'Promo code is not active yet' };
+  if (!Number(promo.open)) return { error: 'Promo code has expired' };
+  if (promo.route_id && Number(promo.route_id) !== Number(routeId)) return { error: 'Promo code does not apply to this route' };
+  if (promo.trip_id && Number(promo.trip_id) !== Number(tripId)) return { error: 'Promo code does not apply to this trip' };
+
+  if (promo.max_uses_per_user && !userId) return { error: 'Please sign in to use this promo code' };
+
+  if (promo.max_uses || promo.max_uses_per_user) {
+    const usage = await env.DB.prepare(`
+      SELECT COUNT(*) as total,
+             SUM(CASE WHEN user_id = ? THEN 1 ELSE 0 END) as mine
+      FROM promo_redemptions
+      WHERE promo_id = ?
+        AND (status = 'redeemed' OR (status = 'reserved' AND datetime(created_at) > datetime('now', '-${CHECKOUT_HOLD_MINUTES} minutes')
+          AND NOT (user_id = ? AND reference IN (SELECT reference FROM pending_bookings WHERE status = 'pending'))))
+    `).bind(userId || 0, promo.id, userId || 0).first();
+    if (promo.max_uses && Number(usage?.total || 0) >= Number(promo.max_uses)) {
+      return { error: 'Promo code has been fully redeemed' };
+    }
+    if (promo.max_uses_per_user && Number(usage?.mine || 0) >= Number(promo.max_uses_per_user)) {
+      return { error: 'You have already used this promo code' };
+    }
+  }
+  return { promo };
+}
+
+async function releasePromoRedemption(env, reference) {
+  await env.DB.prepare("UPDATE promo_redemptions SET status = 'released' WHERE reference = ? AND status = 'reserved'")
+    .bind(reference).run();
+}
+
+const CHECKOUT_SUPERSEDED_REASON = 'Replaced by a newer checkout';
+
+// A signed-in customer's new checkout replaces their earlier unpaid ones for the same code.
+// Each earlier checkout is failed before its reservation is released, so it can never be
+// completed on the released reservation. Returns false when one of them is already being paid.
+async function supersedePromoCheckouts(env, promoId, userId, reference) {
+  const res = await env.DB.prepare(`
+    SELECT reference FROM promo_redemptions
+    WHERE promo_id = ? AND user_id = ? AND status = 'reserved' AND reference != ?
+  `).bind(promoId, userId, reference).all();
+  let superseded = true;
+  for (const row of (res.results || [])) {
+    await env.DB.prepare(`
+      UPDATE pending_bookings SET status = 'failed', failure_reason = ?
+      WHERE reference = ? AND status = 'pending'
+    `).bind(CHECKOUT_SUPERSEDED_REASON, row.reference).run();
+    const earlier = await env.DB.prepare('SELECT status FROM pending_bookings WHERE reference = ?').bind(row.reference).first();
+    if (!earlier || earlier.status === 'failed') {
+      await releasePromoRedemption(env, row.reference);
+    } else {
+      superseded = false;
+    }
+  }
+  return superseded;
+}
+
+// Server-side fare for a seat selection. The client never supplies the price: the base fare
+// comes from the trip (falling back to the bus), and the single best fare rule is applied.
+// A promo code stacks on top of the fare rule; an unusable code is reported as promoError
+// rather than failing the quote.
+async function computeFareQuote(env, { busId, tripId = null, seats = [], promoCode = null, userId = null }) {
+  const bus = await env.DB.prepare('SELECT id, route_id, capacity, price FROM buses WHERE id = ?').bind(busId).first();
+  if (!bus) throw new Error('Bus not found');
+  const trip = await resolveTripForBus(env, busId, tripId ? Number(tripId) : null);
+  const { capacity, legacyColumns, seatClasses } = await getBusSeatConfig(env, busId);
+
+  const seatKeys = [];
+  for (const rawSeat of (seats || [])) {
+    const seatKey = normalizeSeatNumberRaw(rawSeat, capacity, legacyColumns);
+    if (!seatKey) throw new Error('Invalid seat number');
+    if (!seatKeys.includes(seatKey)) seatKeys.push(seatKey);
+  }
+
+  // unitPrice is the standard-class fare; each seat is priced by its class.
+  const unitPrice = roundMoney(trip?.price ?? bus.price ?? 0);
+  if (!(unitPrice > 0)) throw new Error('Fare not configured for this trip');
+  const classPrices = parseJsonColumn(trip?.class_prices, {});
+  const seatLines = seatKeys.map((seat) => {
+    const seatClass = seatClasses[seat] || DEFAULT_SEAT_CLASS;
+    return { seat, seatClass, price: seatClassPrice(seatClass, unitPrice, classPrices) };
+  });
+  const subtotal = roundMoney(seatLines.reduce((sum, line) => sum + line.price, 0));
+  const routeId = trip?.route_id || bus.route_id || null;
+
+  let appliedRule = null;
+  let discount = 0;
+  if (seatKeys.length) {
+    const rules = await listApplicableFareRules(env, routeId, trip?.id || null, seatKeys.length);
+    for (const rule of rules) {
+      const ruleDiscount = roundMoney(
+        subtotal * (Number(rule.percent_off || 0) / 100) + Number(rule.amount_off || 0)
+      );
+      if (ruleDiscount > discount) {
+        discount = ruleDiscount;
+        appliedRule = { id: rule.id, name: rule.name };
+      }
+    }
+  }
+  discount = Math.min(discount, subtotal);
+
+  let promo = null;
+  let promoError = null;
+  const promoKey = normalizePromoCode(promoCode);
+  if (promoKey && seatKeys.length) {
+    const check = await checkPromoCode(env, promoKey, { routeId, tripId: trip?.id || null, userId });
+    if (check.error) {
+      promoError = check.error;
+    } else {
+      const remaining = roundMoney(subtotal - discount);
+      const promoDiscount = Math.min(remaining, roundMoney(
+        remaining * (Number(check.promo.percent_off || 0) / 100) + Number(check.promo.amount_off || 0)
+      ));
+      promo = { id: check.promo.id, code: check.promo.code, discount: promoDiscount };
+      discount = roundMoney(discount + promoDiscount);
+    }
+  }
+  const total = roundMoney(subtotal - discount);
+
+  // Spread the discount over the seats in proportion to their price; the last seat takes the
+  // rounding remainder so the per-seat amounts always add up to the total charged.
+  let allocated = 0;
+  const seatPrices = seatLines.map((line, index) => {
+    const amount = index === seatLines.length - 1
+      ? roundMoney(total - allocated)
+      : roundMoney(subtotal > 0 ? (line.price * total) / subtotal : 0);
+    allocated = roundMoney(allocated + amount);
+    return { ...line, total: amount };
+  });
+
+  return {
+    busId: Number(bus.id),
+    tripId: trip?.id || null,
+    routeId,
+    seats: seatKeys,
+    seatCount: seatKeys.length,
+    seatPrices,
+    unitPrice,
+    subtotal,
+    discount,
+    total,
+    totalKobo: Math.round(total * 100),
+    currency: 'GHS',
+    fareRule: appliedRule,
+    promo,
+    promoError
+  };
+}
+
+// NEW: Fare quote for the booking page
+async function handleBookingQuote(env, data, token) {
+  try {
+    const { busId, tripId, seats, seat, promoCode } = data || {};
+    if (!busId) throw new Error('Bus is required');
+    const seatList = Array.isArray(seats) ? seats : (seat !== undefined && seat !== null ? [seat] : []);
+    const user = token ? await getSessionUser(env, token).catch(() => null) : null;
+    const quote = await computeFareQuote(env, { busId, tripId, seats: seatList, promoCode, userId: user?.id || null });
+    return new Response(JSON.stringify(quote), { status: 200, headers: { 'Content-Type': 'application/json', ...corsHeaders() } });
+  } catch (err) {
     return new Response(JSON.stringify({ error: String(err) }), { status: 400, headers: { 'Content-Type': 'application/json', ...corsHeaders() } });
   }
 }
 
-// NEW: Confirm booking after Paystack payment
-async function handleBookingConfirm(env, data) {
+// Seat locks are stretched to this hold once checkout opens, so the payment window
+// (and a late webhook) cannot lose the seats to another customer.
+const CHECKOUT_HOLD_MINUTES = 30;
+
+// Completing a checkout takes seconds; a 'processing' claim older than this belongs to a
+// caller that died part-way and may be taken over.
+const PENDING_CLAIM_STALE_MINUTES = 5;
+
+function parseJsonColumn(value, fallback) {
+  if (value === null || value === undefined || value === '') return fallback;
   try {
-    const { firstName, lastName, email, phone, nokName, nokPhone, seat, seats, busId, price, unitPrice, lockId, paystackRef, tripId } = data;
-    const trip = await resolveTripForBus(env, busId, tripId ? Number(tripId) : null);
-    const tripKey = trip?.id || null;
-    const capacity = await getBusCapacity(env, busId);
-    const rawSeatList = Array.isArray(seats) && seats.length ? seats : (seat !== undefined && seat !== null ? [seat] : []);
-    if (!rawSeatList.length) throw new Error('Seat selection is required');
-    const seatKeys = [];
-    for (const rawSeat of rawSeatList) {
-      const seatKey = normalizeSeatNumberRaw(rawSeat, capacity);
-      if (!seatKey) throw new Error('Invalid seat number');
-      if (!seatKeys.includes(seatKey)) seatKeys.push(seatKey);
-    }
-    if (!seatKeys.length) throw new Error('Seat selection is required');
+    return JSON.parse(value);
+  } catch (err) {
+    return fallback;
+  }
+}
 
-    if (!paystackRef) throw new Error('Payment reference is required');
+function generatePaymentReference() {
+  return `ELITE-${Date.now()}-${Math.random().toString(36).slice(2, 11)}`;
+}
 
-    // Idempotency: if this payment reference already created one or more bookings, return them.
-    const existingRes = await env.DB.prepare(`
-      SELECT b.id, b.seat_number, b.price_paid, buses.name as bus_name, r.name as route_name, buses.capacity as bus_capacity
-      FROM bookings b
-      JOIN buses ON buses.id = b.bus_id
-      JOIN routes r ON r.id = buses.route_id
-      WHERE b.external_ref = ? OR b.external_ref LIKE ?
-      ORDER BY b.id ASC
-    `).bind(paystackRef, `${paystackRef}:%`).all();
-    const existingRows = existingRes.results || [];
-    if (existingRows.length) {
-      const existingReceipt = await getReceiptByBookingId(env, existingRows[0].id);
-      const normalizedSeats = existingRows
-        .map((r) => normalizeSeatNumberRaw(r.seat_number, Number(r.bus_capacity || capacity)) || String(r.seat_number))
-        .filter(Boolean);
-      const seatText = normalizedSeats.join(', ');
-      const totalPaid = existingRows.reduce((sum, r) => sum + Number(r.price_paid || 0), 0);
-      return new Response(JSON.stringify({
-        booking_id: `ELITE-${existingRows[0].id}`,
-        booking_ids: existingRows.map((r) => `ELITE-${r.id}`),
-        passenger_name: `${firstName} ${lastName}`,
-        route_name: existingRows[0].route_name,
-        bus_name: existingRows[0].bus_name,
-        seat: seatText,
-        seats: normalizedSeats,
-        seat_count: normalizedSeats.length,
-        price: totalPaid,
-        phone,
-        email,
-        status: 'confirmed',
-        duplicate: true,
-        receipt_url: existingReceipt?.receipt_url || null
-      }), { status: 200, headers: { 'Content-Type': 'application/json', ...corsHeaders() } });
-    }
+async function getPendingBooking(env, reference) {
+  if (!reference) return null;
+  return await env.DB.prepare('SELECT * FROM pending_bookings WHERE reference = ?').bind(reference).first();
+}
 
-    // Verify Paystack transaction server-side before creating booking.
-    const verification = await verifyPaystackTransaction(env, paystackRef);
-    if (!verification.verified) throw new Error('Payment verification failed');
-    if (verification.status !== 'success') throw new Error('Payment not successful');
-    if (Number.isFinite(Number(price))) {
-      const expectedKobo = Math.round(Number(price) * 100);
-      if (verification.amountKobo !== expectedKobo) {
-        throw new Error('Payment amount mismatch');
-      }
+// buses.available_seats is what the legacy (trip-less) routes listing shows. Buses on the trip
+// schedule count against their next active trip; buses with nothing scheduled are empty.
+// Per-trip availability is always counted from the trip's own bookings where it is shown.
+async function busLegacyAvailableSeats(env, bus, hasTripMode) {
+  let booked = 0;
+  if (hasTripMode) {
+    const nextTrip = await env.DB.prepare(`
+      SELECT id FROM trip_schedules
+      WHERE bus_id = ? AND status = 'active'
+      ORDER BY departure_date IS NULL, departure_date ASC, departure_time ASC, id ASC
+      LIMIT 1
+    `).bind(bus.id).first();
+    if (nextTrip) {
+      const count = await env.DB.prepare('SELECT COUNT(*) as c FROM bookings WHERE bus_id = ? AND trip_id = ? AND status = "confirmed"').bind(bus.id, nextTrip.id).first();
+      booked = Number(count?.c || 0);
     }
+  } else {
+    const count = await env.DB.prepare('SELECT COUNT(*) as c FROM bookings WHERE bus_id = ? AND trip_id IS NULL AND status = "confirmed"').bind(bus.id).first();
+    booked = Number(count?.c || 0);
+  }
+  return Math.max(0, Number(bus.capacity || 0) - booked);
+}
 
-    // Validate all seat locks still exist and are owned by this lock session.
-    const ownedLocks = [];
-    for (const seatKey of seatKeys) {
-      const lock = await findOwnedActiveLockForSeat(env, busId, tripKey, lockId, seatKey, capacity);
-      if (!lock) throw new Error(`Seat lock expired or invalid for seat ${seatKey}`);
-      ownedLocks.push(lock);
-    }
+async function refreshBusAvailableSeats(env, busId) {
+  const bus = await env.DB.prepare('SELECT id, capacity FROM buses WHERE id = ?').bind(busId).first();
+  if (!bus) return;
+  const tripCountRes = await env.DB.prepare('SELECT COUNT(*) as c FROM trip_schedules').first();
+  const remaining = await busLegacyAvailableSeats(env, bus, Number(tripCountRes?.c || 0) > 0);
+  await env.DB.prepare('UPDATE buses SET available_seats = ? WHERE id = ?').bind(remaining, busId).run();
+}
 
-    // Create passenger record
-    const passengerRes = await env.DB.prepare('INSERT INTO passengers (first_name, last_name, email, phone, next_of_kin_name, next_of_kin_phone) VALUES (?, ?, ?, ?, ?, ?)').bind(firstName, lastName, email, phone, nokName, nokPhone).run();
-    const passengerId = passengerRes.meta.last_row_id;
+// Rebuilds the customer receipt for bookings already created from a payment reference.
+async function loadReceiptForReference(env, reference, passenger = {}) {
+  const existingRes = await env.DB.prepare(`
+    SELECT b.id, b.seat_number, b.price_paid, buses.name as bus_name, buses.capacity as bus_capacity,
+           r.name as route_name
+    FROM bookings b
+    JOIN buses ON buses.id = b.bus_id
+    LEFT JOIN trip_schedules ts ON ts.id = b.trip_id
+    JOIN routes r ON r.id = COALESCE(ts.route_id, buses.route_id)
+    WHERE b.external_ref = ? OR b.external_ref LIKE ?
+    ORDER BY b.id ASC
+  `).bind(reference, `${reference}:%`).all();
+  const existingRows = existingRes.results || [];
+  if (!existingRows.length) return null;
+
+  const existingReceipt = await getReceiptByBookingId(env, existingRows[0].id);
+  const normalizedSeats = existingRows
+    .map((r) => normalizeSeatNumberRaw(r.seat_number, Number(r.bus_capacity || 50)) || String(r.seat_number))
+    .filter(Boolean);
+  return {
+    booking_id: `ELITE-${existingRows[0].id}`,
+    booking_ids: existingRows.map((r) => `ELITE-${r.id}`),
+    passenger_name: `${passenger.firstName || ''} ${passenger.lastName || ''}`.trim(),
+    route_name: existingRows[0].route_name,
+    bus_name: existingRows[0].bus_name,
+    seat: normalizedSeats.join(', '),
+    seats: normalizedSeats,
+    seat_count: normalizedSeats.length,
+    price: existingRows.reduce((sum, r) => sum + Number(r.price_paid || 0), 0),
+    phone: passenger.phone || null,
+    email: passenger.email || null,
+    status: 'confirmed',
+    duplicate: true,
+    receipt_url: existingReceipt?.receipt_url || null
+  };
+}
+
+// Per-seat traveller details for a group booking, keyed by canonical seat. Seats left out
+// travel under the booker's details.
+function normalizeSeatPassengers(list, seatKeys, capacity, legacyColumns) {
+  const bySeat = {};
+  for (const entry of (Array.isArray(list) ? list : [])) {
+    const seatKey = normalizeSeatNumberRaw(entry?.seat, capacity, legacyColumns);
+    if (!seatKey || !seatKeys.includes(seatKey)) throw new Error('Passenger details given for a seat that is not selected');
+    const firstName = String(entry.firstName || '').trim();
+    const lastName = String(entry.lastName || '').trim();
+    const phone = String(entry.phone || '').trim();
+    if (!firstName || !lastName || !phone) throw new Error(`Name and phone are required for seat ${seatKey}`);
+    bySeat[seatKey] = {
+      firstName,
+      lastName,
+      phone,
+      nokName: String(entry.nokName || '').trim() || null,
+      nokPhone: String(entry.nokPhone || '').trim() || null
+    };
+  }
+  return bySeat;
+}
+
+// NEW: Open checkout. Records a pending booking (passenger, seats, trip and expected amount)
+// under a server-generated payment reference before the payment gateway is opened.
+async function handleBookingInitialize(env, data, token) {
+  try {
+    const { firstName, lastName, email, phone, nokName, nokPhone, seat, seats, busId, price, lockId, tripId, promoCode, passengers } = data || {};
+    if (!firstName || !lastName || !email || !phone) throw new Error('Passenger details are required');
+    let user = null;
+    if (requireVerifiedEmail(env)) {
+      user = await getSessionUser(env, token);
+      if (!accountIsVerified(user)) throw new Error('Please verify your email address before booking');
+    } else if (token) {
+      user = await getSessionUser(env, token).catch(() => null);
+    }
+    if (!busId) throw new Error('Bus is required');
+    const lockKey = String(lockId || '').trim();
+    if (!lockKey) throw new Error('Seat lock is required');
+
+    const rawSeatList = Array.isArray(seats) && seats.length ? seats : (seat !== undefined && seat !== null ? [seat] : []);
+    const promoKey = normalizePromoCode(promoCode);
+    const quote = await computeFareQuote(env, { busId, tripId, seats: rawSeatList, promoCode: promoKey, userId: user?.id || null });
+    if (quote.promoError) throw new Error(quote.promoError);
+    const tripKey = quote.tripId;
+    const seatKeys = quote.seats;
+    if (!seatKeys.length) throw new Error('Seat selection is required');
+    const { capacity, legacyColumns } = await getBusSeatConfig(env, busId);
+    const seatPassengers = normalizeSeatPassengers(passengers, seatKeys, capacity, legacyColumns);
+
+    // The amount charged is always the server quote. A differing client total means the
+    // customer saw a stale fare, so make them review it instead of charging silently.
+    if (price !== undefined && price !== null && Math.round(Number(price) * 100) !== quote.totalKobo) {
+      return new Response(JSON.stringify({ error: 'Fare has changed. Please review the new total.', quote }), { status: 409, headers: { 'Content-Type': 'application/json', ...corsHeaders() } });
+    }
+    const perSeat = roundMoney(quote.total / seatKeys.length);
+
+    const ownedLocks = [];
+    for (const seatKey of seatKeys) {
+      const lock = await findOwnedActiveLockForSeat(env, busId, tripKey, lockKey, seatKey, capacity, legacyColumns);
+      if (!lock) throw new Error(`Seat lock expired or invalid for seat ${seatKey}`);
+      ownedLocks.push(lock);
+    }
+
+    const reference = generatePaymentReference();
+    const amountKobo = quote.totalKobo;
+    await env.DB.prepare(`
+      INSERT INTO pending_bookings (reference, bus_id, trip_id, lock_id, seats, passenger, seat_passengers, amount_kobo, unit_price, seat_prices, promo_code, status)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending')
+    `).bind(
+      reference,
+      busId,
+      tripKey,
+      lockKey,
+      JSON.stringify(seatKeys),
+      JSON.stringify({ firstName, lastName, email, phone, nokName: nokName || null, nokPhone: nokPhone || null }),
+      Object.keys(seatPassengers).length ? JSON.stringify(seatPassengers) : null,
+      amountKobo,
+      perSeat,
+      JSON.stringify(Object.fromEntries(quote.seatPrices.map((line) => [line.seat, line.total]))),
+      quote.promo?.code || null
+    ).run();
+    if (quote.promo) {
+      await env.DB.prepare(`
+        INSERT INTO promo_redemptions (promo_id, reference, user_id, email, discount, status)
+        VALUES (?, ?, ?, ?, ?, 'reserved')
+      `).bind(quote.promo.id, reference, user?.id || null, email, quote.promo.discount).run();
+    }
+    const payment = await openCheckoutPayment(env, {
+      reference,
+      amountKobo,
+      email,
+      phone,
+      name: `${firstName} ${lastName}`
+    }).catch(async (err) => {
+      await releasePromoRedemption(env, reference);
+      throw err;
+    });
+    if (quote.promo && user && !(await supersedePromoCheckouts(env, quote.promo.id, user.id, reference))) {
+      await env.DB.prepare("UPDATE pending_bookings SET status = 'failed', failure_reason = ? WHERE reference = ?")
+        .bind('Earlier checkout with this promo code is being paid', reference).run();
+      await releasePromoRedemption(env, reference);
+      throw new Error('Your earlier checkout with this promo code is being paid. Please wait for it to finish.');
+    }
+
+    // Seats are held for the whole checkout only once the gateway has opened it.
+    const holdRes = await env.DB.prepare(`SELECT datetime('now', '+${CHECKOUT_HOLD_MINUTES} minutes') as expires_at`).first();
+    const holdUntil = holdRes?.expires_at || new Date(Date.now() + CHECKOUT_HOLD_MINUTES * 60 * 1000).toISOString();
+    for (const lock of ownedLocks) {
+      await env.DB.prepare('UPDATE seat_locks SET expires_at = ? WHERE id = ?').bind(holdUntil, lock.id).run();
+    }
+
+    return new Response(JSON.stringify({
+      reference,
+      trip_id: tripKey,
+      seats: seatKeys,
+      amount: amountKobo / 100,
+      amount_kobo: amountKobo,
+      quote,
+      payment,
+      hold_expires_at: holdUntil,
+      status: 'pending'
+    }), { status: 200, headers: { 'Content-Type': 'application/json', ...corsHeaders() } });
+  } catch (err) {
+    return new Response(JSON.stringify({ error: String(err) }), { status: 400, headers: { 'Content-Type': 'application/json', ...corsHeaders() } });
+  }
+}
+
+// A verified charge that cannot become a booking is refunded in full straight away, so the
+// customer is never left paid without a seat.
+async function failPaidCheckout(env, pending, reason, amountKobo) {
+  await env.DB.prepare(`
+    UPDATE pending_bookings SET status = 'failed', failure_reason = ?, refund_status = 'pending', refund_kobo = ?
+    WHERE id = ?
+  `).bind(reason, amountKobo, pending.id).run();
+  await releasePromoRedemption(env, pending.reference);
+  try {
+    const provider = await getPaymentProviderForReference(env, pending.reference);
+    const providerRefund = await provider.refund(env, pending.reference, amountKobo);
+    const status = providerRefund.status === 'processed' ? 'processed' : 'pending';
+    await env.DB.prepare('UPDATE pending_bookings SET refund_status = ?, provider_refund_id = ? WHERE id = ?')
+      .bind(status, providerRefund.refundId, pending.id).run();
+    return { failed: true, reason, refund: { status, amount: amountKobo / 100 } };
+  } catch (err) {
+    await env.DB.prepare('UPDATE pending_bookings SET refund_status = ?, refund_error = ? WHERE id = ?')
+      .bind('failed', String(err), pending.id).run();
+    return { failed: true, reason, refund: { status: 'failed', amount: amountKobo / 100, error: String(err) } };
+  }
+}
+
+function failedCheckoutOutcome(pending) {
+  const outcome = { failed: true, reason: pending.failure_reason || 'Booking failed' };
+  if (pending.refund_status) {
+    outcome.refund = { status: pending.refund_status, amount: Number(pending.refund_kobo || 0) / 100 };
+  }
+  return outcome;
+}
+
+// Bookings written under a checkout reference by an attempt that never marked it completed.
+async function discardPartialCheckoutBookings(env, reference) {
+  await env.DB.prepare(`
+    DELETE FROM bookings
+    WHERE status = 'confirmed' AND (external_ref = ? OR external_ref LIKE ?)
+  `).bind(reference, `${reference}:%`).run();
+}
+
+// Turns a paid pending booking into confirmed bookings. Safe to call from both the
+// browser confirm call and the Paystack webhook: only the caller that claims the
+// pending row creates bookings, everyone else gets the stored outcome.
+// Returns { receipt } on success, { processing: true } while another caller holds the claim,
+// or { failed: true, reason } when the payment could not be turned into a booking.
+async function completePendingBooking(env, reference, verification, source) {
+  let pending = await getPendingBooking(env, reference);
+  if (!pending) return null;
+
+  const passenger = parseJsonColumn(pending.passenger, {});
+  if (pending.status === 'completed' && pending.kind === 'rebook') {
+    return { receipt: await loadTransferReceipt(env, pending.booking_id) };
+  }
+  if (pending.status === 'completed') {
+    return { receipt: await loadReceiptForReference(env, reference, passenger) };
+  }
+  if (pending.status === 'failed') {
+    // A checkout replaced by a newer one can still be paid from a popup left open. Refund it once.
+    if (verification?.status === 'success' && pending.failure_reason === CHECKOUT_SUPERSEDED_REASON && !pending.refund_status) {
+      const refundClaim = await env.DB.prepare(`
+        UPDATE pending_bookings SET refund_status = 'pending'
+        WHERE id = ? AND status = 'failed' AND failure_reason = ? AND refund_status IS NULL
+      `).bind(pending.id, CHECKOUT_SUPERSEDED_REASON).run();
+      if (Number(refundClaim?.meta?.changes || 0) > 0) {
+        return await failPaidCheckout(env, pending, CHECKOUT_SUPERSEDED_REASON, Number(verification.amountKobo));
+      }
+      pending = await getPendingBooking(env, reference);
+    }
+    return failedCheckoutOutcome(pending);
+  }
+  if (verification?.status !== 'success') return { failed: false, unpaid: true, reason: 'Payment not successful' };
+
+  const claim = await env.DB.prepare(`
+    UPDATE pending_bookings SET status = 'processing', claimed_at = datetime('now')
+    WHERE id = ? AND (status = 'pending' OR (status = 'processing'
+      AND (claimed_at IS NULL OR datetime(claimed_at) <= datetime('now', '-${PENDING_CLAIM_STALE_MINUTES} minutes'))))
+  `).bind(pending.id).run();
+  if (Number(claim?.meta?.changes || 0) === 0) {
+    pending = await getPendingBooking(env, reference);
+    if (pending?.status === 'completed') return await completePendingBooking(env, reference, null, source);
+    if (pending?.status === 'failed') return failedCheckoutOutcome(pending);
+    return { processing: true };
+  }
+
+  if (Number(verification.amountKobo) !== Number(pending.amount_kobo)) {
+    return await failPaidCheckout(env, pending, 'Payment amount mismatch', Number(verification.amountKobo));
+  }
+
+  if (pending.kind === 'rebook') {
+    return await completePaidRebook(env, pending, source);
+  }
+  if (pending.status === 'processing') {
+    // Taken over from a caller that died part-way: drop whatever bookings it left behind.
+    await discardPartialCheckoutBookings(env, reference);
+  }
 
-    const totalPaid = Number.isFinite(Number(price)) ? Number(price) : 0;
-    const perSeatFromInput = Number(unitPrice);
-    const perSeatPaid = Number.isFinite(perSeatFromInput) && perSeatFromInput > 0
-      ? perSeatFromInput
-      : (seatKeys.length ? (totalPaid / seatKeys.length) : totalPaid);
+  const busId = pending.bus_id;
+  const tripKey = pending.trip_id || null;
+  const seatKeys = parseJsonColumn(pending.seats, []);
+  const perSeatPaid = Number(pending.unit_price || 0) || (Number(pending.amount_kobo) / 100) / Math.max(1, seatKeys.length);
+  const seatPricesPaid = parseJsonColumn(pending.seat_prices, {});
+  const totalPaid = Number(pending.amount_kobo) / 100;
+  const { firstName, lastName, email, phone, nokName, nokPhone } = passenger;
+  const { legacyColumns } = await getBusSeatConfig(env, busId);
+
+  const passengerIds = new Map();
+  const createdBookingIds = [];
+  const seatTravellers = {};
+  const discardCreated = async () => {
+    for (const id of createdBookingIds.splice(0)) {
+      await env.DB.prepare('DELETE FROM bookings WHERE id = ?').bind(id).run();
+    }
+    for (const passengerId of passengerIds.values()) {
+      await env.DB.prepare('DELETE FROM passengers WHERE id = ?').bind(passengerId).run();
+    }
+    passengerIds.clear();
+  };
+  try {
+    // One passenger record per traveller. Every record carries the booker's email so the whole
+    // group shows up under the booker's account; seats without their own details share the
+    // booker's record.
+    const seatPassengers = parseJsonColumn(pending.seat_passengers, {});
+    const booker = { firstName, lastName, phone, nokName: nokName || null, nokPhone: nokPhone || null };
+    for (const seatKey of seatKeys) {
+      const traveller = seatPassengers[seatKey] || booker;
+      const identity = [traveller.firstName, traveller.lastName, traveller.phone, traveller.nokName, traveller.nokPhone].join('|').toLowerCase();
+      if (!passengerIds.has(identity)) {
+        const passengerRes = await env.DB.prepare('INSERT INTO passengers (first_name, last_name, email, phone, next_of_kin_name, next_of_kin_phone) VALUES (?, ?, ?, ?, ?, ?)')
+          .bind(traveller.firstName, traveller.lastName, email, traveller.phone, traveller.nokName || null, traveller.nokPhone || null).run();
+        passengerIds.set(identity, passengerRes.meta.last_row_id);
+      }
+      seatTravellers[seatKey] = { ...traveller, passengerId: passengerIds.get(identity) };
+    }
 
     // Create confirmed bookings atomically (one row per seat).
-    const createdBookingIds = [];
     for (const seatKey of seatKeys) {
-      const legacySeat = canonicalSeatToLegacy(seatKey) || seatKey;
-      const externalRef = seatKeys.length === 1 ? paystackRef : `${paystackRef}:${seatKey}`;
+      const legacySeat = canonicalSeatToLegacy(seatKey, legacyColumns) || seatKey;
+      const externalRef = seatKeys.length === 1 ? reference : `${reference}:${seatKey}`;
       const bookingInsert = await insertConfirmedBookingAtomic(env, {
-        passengerId,
+        passengerId: seatTravellers[seatKey].passengerId,
         busId,
         tripId: tripKey,
         seatNumber: seatKey,
         legacySeatNumber: legacySeat,
-        pricePaid: perSeatPaid,
+        pricePaid: Number(seatPricesPaid[seatKey] ?? perSeatPaid),
         externalRef
       });
       if (!bookingInsert.inserted) {
-        for (const bookingId of createdBookingIds) {
-          await env.DB.prepare('DELETE FROM bookings WHERE id = ?').bind(bookingId).run();
-        }
-        await env.DB.prepare('DELETE FROM passengers WHERE id = ?').bind(passengerId).run();
-        throw new Error(`Seat already booked: ${seatKey}`);
+        await discardCreated();
+        return await failPaidCheckout(env, pending, `Seat already booked: ${seatKey}`, Number(pending.amount_kobo));
       }
       createdBookingIds.push(bookingInsert.bookingId);
+      seatTravellers[seatKey].bookingId = bookingInsert.bookingId;
     }
-    const bookingId = createdBookingIds[0];
 
-    // Remove all consumed seat locks
-    for (const lock of ownedLocks) {
-      await env.DB.prepare('DELETE FROM seat_locks WHERE id = ?').bind(lock.id).run();
-    }
-    if (tripKey) {
-      const busCap = await env.DB.prepare('SELECT capacity FROM buses WHERE id = ?').bind(busId).first();
-      const count = await env.DB.prepare('SELECT COUNT(*) as c FROM bookings WHERE bus_id = ? AND trip_id = ? AND status = "confirmed"').bind(busId, tripKey).first();
-      const remaining = Math.max(0, Number(busCap?.capacity || 0) - Number(count?.c || 0));
-      await env.DB.prepare('UPDATE buses SET available_seats = ? WHERE id = ?').bind(remaining, busId).run();
+    // Release the checkout hold on the now-booked seats.
+    if (pending.lock_id) {
+      await env.DB.prepare('DELETE FROM seat_locks WHERE bus_id = ? AND locked_by = ?').bind(busId, pending.lock_id).run();
+      await markWaitlistHoldClaimed(env, pending.lock_id);
     }
-
-    // Get bus and route info for receipt
-    const busInfo = await env.DB.prepare('SELECT name, route_id FROM buses WHERE id = ?').bind(busId).first();
-    const busName = busInfo?.name || 'Unknown Bus';
-    
-    // Get actual route name
-    let routeName = 'Route';
-    const routeIdForBooking = trip?.route_id || busInfo?.route_id || null;
-    if (routeIdForBooking) {
-      const routeInfo = await env.DB.prepare('SELECT name FROM routes WHERE id = ?').bind(routeIdForBooking).first();
-      routeName = routeInfo?.name || 'Route';
+    await refreshBusAvailableSeats(env, busId);
+
+    // The promo reservation made at checkout is honoured as-is: its discount is already in the
+    // amount paid, whatever happened to the code while the customer was at the gateway.
+    if (pending.promo_code) {
+      await env.DB.prepare(`
+        UPDATE promo_redemptions SET status = 'redeemed', booking_id = ?, redeemed_at = datetime('now')
+        WHERE reference = ? AND status = 'reserved'
+      `).bind(createdBookingIds[0], reference).run();
     }
+    await env.DB.prepare('UPDATE pending_bookings SET status = ?, booking_ids = ?, completed_at = datetime("now") WHERE id = ?')
+      .bind('completed', JSON.stringify(createdBookingIds), pending.id).run();
+  } catch (err) {
+    // Hand the checkout back so the webhook retry (or the customer's next confirm) can finish it.
+    await discardCreated();
+    await env.DB.prepare("UPDATE pending_bookings SET status = 'pending', claimed_at = NULL WHERE id = ? AND status = 'processing'")
+      .bind(pending.id).run();
+    throw err;
+  }
+  const bookingId = createdBookingIds[0];
+
+  // Get bus and route info for receipt
+  const busInfo = await env.DB.prepare('SELECT name, route_id FROM buses WHERE id = ?').bind(busId).first();
+  const busName = busInfo?.name || 'Unknown Bus';
+  const trip = tripKey ? await env.DB.prepare('SELECT route_id FROM trip_schedules WHERE id = ?').bind(tripKey).first() : null;
+
+  // Get actual route name
+  let routeName = 'Route';
+  const routeIdForBooking = trip?.route_id || busInfo?.route_id || null;
+  if (routeIdForBooking) {
+    const routeInfo = await env.DB.prepare('SELECT name FROM routes WHERE id = ?').bind(routeIdForBooking).first();
+    routeName = routeInfo?.name || 'Route';
+  }
 
-    // Generate/send receipt + admin notice via GAS (if configured)
-    const gasResult = await sendBookingToGAS(env, {
-      bookingId,
-      passengerName: `${firstName} ${lastName}`,
-      firstName,
-      lastName,
-      routeName,
-      busName,
-      seat: seatKeys.join(', '),
-      amount: totalPaid,
-      phone,
-      email,
-      paystackRef,
-      source: 'customer_paystack',
-      seatCount: seatKeys.length
-    });
+  // Generate/send receipt + admin notice via GAS (if configured)
+  const gasResult = await sendBookingToGAS(env, {
+    bookingId,
+    passengerName: `${firstName} ${lastName}`,
+    firstName,
+    lastName,
+    routeName,
+    busName,
+    seat: seatKeys.join(', '),
+    amount: totalPaid,
+    phone,
+    email,
+    paystackRef: reference,
+    source,
+    seatCount: seatKeys.length
+  });
 
-    const receiptUrl = gasResult?.receipt_url || gasResult?.receiptUrl || null;
-    if (receiptUrl) {
-      for (const id of createdBookingIds) {
-        await saveReceiptForBooking(env, id, receiptUrl, gasResult?.drive_file_id || gasResult?.driveFileId || null);
-      }
+  const receiptUrl = gasResult?.receipt_url || gasResult?.receiptUrl || null;
+  if (receiptUrl) {
+    for (const id of createdBookingIds) {
+      await saveReceiptForBooking(env, id, receiptUrl, gasResult?.drive_file_id || gasResult?.driveFileId || null);
     }
+  }
+
+  // Send SMS via Arkesel (include receipt link when available)
+  const seatText = seatKeys.join(', ');
+  const smsText = receiptUrl
+    ? `Your Elite Transport booking is confirmed! Booking ID: ELITE-${bookingId}, Seat(s): ${seatText}, Amount: GHS ${totalPaid.toFixed(2)}. Receipt: ${receiptUrl}`
+    : `Your Elite Transport booking is confirmed! Booking ID: ELITE-${bookingId}, Seat(s): ${seatText}, Amount: GHS ${totalPaid.toFixed(2)}`;
+  await sendSMS(env, phone, smsText);
+
+  // Every other traveller gets their own ticket, one SMS per phone number.
+  const phoneKey = (value) => String(value || '').replace(/\D/g, '');
+  const ticketsByPhone = new Map();
+  for (const seatKey of seatKeys) {
+    const traveller = seatTravellers[seatKey];
+    if (!traveller.phone || phoneKey(traveller.phone) === phoneKey(phone)) continue;
+    const key = phoneKey(traveller.phone);
+    if (!ticketsByPhone.has(key)) ticketsByPhone.set(key, { traveller, seats: [], bookingIds: [] });
+    ticketsByPhone.get(key).seats.push(seatKey);
+    ticketsByPhone.get(key).bookingIds.push(`ELITE-${traveller.bookingId}`);
+  }
+  for (const ticket of ticketsByPhone.values()) {
+    await sendSMS(env, ticket.traveller.phone,
+      `Hi ${ticket.traveller.firstName}, your Elite Transport ticket is confirmed! Booking ID: ${ticket.bookingIds.join(', ')}, Seat(s): ${ticket.seats.join(', ')}, Route: ${routeName}, Bus: ${busName}. Booked by ${firstName} ${lastName}.`);
+  }
 
-    // Send SMS via Arkesel (include receipt link when available)
-    const seatText = seatKeys.join(', ');
-    const smsText = receiptUrl
-      ? `Your Elite Transport booking is confirmed! Booking ID: ELITE-${bookingId}, Seat(s): ${seatText}, Amount: GHS ${totalPaid.toFixed(2)}. Receipt: ${receiptUrl}`
-      : `Your Elite Transport booking is confirmed! Booking ID: ELITE-${bookingId}, Seat(s): ${seatText}, Amount: GHS ${totalPaid.toFixed(2)}`;
-    await sendSMS(env, phone, smsText);
-
-    // Return receipt data
-    return new Response(JSON.stringify({
+  return {
+    receipt: {
       booking_id: `ELITE-${bookingId}`,
       booking_ids: createdBookingIds.map((id) => `ELITE-${id}`),
       passenger_name: `${firstName} ${lastName}`,
+      passengers: seatKeys.map((seatKey) => ({
+        seat: seatKey,
+        booking_id: `ELITE-${seatTravellers[seatKey].bookingId}`,
+        name: `${seatTravellers[seatKey].firstName} ${seatTravellers[seatKey].lastName}`,
+        phone: seatTravellers[seatKey].phone
+      })),
       route_name: routeName,
       bus_name: busName,
       seat: seatText,
@@ -770,6 +2168,384 @@ async function handleBookingConfirm(env, data) {
       email,
       status: 'confirmed',
       receipt_url: receiptUrl
+    }
+  };
+}
+
+// NEW: Confirm booking after gateway payment (browser callback).
+// The webhook completes the same pending booking, so this is only the fast path.
+async function handleBookingConfirm(env, data) {
+  try {
+    const reference = String(data?.reference || data?.paystackRef || '').trim();
+    if (!reference) throw new Error('Payment reference is required');
+
+    const pending = await getPendingBooking(env, reference);
+    if (!pending) throw new Error('Unknown payment reference');
+
+    const provider = getPaymentProvider(env, pending.payment_provider || 'paystack');
+    let outcome;
+    if (pending.status === 'completed' || (pending.status === 'failed' && (pending.refund_status || pending.failure_reason !== CHECKOUT_SUPERSEDED_REASON))) {
+      outcome = await completePendingBooking(env, reference, null, `customer_${provider.name}`);
+    } else {
+      // Verify the transaction with the gateway server-side before creating booking.
+      const verification = await provider.verify(env, reference);
+      if (!verification.verified) throw new Error('Payment verification failed');
+      outcome = await completePendingBooking(env, reference, verification, `customer_${provider.name}`);
+    }
+
+    if (outcome?.processing) {
+      return new Response(JSON.stringify({ reference, status: 'processing' }), { status: 202, headers: { 'Content-Type': 'application/json', ...corsHeaders() } });
+    }
+    if (outcome?.unpaid) throw new Error('Payment not successful');
+    if (outcome?.failed && outcome.refund && outcome.refund.status !== 'failed') {
+      throw new Error(`${outcome.reason}. Your payment of GHS ${outcome.refund.amount.toFixed(2)} is being refunded.`);
+    }
+    if (outcome?.failed) throw new Error(outcome.reason);
+    if (!outcome?.receipt) throw new Error('Booking not found for payment reference');
+
+    return new Response(JSON.stringify(await attachTicketsToReceipt(env, outcome.receipt)), { status: 200, headers: { 'Content-Type': 'application/json', ...corsHeaders() } });
+  } catch (err) {
+    return new Response(JSON.stringify({ error: String(err) }), { status: 400, headers: { 'Content-Type': 'application/json', ...corsHeaders() } });
+  }
+}
+
+// A MoMo charge reuses the checkout's payment reference, so a successful charge is completed
+// by the usual confirm call or the charge.success webhook.
+async function getOpenCheckout(env, reference) {
+  if (!reference) throw new Error('Payment reference is required');
+  const pending = await getPendingBooking(env, reference);
+  if (!pending) throw new Error('Unknown payment reference');
+  if (pending.status !== 'pending') throw new Error('Checkout is no longer open');
+  return pending;
+}
+
+async function handleMomoCharge(env, data) {
+  try {
+    const reference = String(data?.reference || '').trim();
+    const pending = await getOpenCheckout(env, reference);
+    const provider = MOMO_PROVIDERS[String(data?.provider || '').trim().toLowerCase()];
+    if (!provider) throw new Error('Unsupported mobile money network');
+    const phone = normalizeMomoPhone(data?.phone);
+    if (!phone) throw new Error('Enter a valid mobile money number');
+    const passenger = parseJsonColumn(pending.passenger, {});
+    if (!passenger.email) throw new Error('Passenger email is required');
+
+    // MoMo always runs through the Paystack Charge API, whichever gateway opened the checkout.
+    await env.DB.prepare("UPDATE pending_bookings SET payment_provider = 'paystack' WHERE id = ?").bind(pending.id).run();
+    const charge = await startPaystackMomoCharge(env, {
+      reference,
+      amountKobo: Number(pending.amount_kobo),
+      email: passenger.email,
+      phone,
+      provider
+    });
+    return new Response(JSON.stringify({ ...charge, reference }), { status: 200, headers: { 'Content-Type': 'application/json', ...corsHeaders() } });
+  } catch (err) {
+    return new Response(JSON.stringify({ error: String(err) }), { status: 400, headers: { 'Content-Type': 'application/json', ...corsHeaders() } });
+  }
+}
+
+async function handleMomoSubmitOtp(env, data) {
+  try {
+    const reference = String(data?.reference || '').trim();
+    await getOpenCheckout(env, reference);
+    const otp = String(data?.otp || '').trim();
+    if (!/^\d{4,8}$/.test(otp)) throw new Error('Enter the code sent to your phone');
+
+    const charge = await submitPaystackChargeOtp(env, reference, otp);
+    return new Response(JSON.stringify({ ...charge, reference }), { status: 200, headers: { 'Content-Type': 'application/json', ...corsHeaders() } });
+  } catch (err) {
+    return new Response(JSON.stringify({ error: String(err) }), { status: 400, headers: { 'Content-Type': 'application/json', ...corsHeaders() } });
+  }
+}
+
+// Polled by the booking page while the customer approves the charge on their phone.
+async function handleMomoStatus(env, request) {
+  try {
+    const url = new URL(request.url);
+    const reference = String(url.searchParams.get('reference') || '').trim();
+    if (!reference) throw new Error('Payment reference is required');
+    const pending = await getPendingBooking(env, reference);
+    if (!pending) throw new Error('Unknown payment reference');
+
+    // The webhook may already have turned the charge into a booking (or failed it).
+    if (pending.status === 'completed' || pending.status === 'processing') {
+      return new Response(JSON.stringify({ reference, status: 'success', providerStatus: 'success', message: null }), { status: 200, headers: { 'Content-Type': 'application/json', ...corsHeaders() } });
+    }
+    if (pending.status === 'failed') {
+      return new Response(JSON.stringify({ reference, status: 'failed', providerStatus: null, message: pending.failure_reason || 'Booking failed' }), { status: 200, headers: { 'Content-Type': 'application/json', ...corsHeaders() } });
+    }
+
+    const charge = await checkPaystackCharge(env, reference);
+    return new Response(JSON.stringify({ ...charge, reference }), { status: 200, headers: { 'Content-Type': 'application/json', ...corsHeaders() } });
+  } catch (err) {
+    return new Response(JSON.stringify({ error: String(err) }), { status: 400, headers: { 'Content-Type': 'application/json', ...corsHeaders() } });
+  }
+}
+
+// NEW: Poll a checkout's state (used when confirm answers "processing" or the tab reloads).
+async function handleBookingStatus(env, request) {
+  try {
+    const url = new URL(request.url);
+    const reference = String(url.searchParams.get('reference') || '').trim();
+    if (!reference) throw new Error('Payment reference is required');
+
+    const pending = await getPendingBooking(env, reference);
+    if (!pending) throw new Error('Unknown payment reference');
+
+    const passenger = parseJsonColumn(pending.passenger, {});
+    let receipt = null;
+    if (pending.status === 'completed') {
+      receipt = pending.kind === 'rebook'
+        ? await loadTransferReceipt(env, pending.booking_id)
+        : await loadReceiptForReference(env, reference, passenger);
+    }
+    return new Response(JSON.stringify({
+      reference,
+      status: pending.status,
+      failure_reason: pending.failure_reason || null,
+      booking: await attachTicketsToReceipt(env, receipt)
+    }), { status: 200, headers: { 'Content-Type': 'application/json', ...corsHeaders() } });
+  } catch (err) {
+    return new Response(JSON.stringify({ error: String(err) }), { status: 400, headers: { 'Content-Type': 'application/json', ...corsHeaders() } });
+  }
+}
+
+// Moves a confirmed booking to another seat/trip in place. The booking keeps its id and
+// external_ref, so payment and refund history still trace back to the original charge;
+// each move is recorded in booking_transfers.
+async function applyBookingTransfer(env, booking, target) {
+  const { busId, tripId, seatKey, newPrice, fareDifference, paymentRef = null, lockId = null, source } = target;
+  const { legacyColumns } = await getBusSeatConfig(env, busId);
+  const legacySeat = canonicalSeatToLegacy(seatKey, legacyColumns) || seatKey;
+
+  const update = await env.DB.prepare(`
+    UPDATE bookings
+    SET bus_id = ?, trip_id = ?, seat_number = ?, price_paid = ?
+    WHERE id = ? AND status = 'confirmed'
+      AND NOT EXISTS (
+        SELECT 1
+        FROM bookings other
+        WHERE other.bus_id = ?
+          AND COALESCE(other.trip_id, -1) = COALESCE(?, -1)
+          AND (other.seat_number = ? OR other.seat_number = ?)
+          AND other.status = 'confirmed'
+          AND other.id != ?
+      )
+  `).bind(busId, tripId, seatKey, newPrice, booking.id, busId, tripId, seatKey, legacySeat, booking.id).run();
+  if (Number(update?.meta?.changes || 0) === 0) throw new Error(`Seat already booked: ${seatKey}`);
+
+  await env.DB.prepare(`
+    INSERT INTO booking_transfers (
+      booking_id, from_bus_id, from_trip_id, from_seat, to_bus_id, to_trip_id, to_seat,
+      previous_price, new_price, fare_difference, payment_ref
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).bind(
+    booking.id, booking.bus_id, booking.trip_id || null, String(booking.seat_number),
+    busId, tripId, seatKey, Number(booking.price_paid || 0), newPrice, fareDifference, paymentRef
+  ).run();
+
+  if (lockId) {
+    await env.DB.prepare('DELETE FROM seat_locks WHERE bus_id = ? AND locked_by = ?').bind(busId, lockId).run();
+    await markWaitlistHoldClaimed(env, lockId);
+  }
+  await refreshBusAvailableSeats(env, booking.bus_id);
+  if (Number(booking.bus_id) !== Number(busId)) {
+    await refreshBusAvailableSeats(env, busId);
+  }
+  await offerFreedSeatsToWaitlist(env, booking.trip_id);
+
+  const receipt = await loadTransferReceipt(env, booking.id);
+
+  // Regenerate the receipt for the new trip/seat.
+  const gasResult = await sendBookingToGAS(env, {
+    bookingId: booking.id,
+    passengerName: receipt.passenger_name,
+    firstName: booking.first_name,
+    lastName: booking.last_name,
+    routeName: receipt.route_name,
+    busName: receipt.bus_name,
+    seat: receipt.seat,
+    amount: newPrice,
+    phone: booking.phone,
+    email: booking.email,
+    paystackRef: booking.external_ref,
+    source
+  });
+  const receiptUrl = gasResult?.receipt_url || gasResult?.receiptUrl || null;
+  if (receiptUrl) {
+    await saveReceiptForBooking(env, booking.id, receiptUrl, gasResult?.drive_file_id || gasResult?.driveFileId || null);
+    receipt.receipt_url = receiptUrl;
+  }
+
+  const smsText = `Your Elite Transport booking ELITE-${booking.id} has been moved to ${receipt.route_name} (${receipt.bus_name}), Seat ${receipt.seat}.`
+    + (receipt.receipt_url ? ` Receipt: ${receipt.receipt_url}` : '');
+  await sendSMS(env, booking.phone, smsText);
+
+  return receipt;
+}
+
+async function loadTransferReceipt(env, bookingId) {
+  const row = await env.DB.prepare(`
+    SELECT b.id, b.seat_number, b.price_paid, b.status,
+           p.first_name, p.last_name, p.email, p.phone,
+           buses.name as bus_name, buses.capacity as bus_capacity,
+           r.name as route_name, ts.departure_date, ts.departure_time
+    FROM bookings b
+    JOIN passengers p ON p.id = b.passenger_id
+    JOIN buses ON buses.id = b.bus_id
+    LEFT JOIN trip_schedules ts ON ts.id = b.trip_id
+    LEFT JOIN routes r ON r.id = COALESCE(ts.route_id, buses.route_id)
+    WHERE b.id = ?
+  `).bind(bookingId).first();
+  if (!row) return null;
+
+  const existingReceipt = await getReceiptByBookingId(env, row.id);
+  const seat = normalizeSeatNumberRaw(row.seat_number, Number(row.bus_capacity || 50)) || String(row.seat_number);
+  return {
+    booking_id: `ELITE-${row.id}`,
+    booking_ids: [`ELITE-${row.id}`],
+    passenger_name: `${row.first_name} ${row.last_name}`,
+    route_name: row.route_name || 'Route',
+    bus_name: row.bus_name || 'Bus',
+    seat,
+    seats: [seat],
+    seat_count: 1,
+    price: Number(row.price_paid || 0),
+    phone: row.phone,
+    email: row.email,
+    departure_date: row.departure_date || null,
+    departure_time: row.departure_time || null,
+    status: row.status,
+    receipt_url: existingReceipt?.receipt_url || null
+  };
+}
+
+// Finishes a rebook whose higher fare has now been paid.
+async function completePaidRebook(env, pending, source) {
+  const booking = await getBookingForCancellation(env, pending.booking_id);
+  const seatKey = parseJsonColumn(pending.seats, [])[0];
+  try {
+    if (!booking || booking.status !== 'confirmed') throw new Error('Booking is no longer confirmed');
+    const fareDifference = Number(pending.amount_kobo) / 100;
+    const receipt = await applyBookingTransfer(env, booking, {
+      busId: pending.bus_id,
+      tripId: pending.trip_id || null,
+      seatKey,
+      newPrice: roundMoney(Number(booking.price_paid || 0) + fareDifference),
+      fareDifference,
+      paymentRef: pending.reference,
+      lockId: pending.lock_id,
+      source: `${source}_rebook`
+    });
+    await env.DB.prepare('UPDATE pending_bookings SET status = ?, booking_ids = ?, completed_at = datetime("now") WHERE id = ?')
+      .bind('completed', JSON.stringify([booking.id]), pending.id).run();
+    return { receipt: { ...receipt, fare_difference: fareDifference } };
+  } catch (err) {
+    const reason = String(err).replace(/^Error:\s*/, '');
+    await env.DB.prepare('UPDATE pending_bookings SET status = ?, failure_reason = ? WHERE id = ?').bind('failed', reason, pending.id).run();
+    // The top-up was charged but the move did not happen: give it straight back.
+    if (booking) {
+      await refundBookingCharge(env, booking.id, pending.reference, Number(pending.amount_kobo), 'system:rebook_failed');
+    }
+    return { failed: true, reason };
+  }
+}
+
+// NEW: Move a confirmed booking to another trip/seat. The customer first holds the target seat
+// through /api/bus/:id/lock-seat and passes that lockId here. A higher fare returns a payment
+// reference to settle through the payment gateway (the move completes on confirm/webhook); a lower fare is
+// refunded to the original payment.
+async function handleUserRebookBooking(env, token, bookingId, data) {
+  try {
+    const user = await getSessionUser(env, token);
+    const booking = await getBookingForCancellation(env, bookingId);
+    if (!accountIsVerified(user)) throw new Error('Please verify your account before changing a booking');
+    if (!booking || !(await userOwnsBooking(env, user, booking.id))) {
+      throw new Error('Booking not found');
+    }
+    if (booking.status !== 'confirmed') throw new Error('Booking is not confirmed');
+    await assertBeforeChangeCutoff(env, booking, 'Rebooking');
+
+    const { busId, tripId, seat, lockId } = data || {};
+    if (!busId) throw new Error('Target bus is required');
+    const lockKey = String(lockId || '').trim();
+    if (!lockKey) throw new Error('Seat lock is required');
+
+    const quote = await computeFareQuote(env, { busId, tripId, seats: [seat] });
+    const seatKey = quote.seats[0];
+    if (!seatKey) throw new Error('Seat selection is required');
+    const { capacity, legacyColumns } = await getBusSeatConfig(env, busId);
+    if (Number(busId) === Number(booking.bus_id)
+      && Number(quote.tripId || 0) === Number(booking.trip_id || 0)
+      && seatKey === normalizeSeatNumberRaw(booking.seat_number, capacity, legacyColumns)) {
+      throw new Error('Booking is already on this seat');
+    }
+
+    const lock = await findOwnedActiveLockForSeat(env, busId, quote.tripId, lockKey, seatKey, capacity, legacyColumns);
+    if (!lock) throw new Error(`Seat lock expired or invalid for seat ${seatKey}`);
+
+    const fareDifference = roundMoney(quote.total - Number(booking.price_paid || 0));
+
+    if (fareDifference > 0) {
+      const reference = generatePaymentReference();
+      const amountKobo = Math.round(fareDifference * 100);
+      await env.DB.prepare(`
+        INSERT INTO pending_bookings (reference, kind, booking_id, bus_id, trip_id, lock_id, seats, passenger, amount_kobo, unit_price, status)
+        VALUES (?, 'rebook', ?, ?, ?, ?, ?, ?, ?, ?, 'pending')
+      `).bind(
+        reference,
+        booking.id,
+        busId,
+        quote.tripId,
+        lockKey,
+        JSON.stringify([seatKey]),
+        JSON.stringify({ firstName: booking.first_name, lastName: booking.last_name, email: booking.email, phone: booking.phone }),
+        amountKobo,
+        quote.total
+      ).run();
+      const payment = await openCheckoutPayment(env, {
+        reference,
+        amountKobo,
+        email: booking.email,
+        phone: booking.phone,
+        name: `${booking.first_name} ${booking.last_name}`
+      });
+      const holdRes = await env.DB.prepare(`SELECT datetime('now', '+${CHECKOUT_HOLD_MINUTES} minutes') as expires_at`).first();
+      await env.DB.prepare('UPDATE seat_locks SET expires_at = ? WHERE id = ?').bind(holdRes?.expires_at, lock.id).run();
+
+      return new Response(JSON.stringify({
+        status: 'payment_required',
+        reference,
+        amount: amountKobo / 100,
+        amount_kobo: amountKobo,
+        fare_difference: fareDifference,
+        email: booking.email,
+        quote,
+        payment
+      }), { status: 200, headers: { 'Content-Type': 'application/json', ...corsHeaders() } });
+    }
+
+    const receipt = await applyBookingTransfer(env, booking, {
+      busId,
+      tripId: quote.tripId,
+      seatKey,
+      newPrice: quote.total,
+      fareDifference,
+      lockId: lockKey,
+      source: 'customer_rebook'
+    });
+
+    let refund = { status: 'not_applicable', amount: 0 };
+    const originalRef = bookingTransactionRef(booking.external_ref);
+    if (fareDifference < 0 && originalRef) {
+      refund = await refundBookingCharge(env, booking.id, originalRef, Math.round(-fareDifference * 100), `user:${user.id}`);
+    }
+
+    return new Response(JSON.stringify({
+      ...(await attachTicketsToReceipt(env, receipt)),
+      fare_difference: fareDifference,
+      refund
     }), { status: 200, headers: { 'Content-Type': 'application/json', ...corsHeaders() } });
   } catch (err) {
     return new Response(JSON.stringify({ error: String(err) }), { status: 400, headers: { 'Content-Type': 'application/json', ...corsHeaders() } });
@@ -781,10 +2557,10 @@ async function handleUnlockSeat(env, busId, seat, tripId = null, lockId = null)
     const key = String(lockId || '').trim();
     if (!key) throw new Error('Lock ID required');
 
-    const capacity = await getBusCapacity(env, busId);
-    const seatKey = normalizeSeatNumberRaw(seat, capacity);
+    const { capacity, legacyColumns } = await getBusSeatConfig(env, busId);
+    const seatKey = normalizeSeatNumberRaw(seat, capacity, legacyColumns);
     if (!seatKey) throw new Error('Invalid seat number');
-    const legacySeat = canonicalSeatToLegacy(seatKey) || seatKey;
+    const legacySeat = canonicalSeatToLegacy(seatKey, legacyColumns) || seatKey;
 
     const trip = await resolveTripForBus(env, busId, tripId ? Number(tripId) : null);
     const tripKey = trip?.id || null;
@@ -805,6 +2581,7 @@ async function handleUnlockSeat(env, busId, seat, tripId = null, lockId = null)
           AND (seat_number = ? OR seat_number = ?)
       `).bind(busId, key, seatKey, legacySeat).run();
     }
+    if (tripKey) await offerFreedSeatsToWaitlist(env, tripKey);
 
     return new Response(JSON.stringify({
       unlocked: true,
@@ -843,6 +2620,24 @@ async function sendSMS(env, phone, message) {
   }
 }
 
+// Send a plain-text email via Resend (EMAIL_API_URL can point local/test setups elsewhere).
+async function sendEmail(env, to, subject, text) {
+  try {
+    if (!env.EMAIL_API_KEY || !env.EMAIL_FROM || !to) return false;
+    const response = await fetch(env.EMAIL_API_URL || 'https://api.resend.com/emails', {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${env.EMAIL_API_KEY}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ from: env.EMAIL_FROM, to: [to], subject, text })
+    });
+    return response.ok;
+  } catch (err) {
+    return false;
+  }
+}
+
 async function ensureReceiptStore(env) {
   await env.DB.prepare(`
     CREATE TABLE IF NOT EXISTS booking_receipts (
@@ -972,34 +2767,422 @@ async function handleWebhookBookingFallback(env, reference) {
   }
 }
 
-async function verifyPaystackTransaction(env, reference) {
-  const secretKey = env.PAYSTACK_SECRET_KEY;
-  if (!secretKey) throw new Error('Missing PAYSTACK_SECRET_KEY');
+// ==================== PAYMENT PROVIDERS ====================
+
+// Every checkout records the gateway it was opened with (pending_bookings.payment_provider), so
+// confirm, webhooks and refunds keep using that gateway after PAYMENT_PROVIDER changes.
+// A provider implements:
+//   initialize(env, checkout) -> what the booking page needs to take the payment
+//     { provider, mode: 'inline' | 'redirect' | 'fake', publicKey?, checkoutUrl? }
+//   verify(env, reference)    -> { verified, status: 'success' | ..., amountKobo, reference }
+//   refund(env, reference, amountKobo) -> { refundId, status }
+//   parseWebhook(env, request, rawBody) -> { type, reference, verification? } (throws on a bad signature)
+//   listTransactions(env, { from, to }) -> successful charges in the window, for reconciliation:
+//     [{ reference, amountKobo, paidAt, email }]
+const DEFAULT_PAYMENT_PROVIDER = 'paystack';
+
+function paymentProviderName(env) {
+  const name = String(env.PAYMENT_PROVIDER || DEFAULT_PAYMENT_PROVIDER).trim().toLowerCase();
+  if (!PAYMENT_PROVIDERS[name]) throw new Error(`Unknown PAYMENT_PROVIDER: ${name}`);
+  return name;
+}
 
-  const res = await fetch(`https://api.paystack.co/transaction/verify/${encodeURIComponent(reference)}`, {
-    method: 'GET',
-    headers: {
-      'Authorization': `Bearer ${secretKey}`
-    }
-  });
+// The fake gateway is only reachable on deployments that run with PAYMENT_PROVIDER=fake.
+function getPaymentProvider(env, name = null) {
+  const key = String(name || paymentProviderName(env)).trim().toLowerCase();
+  const provider = PAYMENT_PROVIDERS[key];
+  if (!provider) throw new Error(`Unknown payment provider: ${key}`);
+  if (key === 'fake' && paymentProviderName(env) !== 'fake') throw new Error('Fake payments are disabled');
+  return provider;
+}
 
-  if (!res.ok) {
-    throw new Error(`Paystack verify failed: HTTP ${res.status}`);
-  }
+// Checkouts from before providers were recorded were all Paystack.
+async function getPaymentProviderForReference(env, reference) {
+  const pending = reference ? await env.DB.prepare('SELECT payment_provider FROM pending_bookings WHERE reference = ?').bind(reference).first() : null;
+  return getPaymentProvider(env, pending?.payment_provider || 'paystack');
+}
 
-  const body = await res.json();
-  if (!body?.status || !body?.data) {
-    throw new Error('Invalid Paystack verify response');
-  }
+async function parsePaystackWebhook(env, request, rawBody) {
+  const secretKey = env.PAYSTACK_SECRET_KEY;
+  if (!secretKey) throw new Error('Missing PAYSTACK_SECRET_KEY');
+  const signature = request.headers.get('x-paystack-signature') || '';
+  const expectedSignature = await hmacSha512Hex(secretKey, rawBody);
+  if (!timingSafeEqual(signature, expectedSignature)) throw new Error('Invalid webhook signature');
 
+  const event = JSON.parse(rawBody);
+  if (event?.event !== 'charge.success') return { type: String(event?.event || 'unknown'), reference: null };
+  // The payload is signed, so its status/amount are authoritative.
   return {
-    verified: true,
-    status: body.data.status,
-    amountKobo: Number(body.data.amount || 0),
-    reference: body.data.reference
+    type: 'charge.success',
+    reference: event?.data?.reference || null,
+    verification: {
+      status: event?.data?.status,
+      amountKobo: Number(event?.data?.amount || 0)
+    }
   };
 }
 
+// FLUTTERWAVE_API_BASE lets local/test setups point the worker at a mock Flutterwave server.
+function flutterwaveApiBase(env) {
+  return String(env.FLUTTERWAVE_API_BASE || 'https://api.flutterwave.com/v3').replace(/\/$/, '');
+}
+
+async function flutterwaveRequest(env, path, method, payload = null) {
+  const secretKey = env.FLUTTERWAVE_SECRET_KEY;
+  if (!secretKey) throw new Error('Missing FLUTTERWAVE_SECRET_KEY');
+
+  const res = await fetch(`${flutterwaveApiBase(env)}${path}`, {
+    method,
+    headers: {
+      'Authorization': `Bearer ${secretKey}`,
+      ...(payload ? { 'Content-Type': 'application/json' } : {})
+    },
+    ...(payload ? { body: JSON.stringify(payload) } : {})
+  });
+  const body = await res.json().catch(() => null);
+  if (!res.ok || body?.status !== 'success') {
+    throw new Error(body?.message || `Flutterwave request failed: HTTP ${res.status}`);
+  }
+  return body.data;
+}
+
+// Flutterwave Standard: the customer pays on a hosted page and comes back to
+// bookings.html?payment_ref=<reference>, which confirms like the Paystack popup callback.
+async function initializeFlutterwavePayment(env, checkout) {
+  const base = String(env.SITE_URL || '').replace(/\/$/, '');
+  const data = await flutterwaveRequest(env, '/payments', 'POST', {
+    tx_ref: checkout.reference,
+    amount: checkout.amountKobo / 100,
+    currency: checkout.currency,
+    redirect_url: `${base}${base ? '/' : ''}bookings.html?payment_ref=${encodeURIComponent(checkout.reference)}`,
+    customer: {
+      email: checkout.email,
+      phonenumber: checkout.phone || undefined,
+      name: checkout.name || undefined
+    },
+    customizations: { title: 'Elite Transport' }
+  });
+  if (!data?.link) throw new Error('Invalid Flutterwave payment response');
+  return { provider: 'flutterwave', mode: 'redirect', checkoutUrl: data.link };
+}
+
+async function verifyFlutterwaveTransaction(env, reference) {
+  const data = await flutterwaveRequest(env, `/transactions/verify_by_reference?tx_ref=${encodeURIComponent(reference)}`, 'GET');
+  let status = data?.status === 'successful' ? 'success' : String(data?.status || 'unknown');
+  // Amounts are compared in pesewas, so a charge in another currency can never match.
+  if (status === 'success' && data?.currency && data.currency !== 'GHS') status = 'currency_mismatch';
+  return {
+    verified: true,
+    status,
+    amountKobo: Math.round(Number(data?.amount || 0) * 100),
+    reference: data?.tx_ref || reference,
+    transactionId: data?.id || null
+  };
+}
+
+async function requestFlutterwaveRefund(env, reference, amountKobo) {
+  const transaction = await verifyFlutterwaveTransaction(env, reference);
+  if (!transaction.transactionId) throw new Error('Flutterwave transaction not found');
+  const data = await flutterwaveRequest(env, `/transactions/${encodeURIComponent(transaction.transactionId)}/refund`, 'POST', {
+    amount: amountKobo / 100
+  });
+  return {
+    refundId: data?.id ? String(data.id) : null,
+    status: data?.status === 'completed' ? 'processed' : 'pending'
+  };
+}
+
+// Flutterwave signs webhooks with a static secret hash, so the charge itself is re-verified.
+async function parseFlutterwaveWebhook(env, request, rawBody) {
+  const secretHash = env.FLUTTERWAVE_WEBHOOK_HASH;
+  if (!secretHash) throw new Error('Missing FLUTTERWAVE_WEBHOOK_HASH');
+  if (!timingSafeEqual(request.headers.get('verif-hash') || '', secretHash)) throw new Error('Invalid webhook signature');
+
+  const event = JSON.parse(rawBody);
+  if (event?.event !== 'charge.completed' || event?.data?.status !== 'successful') {
+    return { type: String(event?.event || 'unknown'), reference: null };
+  }
+  return { type: 'charge.success', reference: event?.data?.tx_ref || null };
+}
+
+// Flutterwave filters by day only, so the window is trimmed to the exact times afterwards.
+async function listFlutterwaveTransactions(env, { from, to }) {
+  const secretKey = env.FLUTTERWAVE_SECRET_KEY;
+  if (!secretKey) throw new Error('Missing FLUTTERWAVE_SECRET_KEY');
+
+  const transactions = [];
+  for (let page = 1; page <= RECONCILE_MAX_PAGES; page += 1) {
+    const params = new URLSearchParams({ status: 'successful', from: from.slice(0, 10), to: to.slice(0, 10), page: String(page) });
+    const res = await fetch(`${flutterwaveApiBase(env)}/transactions?${params.toString()}`, {
+      method: 'GET',
+      headers: {
+        'Authorization': `Bearer ${secretKey}`
+      }
+    });
+    if (!res.ok) throw new Error(`Flutterwave transaction list failed: HTTP ${res.status}`);
+
+    const body = await res.json();
+    if (body?.status !== 'success' || !Array.isArray(body.data)) throw new Error('Invalid Flutterwave transaction list response');
+    transactions.push(...body.data);
+    if (!body.data.length || page >= Number(body.meta?.page_info?.total_pages || 1)) break;
+  }
+
+  const start = Date.parse(from);
+  const end = Date.parse(to);
+  return transactions
+    .filter((tx) => tx?.tx_ref && tx.status === 'successful')
+    .filter((tx) => {
+      const at = Date.parse(tx.created_at);
+      return !Number.isFinite(at) || (at >= start && at <= end);
+    })
+    .map((tx) => ({
+      reference: String(tx.tx_ref),
+      // A charge in another currency can never match a GHS checkout, so it surfaces as a mismatch.
+      amountKobo: tx.currency && tx.currency !== 'GHS' ? 0 : Math.round(Number(tx.amount || 0) * 100),
+      paidAt: tx.created_at || null,
+      email: tx.customer?.email || null
+    }));
+}
+
+// Offline gateway for testing the whole booking flow: payments live in fake_payments and are
+// approved through POST /api/payments/fake/pay instead of a real checkout page.
+async function initializeFakePayment(env, checkout) {
+  await env.DB.prepare(`
+    INSERT OR REPLACE INTO fake_payments (reference, amount_kobo, email, status)
+    VALUES (?, ?, ?, 'initialized')
+  `).bind(checkout.reference, checkout.amountKobo, checkout.email || null).run();
+  return { provider: 'fake', mode: 'fake' };
+}
+
+async function verifyFakePayment(env, reference) {
+  const payment = await env.DB.prepare('SELECT reference, amount_kobo, status FROM fake_payments WHERE reference = ?').bind(reference).first();
+  if (!payment) throw new Error('Fake payment not found');
+  return {
+    verified: true,
+    status: payment.status,
+    amountKobo: Number(payment.amount_kobo || 0),
+    reference: payment.reference
+  };
+}
+
+async function requestFakeRefund(env, reference, amountKobo) {
+  const update = await env.DB.prepare(`
+    UPDATE fake_payments SET refunded_kobo = refunded_kobo + ?
+    WHERE reference = ? AND status = 'success' AND refunded_kobo + ? <= amount_kobo
+  `).bind(amountKobo, reference, amountKobo).run();
+  if (Number(update?.meta?.changes || 0) === 0) throw new Error('Fake refund exceeds the amount paid');
+  return { refundId: `fake_refund_${Date.now()}`, status: 'processed' };
+}
+
+async function listFakeTransactions(env, { from, to }) {
+  const res = await env.DB.prepare(`
+    SELECT reference, amount_kobo, email, paid_at FROM fake_payments
+    WHERE status = 'success' AND datetime(paid_at) >= datetime(?) AND datetime(paid_at) <= datetime(?)
+  `).bind(from, to).all();
+  return (res.results || []).map((tx) => ({
+    reference: tx.reference,
+    amountKobo: Number(tx.amount_kobo || 0),
+    paidAt: tx.paid_at,
+    email: tx.email || null
+  }));
+}
+
+async function parseFakeWebhook(env, request, rawBody) {
+  const event = JSON.parse(rawBody);
+  return { type: event?.event === 'charge.success' ? 'charge.success' : 'unknown', reference: event?.data?.reference || null };
+}
+
+const PAYMENT_PROVIDERS = {
+  paystack: {
+    name: 'paystack',
+    // Without PAYSTACK_PUBLIC_KEY the booking page falls back to its built-in key.
+    initialize: async (env) => ({ provider: 'paystack', mode: 'inline', publicKey: env.PAYSTACK_PUBLIC_KEY || null }),
+    verify: (env, reference) => verifyPaystackTransaction(env, reference),
+    refund: (env, reference, amountKobo) => requestPaystackRefund(env, reference, amountKobo),
+    parseWebhook: parsePaystackWebhook,
+    listTransactions: (env, window) => listPaystackTransactions(env, window)
+  },
+  flutterwave: {
+    name: 'flutterwave',
+    initialize: initializeFlutterwavePayment,
+    verify: verifyFlutterwaveTransaction,
+    refund: requestFlutterwaveRefund,
+    parseWebhook: parseFlutterwaveWebhook,
+    listTransactions: listFlutterwaveTransactions
+  },
+  fake: {
+    name: 'fake',
+    initialize: initializeFakePayment,
+    verify: verifyFakePayment,
+    refund: requestFakeRefund,
+    parseWebhook: parseFakeWebhook,
+    listTransactions: listFakeTransactions
+  }
+};
+
+// Opens the payment for a pending checkout with the configured gateway and records which one.
+async function openCheckoutPayment(env, { reference, amountKobo, email, phone, name }) {
+  const provider = getPaymentProvider(env);
+  let payment;
+  try {
+    payment = await provider.initialize(env, { reference, amountKobo, currency: 'GHS', email, phone, name });
+  } catch (err) {
+    const reason = String(err).replace(/^Error:\s*/, '');
+    await env.DB.prepare('UPDATE pending_bookings SET status = ?, failure_reason = ? WHERE reference = ?').bind('failed', reason, reference).run();
+    throw err;
+  }
+  await env.DB.prepare('UPDATE pending_bookings SET payment_provider = ? WHERE reference = ?').bind(provider.name, reference).run();
+  return { ...payment, reference, amount_kobo: amountKobo, currency: 'GHS' };
+}
+
+async function handleFakePayment(env, data) {
+  try {
+    getPaymentProvider(env, 'fake');
+    const reference = String(data?.reference || '').trim();
+    if (!reference) throw new Error('Payment reference is required');
+    const status = data?.outcome === 'failed' ? 'failed' : 'success';
+    const update = await env.DB.prepare(`
+      UPDATE fake_payments SET status = ?, paid_at = datetime('now')
+      WHERE reference = ? AND status = 'initialized'
+    `).bind(status, reference).run();
+    if (Number(update?.meta?.changes || 0) === 0) throw new Error('Fake payment not found or already settled');
+    return new Response(JSON.stringify({ reference, status }), { status: 200, headers: { 'Content-Type': 'application/json', ...corsHeaders() } });
+  } catch (err) {
+    return new Response(JSON.stringify({ error: String(err) }), { status: 400, headers: { 'Content-Type': 'application/json', ...corsHeaders() } });
+  }
+}
+
+// PAYSTACK_API_BASE lets local/test setups point the worker at a mock Paystack server.
+function paystackApiBase(env) {
+  return String(env.PAYSTACK_API_BASE || 'https://api.paystack.co').replace(/\/$/, '');
+}
+
+async function verifyPaystackTransaction(env, reference) {
+  const secretKey = env.PAYSTACK_SECRET_KEY;
+  if (!secretKey) throw new Error('Missing PAYSTACK_SECRET_KEY');
+
+  const res = await fetch(`${paystackApiBase(env)}/transaction/verify/${encodeURIComponent(reference)}`, {
+    method: 'GET',
+    headers: {
+      'Authorization': `Bearer ${secretKey}`
+    }
+  });
+
+  if (!res.ok) {
+    throw new Error(`Paystack verify failed: HTTP ${res.status}`);
+  }
+
+  const body = await res.json();
+  if (!body?.status || !body?.data) {
+    throw new Error('Invalid Paystack verify response');
+  }
+
+  return {
+    verified: true,
+    status: body.data.status,
+    amountKobo: Number(body.data.amount || 0),
+    reference: body.data.reference
+  };
+}
+
+// Full or partial refund of a Paystack transaction (amount in kobo/pesewas).
+async function requestPaystackRefund(env, transactionRef, amountKobo) {
+  const secretKey = env.PAYSTACK_SECRET_KEY;
+  if (!secretKey) throw new Error('Missing PAYSTACK_SECRET_KEY');
+
+  const res = await fetch(`${paystackApiBase(env)}/refund`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${secretKey}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ transaction: transactionRef, amount: amountKobo })
+  });
+
+  const body = await res.json().catch(() => null);
+  if (!res.ok || !body?.status) {
+    throw new Error(body?.message || `Paystack refund failed: HTTP ${res.status}`);
+  }
+
+  return {
+    refundId: body.data?.id ? String(body.data.id) : null,
+    status: body.data?.status || 'pending'
+  };
+}
+
+// Paystack mobile money provider codes; Telecel Cash still uses Vodafone's "vod".
+const MOMO_PROVIDERS = {
+  mtn: 'mtn',
+  telecel: 'vod',
+  vodafone: 'vod',
+  vod: 'vod',
+  airteltigo: 'atl',
+  atl: 'atl'
+};
+
+// Ghana mobile numbers as Paystack expects them (0XXXXXXXXX), or null.
+function normalizeMomoPhone(phone) {
+  let digits = String(phone || '').replace(/\D/g, '');
+  if (digits.startsWith('233') && digits.length === 12) digits = `0${digits.slice(3)}`;
+  return /^0\d{9}$/.test(digits) ? digits : null;
+}
+
+// Collapses Paystack charge states into what the booking page acts on:
+// 'otp' (ask for a code), 'pending' (approve on the phone), 'success' or 'failed'.
+function summarizePaystackCharge(body) {
+  const data = body?.data || {};
+  const providerStatus = String(data.status || '');
+  let status = 'failed';
+  if (providerStatus === 'success') status = 'success';
+  else if (providerStatus === 'send_otp') status = 'otp';
+  else if (['pay_offline', 'pending', 'ongoing', 'processing'].includes(providerStatus)) status = 'pending';
+  return {
+    reference: data.reference || null,
+    status,
+    providerStatus,
+    message: data.display_text || data.gateway_response || data.message || body?.message || null
+  };
+}
+
+async function paystackChargeRequest(env, path, method, payload) {
+  const secretKey = env.PAYSTACK_SECRET_KEY;
+  if (!secretKey) throw new Error('Missing PAYSTACK_SECRET_KEY');
+
+  const res = await fetch(`${paystackApiBase(env)}${path}`, {
+    method,
+    headers: {
+      'Authorization': `Bearer ${secretKey}`,
+      ...(payload ? { 'Content-Type': 'application/json' } : {})
+    },
+    ...(payload ? { body: JSON.stringify(payload) } : {})
+  });
+
+  const body = await res.json().catch(() => null);
+  // Declined charges come back as HTTP 400 with a charge object; keep those as a 'failed' state.
+  if (!res.ok && !body?.data?.status) {
+    throw new Error(body?.message || `Paystack charge failed: HTTP ${res.status}`);
+  }
+  return summarizePaystackCharge(body);
+}
+
+async function startPaystackMomoCharge(env, { reference, amountKobo, email, phone, provider }) {
+  return await paystackChargeRequest(env, '/charge', 'POST', {
+    email,
+    amount: amountKobo,
+    currency: 'GHS',
+    reference,
+    mobile_money: { phone, provider }
+  });
+}
+
+async function submitPaystackChargeOtp(env, reference, otp) {
+  return await paystackChargeRequest(env, '/charge/submit_otp', 'POST', { otp, reference });
+}
+
+async function checkPaystackCharge(env, reference) {
+  return await paystackChargeRequest(env, `/charge/${encodeURIComponent(reference)}`, 'GET', null);
+}
+
 function parseAdminEmails(env) {
   const raw = String(env.ADMIN_EMAILS || '').trim();
   if (!raw) return [];
@@ -1023,8 +3206,9 @@ async function getSessionUser(env, token) {
 
   const expiresAt = new Date(session.expires_at);
   if (expiresAt < new Date()) throw new Error('Token expired');
+  await touchAuthSession(env, token);
 
-  const user = await env.DB.prepare('SELECT id, first_name, last_name, email, phone, picture_url, auth_method FROM users WHERE id = ?').bind(session.user_id).first();
+  const user = await env.DB.prepare('SELECT id, first_name, last_name, email, phone, picture_url, auth_method, verified, phone_verified FROM users WHERE id = ?').bind(session.user_id).first();
   if (!user) throw new Error('User not found');
 
   return user;
@@ -1043,6 +3227,19 @@ async function hmacSha512Hex(secret, payload) {
   return [...new Uint8Array(sig)].map(b => b.toString(16).padStart(2, '0')).join('');
 }
 
+async function hmacSha256Base64Url(secret, payload) {
+  const enc = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    'raw',
+    enc.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const sig = await crypto.subtle.sign('HMAC', key, enc.encode(payload));
+  return bytesToBase64(new Uint8Array(sig)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
 function timingSafeEqual(a, b) {
   if (!a || !b || a.length !== b.length) return false;
   let out = 0;
@@ -1050,31 +3247,20 @@ function timingSafeEqual(a, b) {
   return out === 0;
 }
 
-async function handlePaystackWebhook(env, request) {
+async function handlePaymentWebhook(env, request, providerName) {
   try {
-    const secretKey = env.PAYSTACK_SECRET_KEY;
-    if (!secretKey) {
-      return new Response(JSON.stringify({ error: 'Missing PAYSTACK_SECRET_KEY' }), {
-        status: 500,
-        headers: { 'Content-Type': 'application/json', ...corsHeaders() }
-      });
-    }
-
+    const provider = getPaymentProvider(env, providerName);
     const rawBody = await request.text();
-    const signature = request.headers.get('x-paystack-signature') || '';
-    const expectedSignature = await hmacSha512Hex(secretKey, rawBody);
-
-    if (!timingSafeEqual(signature, expectedSignature)) {
-      return new Response(JSON.stringify({ error: 'Invalid webhook signature' }), {
-        status: 401,
-        headers: { 'Content-Type': 'application/json', ...corsHeaders() }
-      });
-    }
-
-    const event = JSON.parse(rawBody);
-    if (event?.event === 'charge.success') {
-      const reference = event?.data?.reference;
-      if (reference) {
+    const event = await provider.parseWebhook(env, request, rawBody);
+
+    if (event?.type === 'charge.success' && event.reference) {
+      const reference = event.reference;
+      const pending = await getPendingBooking(env, reference);
+      if (pending && (pending.payment_provider || 'paystack') === provider.name) {
+        // Failures are recorded on the pending row; acknowledge so the gateway stops retrying.
+        const verification = event.verification || await provider.verify(env, reference);
+        await completePendingBooking(env, reference, verification, `${provider.name}_webhook`);
+      } else if (!pending && provider.name === 'paystack') {
         // Best-effort consistency update if booking exists with this reference.
         await env.DB.prepare('UPDATE bookings SET status = ? WHERE external_ref = ? OR external_ref LIKE ?').bind('confirmed', reference, `${reference}:%`).run();
         await handleWebhookBookingFallback(env, reference);
@@ -1086,142 +3272,744 @@ async function handlePaystackWebhook(env, request) {
       headers: { 'Content-Type': 'application/json', ...corsHeaders() }
     });
   } catch (err) {
-    return new Response(JSON.stringify({ error: String(err) }), {
-      status: 400,
+    const message = String(err);
+    const status = message.includes('signature') ? 401 : (message.includes('Missing') ? 500 : 400);
+    return new Response(JSON.stringify({ error: status === 400 ? message : message.replace(/^Error:\s*/, '') }), {
+      status,
       headers: { 'Content-Type': 'application/json', ...corsHeaders() }
     });
   }
 }
 
-// ==================== AUTHENTICATION ====================
-
-// Generate a simple JWT-like token (in production, use proper JWT library)
-function generateToken(userId) {
-  const rand = new Uint8Array(24);
-  crypto.getRandomValues(rand);
-  return `tok_${userId}_${Date.now()}_${bytesToBase64(rand).replace(/[+/=]/g, '')}`;
+// ==================== E-TICKETS ====================
+
+// Ticket codes are "ET1.<bookingId>.<tripId>.<seat>.<signature>", signed with TICKET_SIGNING_SECRET.
+// They are derived on demand, so moving a booking to another trip/seat invalidates the old code.
+const TICKET_CODE_VERSION = 'ET1';
+
+async function createTicketCode(env, bookingId, tripId, seat) {
+  if (!env.TICKET_SIGNING_SECRET || !bookingId) return null;
+  const body = `${TICKET_CODE_VERSION}.${Number(bookingId)}.${Number(tripId || 0)}.${String(seat)}`;
+  const signature = await hmacSha256Base64Url(env.TICKET_SIGNING_SECRET, body);
+  return `${body}.${signature}`;
 }
 
-// Password hash using PBKDF2; retains compatibility with legacy hash_ values.
-async function hashPassword(password) {
-  const salt = new Uint8Array(SALT_BYTES);
-  crypto.getRandomValues(salt);
-  const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), { name: 'PBKDF2' }, false, ['deriveBits']);
-  const bits = await crypto.subtle.deriveBits(
-    { name: 'PBKDF2', salt, iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
-    key,
-    PBKDF2_KEY_BITS
-  );
-  const hash = new Uint8Array(bits);
-  return `pbkdf2$${PBKDF2_ITERATIONS}$${bytesToBase64(salt)}$${bytesToBase64(hash)}`;
+async function parseTicketCode(env, code) {
+  if (!env.TICKET_SIGNING_SECRET) throw new Error('Ticket signing is not configured');
+  const parts = String(code || '').trim().split('.');
+  if (parts.length !== 5 || parts[0] !== TICKET_CODE_VERSION) throw new Error('Invalid ticket code');
+
+  const body = parts.slice(0, 4).join('.');
+  const expected = await hmacSha256Base64Url(env.TICKET_SIGNING_SECRET, body);
+  if (!timingSafeEqual(parts[4], expected)) throw new Error('Invalid ticket signature');
+
+  return {
+    bookingId: Number(parts[1]),
+    tripId: Number(parts[2]) || null,
+    seat: parts[3]
+  };
 }
 
-async function verifyPassword(password, hash) {
-  if (!hash) return false;
-  if (hash.startsWith('pbkdf2$')) {
-    const parts = hash.split('$');
-    if (parts.length !== 4) return false;
-    const iterations = Number(parts[1]);
-    const salt = base64ToBytes(parts[2]);
-    const expected = base64ToBytes(parts[3]);
-    const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), { name: 'PBKDF2' }, false, ['deriveBits']);
-    const bits = await crypto.subtle.deriveBits(
-      { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
-      key,
-      expected.length * 8
-    );
-    const actual = new Uint8Array(bits);
-    if (actual.length !== expected.length) return false;
-    let diff = 0;
-    for (let i = 0; i < actual.length; i++) diff |= actual[i] ^ expected[i];
-    return diff === 0;
+// Ticket codes for a set of bookings, keyed by booking id.
+async function ticketCodesForBookings(env, bookingIds) {
+  const ids = (bookingIds || []).map(Number).filter((id) => id > 0);
+  const out = {};
+  if (!ids.length || !env.TICKET_SIGNING_SECRET) return out;
+
+  const placeholders = ids.map(() => '?').join(', ');
+  const res = await env.DB.prepare(`
+    SELECT b.id, b.trip_id, b.seat_number, buses.capacity as bus_capacity
+    FROM bookings b
+    JOIN buses ON buses.id = b.bus_id
+    WHERE b.id IN (${placeholders}) AND b.status = 'confirmed'
+  `).bind(...ids).all();
+  for (const row of (res.results || [])) {
+    const seat = normalizeSeatNumberRaw(row.seat_number, Number(row.bus_capacity || 50)) || String(row.seat_number);
+    out[row.id] = await createTicketCode(env, row.id, row.trip_id, seat);
   }
-  return hash === ('hash_' + btoa(password));
+  return out;
 }
-
-// Google OAuth Handler
-async function handleGoogleAuth(env, data) {
-  try {
-    const { googleId, email, firstName, lastName, picture, phone, nokName, nokPhone, mode = 'signin' } = data;
 
-    if (!googleId || !email) throw new Error('Google identity is required');
-    if (mode !== 'signin' && mode !== 'signup') throw new Error('Invalid auth mode');
+// Adds { tickets: [{ booking_id, seat, code }] } to a booking receipt payload.
+async function attachTicketsToReceipt(env, receipt) {
+  if (!receipt) return receipt;
+  const ids = (receipt.booking_ids || [receipt.booking_id])
+    .map((ref) => Number(String(ref || '').replace(/^ELITE-/, '')))
+    .filter((id) => id > 0);
+  const codes = await ticketCodesForBookings(env, ids);
+  const seats = receipt.seats || [];
+  receipt.tickets = ids
+    .filter((id) => codes[id])
+    .map((id) => ({ booking_id: `ELITE-${id}`, seat: seats[ids.indexOf(id)] || null, code: codes[id] }));
+  return receipt;
+}
 
-    // Check if user exists by Google ID first, then by email (account linking).
-    let user = await env.DB.prepare('SELECT id, first_name, last_name, email, google_id FROM users WHERE google_id = ?').bind(googleId).first();
-    if (!user) {
-      user = await env.DB.prepare('SELECT id, first_name, last_name, email, google_id FROM users WHERE email = ?').bind(email).first();
-      if (user && !user.google_id) {
-        await env.DB.prepare('UPDATE users SET google_id = ?, picture_url = ?, auth_method = ?, verified = 1 WHERE id = ?').bind(googleId, picture, 'google', user.id).run();
-      }
+// NEW: Boarding check-in. Validates a scanned ticket against the trip and records boarding time once.
+async function handleTripCheckin(env, token, tripId, data, client = {}) {
+  try {
+    const user = await requirePermission(env, token, 'tickets.checkin');
+    const ticket = await parseTicketCode(env, data?.code);
+    if (ticket.tripId !== Number(tripId)) throw new Error('Ticket is for a different trip');
+
+    const booking = await env.DB.prepare(`
+      SELECT b.id, b.trip_id, b.seat_number, b.status, b.checked_in_at,
+             p.first_name, p.last_name, p.phone, buses.capacity as bus_capacity
+      FROM bookings b
+      JOIN passengers p ON p.id = b.passenger_id
+      JOIN buses ON buses.id = b.bus_id
+      WHERE b.id = ?
+    `).bind(ticket.bookingId).first();
+    if (!booking) throw new Error('Booking not found');
+    if (booking.status !== 'confirmed') throw new Error(`Booking is ${booking.status}`);
+
+    const seat = normalizeSeatNumberRaw(booking.seat_number, Number(booking.bus_capacity || 50)) || String(booking.seat_number);
+    if (Number(booking.trip_id || 0) !== Number(tripId) || seat !== ticket.seat) {
+      throw new Error('Ticket is no longer valid for this booking');
     }
 
-    // Returning users signing in should never be asked for contact fields again.
-    if (mode === 'signin' && !user) {
-      throw new Error('Account not found. Please create an account first.');
+    const before = await auditRowSnapshot(env, 'bookings', booking.id);
+    const update = await env.DB.prepare(`
+      UPDATE bookings SET checked_in_at = datetime('now'), checked_in_by = ?
+      WHERE id = ? AND checked_in_at IS NULL
+    `).bind(user.email, booking.id).run();
+    if (Number(update?.meta?.changes || 0) === 0) {
+      const current = await env.DB.prepare('SELECT checked_in_at FROM bookings WHERE id = ?').bind(booking.id).first();
+      return new Response(JSON.stringify({
+        error: `Ticket already checked in at ${current?.checked_in_at || booking.checked_in_at}`,
+        booking_id: `ELITE-${booking.id}`,
+        checked_in_at: current?.checked_in_at || booking.checked_in_at
+      }), { status: 409, headers: { 'Content-Type': 'application/json', ...corsHeaders() } });
     }
 
-    if (!user) {
-      // New Google signup: collect contact details once during registration.
-      if (!phone) throw new Error('Phone number is required for signup');
+    const checked = await env.DB.prepare('SELECT checked_in_at FROM bookings WHERE id = ?').bind(booking.id).first();
+    await recordAdminAudit(env, user, 'ticket.checkin', {
+      type: 'booking', id: booking.id, before, after: await auditRowSnapshot(env, 'bookings', booking.id)
+    }, client);
+    return new Response(JSON.stringify({
+      booking_id: `ELITE-${booking.id}`,
+      trip_id: Number(tripId),
+      passenger_name: `${booking.first_name} ${booking.last_name}`,
+      phone: booking.phone,
+      seat,
+      checked_in_at: checked?.checked_in_at || null,
+      status: 'checked_in'
+    }), { status: 200, headers: { 'Content-Type': 'application/json', ...corsHeaders() } });
+  } catch (err) {
+    const status = String(err).includes('Forbidden') ? 403 : 400;
+    return new Response(JSON.stringify({ error: String(err) }), { status, headers: { 'Content-Type': 'application/json', ...corsHeaders() } });
+  }
+}
 
-      const insertRes = await env.DB.prepare('INSERT INTO users (email, first_name, last_name, phone, google_id, picture_url, auth_method, verified) VALUES (?, ?, ?, ?, ?, ?, ?, ?)').bind(email, firstName, lastName, phone, googleId, picture, 'google', 1).run();
-      user = { id: insertRes.meta.last_row_id, first_name: firstName, last_name: lastName, email, google_id: googleId };
+// ==================== WAITLIST ====================
 
-      await env.DB.prepare('INSERT INTO passengers (first_name, last_name, email, phone, next_of_kin_name, next_of_kin_phone) VALUES (?, ?, ?, ?, ?, ?)').bind(firstName, lastName, email, phone, nokName, nokPhone).run();
-    }
+// Customers join a per-trip waitlist once a trip is full. Whenever a seat frees up (lock expiry,
+// cancellation, trip change) the next waiting customer is sent an SMS link and the seat is
+// pre-locked under the lock id "wait_<holdToken>", so the normal initialize/confirm checkout
+// claims it. SITE_URL must point at the customer site for the link to be usable.
+const WAITLIST_HOLD_MINUTES = 15;
+const WAITLIST_LOCK_PREFIX = 'wait_';
 
-    // Generate token
-    const token = generateToken(user.id);
-
-    // Store session
-    const expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString();
-    await env.DB.prepare('INSERT INTO auth_sessions (user_id, token, expires_at) VALUES (?, ?, ?)').bind(user.id, token, expiresAt).run();
-
-    // Fetch full user data for response
-    const fullUser = await env.DB.prepare('SELECT id, first_name, last_name, email, phone, picture_url, auth_method FROM users WHERE id = ?').bind(user.id).first();
-
-    return new Response(JSON.stringify({
-      token,
-      user: {
-        id: fullUser.id,
-        name: `${fullUser.first_name} ${fullUser.last_name}`,
-        email: fullUser.email,
-        phone: fullUser.phone,
-        picture: fullUser.picture_url,
-        authMethod: fullUser.auth_method,
-        isAdmin: isAdminEmail(env, fullUser.email)
+function waitlistHoldLink(env, holdToken) {
+  const base = String(env.SITE_URL || '').replace(/\/$/, '');
+  return `${base}${base ? '/' : ''}bookings.html?hold=${encodeURIComponent(holdToken)}`;
+}
+
+async function markWaitlistHoldClaimed(env, lockId) {
+  const key = String(lockId || '');
+  if (!key.startsWith(WAITLIST_LOCK_PREFIX)) return;
+  await env.DB.prepare(`
+    UPDATE trip_waitlist
+    SET status = 'claimed', claimed_at = datetime('now')
+    WHERE hold_token = ? AND status IN ('offered', 'expired')
+  `).bind(key.slice(WAITLIST_LOCK_PREFIX.length)).run();
+}
+
+// Expires stale offers, then hands every currently free seat of the trip to the next
+// waiting customer. Cheap no-op for trips nobody is waiting on.
+async function offerFreedSeatsToWaitlist(env, tripId) {
+  if (!tripId) return [];
+  const hasQueue = await env.DB.prepare(`SELECT 1 as present FROM trip_waitlist WHERE trip_id = ? AND status IN ('waiting', 'offered') LIMIT 1`).bind(tripId).first();
+  if (!hasQueue) return [];
+
+  await env.DB.prepare(`
+    UPDATE trip_waitlist
+    SET status = 'expired'
+    WHERE trip_id = ? AND status = 'offered' AND datetime(offer_expires_at) <= datetime('now')
+  `).bind(tripId).run();
+
+  const trip = await env.DB.prepare(`
+    SELECT ts.id, ts.bus_id, ts.status, ts.departure_date, ts.departure_time, r.name as route_name
+    FROM trip_schedules ts
+    JOIN routes r ON r.id = ts.route_id
+    JOIN buses b ON b.id = ts.bus_id
+    WHERE ts.id = ?
+  `).bind(tripId).first();
+  if (!trip || trip.status !== 'active') return [];
+  const { capacity, legacyColumns } = await getBusSeatConfig(env, trip.bus_id);
+
+  const offers = [];
+  for (let attempt = 0; attempt < capacity; attempt++) {
+    const next = await env.DB.prepare(`SELECT id, phone FROM trip_waitlist WHERE trip_id = ? AND status = 'waiting' ORDER BY id ASC LIMIT 1`).bind(tripId).first();
+    if (!next) break;
+
+    const booked = new Set(await listConfirmedSeatNumbersForBusTrip(env, trip.bus_id, tripId, capacity, legacyColumns));
+    const locked = new Set(await listActiveLockedSeatNumbersForBusTrip(env, trip.bus_id, tripId, capacity, legacyColumns));
+    let seatKey = null;
+    for (let n = 1; n <= capacity; n++) {
+      if (!booked.has(String(n)) && !locked.has(String(n))) {
+        seatKey = String(n);
+        break;
       }
-    }), { status: 200, headers: { 'Content-Type': 'application/json', ...corsHeaders() } });
-  } catch (err) {
+    }
+    if (!seatKey) break;
+
+    const holdToken = bytesToBase64(crypto.getRandomValues(new Uint8Array(18))).replace(/[+/=]/g, '');
+    const claim = await env.DB.prepare(`
+      UPDATE trip_waitlist
+      SET status = 'offered', hold_token = ?, offered_seat = ?, offered_at = datetime('now'),
+          offer_expires_at = datetime('now', ?)
+      WHERE id = ? AND status = 'waiting'
+    `).bind(holdToken, seatKey, `+${WAITLIST_HOLD_MINUTES} minutes`, next.id).run();
+    if (Number(claim?.meta?.changes || 0) === 0) continue;
+
+    const legacySeat = canonicalSeatToLegacy(seatKey, legacyColumns) || seatKey;
+    const lock = await env.DB.prepare(`
+      INSERT INTO seat_locks (bus_id, trip_id, seat_number, locked_by, expires_at)
+      SELECT ?, ?, ?, ?, (SELECT offer_expires_at FROM trip_waitlist WHERE id = ?)
+      WHERE NOT EXISTS (
+        SELECT 1 FROM seat_locks
+        WHERE bus_id = ? AND trip_id = ? AND (seat_number = ? OR seat_number = ?)
+          AND datetime(expires_at) > datetime('now')
+      )
+    `).bind(trip.bus_id, tripId, seatKey, `${WAITLIST_LOCK_PREFIX}${holdToken}`, next.id, trip.bus_id, tripId, seatKey, legacySeat).run();
+    if (Number(lock?.meta?.changes || 0) === 0) {
+      // Someone grabbed the seat in between; put the customer back at the front of the queue.
+      await env.DB.prepare(`
+        UPDATE trip_waitlist
+        SET status = 'waiting', hold_token = NULL, offered_seat = NULL, offered_at = NULL, offer_expires_at = NULL
+        WHERE id = ?
+      `).bind(next.id).run();
+      continue;
+    }
+
+    const when = [trip.departure_date, trip.departure_time].filter(Boolean).join(' ');
+    await sendSMS(env, next.phone, `Good news! Seat ${seatKey} on ${trip.route_name}${when ? ` (${when})` : ''} is now free and held for you for ${WAITLIST_HOLD_MINUTES} minutes. Book it here: ${waitlistHoldLink(env, holdToken)}`);
+    offers.push({ waitlistId: next.id, seat: seatKey });
+  }
+
+  return offers;
+}
+
+async function waitlistPosition(env, entry) {
+  if (entry.status !== 'waiting') return null;
+  const ahead = await env.DB.prepare(`SELECT COUNT(*) as c FROM trip_waitlist WHERE trip_id = ? AND status = 'waiting' AND id < ?`).bind(entry.trip_id, entry.id).first();
+  return Number(ahead?.c || 0) + 1;
+}
+
+async function handleJoinWaitlist(env, token, tripId, data) {
+  try {
+    const user = await getSessionUser(env, token);
+    const trip = await env.DB.prepare('SELECT id, status FROM trip_schedules WHERE id = ?').bind(tripId).first();
+    if (!trip) throw new Error('Trip not found');
+    if (trip.status !== 'active') throw new Error('Trip is not active');
+
+    let entry = await env.DB.prepare(`
+      SELECT id, trip_id, status, offered_seat, offer_expires_at
+      FROM trip_waitlist
+      WHERE trip_id = ? AND user_id = ? AND status IN ('waiting', 'offered')
+      ORDER BY id DESC
+      LIMIT 1
+    `).bind(tripId, user.id).first();
+
+    if (!entry) {
+      const phone = String(data?.phone || user.phone || '').trim();
+      if (!phone) throw new Error('A phone number is required to receive seat offers');
+      const insert = await env.DB.prepare('INSERT INTO trip_waitlist (trip_id, user_id, phone) VALUES (?, ?, ?)').bind(tripId, user.id, phone).run();
+      // A seat may already be free (e.g. an expired hold); offer it straight away.
+      await offerFreedSeatsToWaitlist(env, tripId);
+      entry = await env.DB.prepare('SELECT id, trip_id, status, offered_seat, offer_expires_at FROM trip_waitlist WHERE id = ?').bind(insert.meta.last_row_id).first();
+    }
+
+    return new Response(JSON.stringify({
+      waitlistId: entry.id,
+      tripId,
+      status: entry.status,
+      position: await waitlistPosition(env, entry),
+      offeredSeat: entry.offered_seat || null,
+      offerExpiresAt: entry.offer_expires_at || null
+    }), { status: 200, headers: { 'Content-Type': 'application/json', ...corsHeaders() } });
+  } catch (err) {
+    return new Response(JSON.stringify({ error: String(err) }), { status: 400, headers: { 'Content-Type': 'application/json', ...corsHeaders() } });
+  }
+}
+
+async function handleLeaveWaitlist(env, token, tripId) {
+  try {
+    const user = await getSessionUser(env, token);
+    const entries = await env.DB.prepare(`
+      SELECT id, status, hold_token FROM trip_waitlist
+      WHERE trip_id = ? AND user_id = ? AND status IN ('waiting', 'offered')
+    `).bind(tripId, user.id).all();
+    const rows = entries.results || [];
+    if (!rows.length) throw new Error('You are not on the waitlist for this trip');
+
+    for (const row of rows) {
+      await env.DB.prepare(`UPDATE trip_waitlist SET status = 'cancelled' WHERE id = ?`).bind(row.id).run();
+      if (row.hold_token) {
+        await env.DB.prepare('DELETE FROM seat_locks WHERE trip_id = ? AND locked_by = ?').bind(tripId, `${WAITLIST_LOCK_PREFIX}${row.hold_token}`).run();
+      }
+    }
+    // A released hold goes to the next customer in line.
+    await offerFreedSeatsToWaitlist(env, tripId);
+
+    return new Response(JSON.stringify({ tripId, status: 'cancelled' }), { status: 200, headers: { 'Content-Type': 'application/json', ...corsHeaders() } });
+  } catch (err) {
+    return new Response(JSON.stringify({ error: String(err) }), { status: 400, headers: { 'Content-Type': 'application/json', ...corsHeaders() } });
+  }
+}
+
+// Resolves an SMS hold link into the bus/trip/seat and lock id bookings.js needs for checkout.
+async function handleGetWaitlistHold(env, token, request) {
+  try {
+    const user = await getSessionUser(env, token);
+    const url = new URL(request.url);
+    const holdToken = String(url.searchParams.get('token') || '').trim();
+    if (!holdToken) throw new Error('Hold token is required');
+
+    const entry = await env.DB.prepare(`
+      SELECT w.id, w.user_id, w.status, w.offered_seat, w.offer_expires_at, w.trip_id,
+             ts.departure_date, ts.departure_time, ts.price as trip_price,
+             r.name as route_name, b.id as bus_id, b.name as bus_name, b.plate_number,
+             b.price as bus_price, b.route_text
+      FROM trip_waitlist w
+      JOIN trip_schedules ts ON ts.id = w.trip_id
+      JOIN routes r ON r.id = ts.route_id
+      JOIN buses b ON b.id = ts.bus_id
+      WHERE w.hold_token = ?
+    `).bind(holdToken).first();
+    if (!entry || Number(entry.user_id) !== Number(user.id)) throw new Error('Seat hold not found');
+    if (entry.status === 'claimed') throw new Error('This seat hold has already been used');
+
+    const lockId = `${WAITLIST_LOCK_PREFIX}${holdToken}`;
+    const { capacity, legacyColumns } = await getBusSeatConfig(env, entry.bus_id);
+    const lock = await findOwnedActiveLockForSeat(env, entry.bus_id, entry.trip_id, lockId, entry.offered_seat, capacity, legacyColumns);
+    if (!lock || entry.status !== 'offered') throw new Error('This seat hold has expired');
+
+    const heldUntil = await env.DB.prepare('SELECT expires_at FROM seat_locks WHERE id = ?').bind(lock.id).first();
+    return new Response(JSON.stringify({
+      lock_id: lockId,
+      trip_id: entry.trip_id,
+      seat: entry.offered_seat,
+      expires_at: heldUntil?.expires_at || entry.offer_expires_at,
+      route: { name: entry.route_name, route: entry.route_text || entry.route_name },
+      bus: {
+        id: entry.bus_id,
+        tripId: entry.trip_id,
+        name: entry.bus_name,
+        plate_number: entry.plate_number,
+        capacity,
+        price: Number(entry.trip_price ?? entry.bus_price ?? 0),
+        route: entry.route_text || entry.route_name,
+        departure_date: entry.departure_date || null,
+        departure_time: entry.departure_time || null
+      }
+    }), { status: 200, headers: { 'Content-Type': 'application/json', ...corsHeaders() } });
+  } catch (err) {
+    return new Response(JSON.stringify({ error: String(err) }), { status: 400, headers: { 'Content-Type': 'application/json', ...corsHeaders() } });
+  }
+}
+
+// ==================== RATE LIMITING ====================
+
+// Sliding windows per scope. Keys are the client IP, an account identifier or a seat lockId.
+const RATE_LIMITS = {
+  signin_ip: { limit: 20, windowSeconds: 15 * 60 },
+  signin_account: { limit: 10, windowSeconds: 15 * 60 },
+  signup_ip: { limit: 10, windowSeconds: 60 * 60 },
+  code_send_ip: { limit: 10, windowSeconds: 60 * 60 },
+  code_check_ip: { limit: 20, windowSeconds: 15 * 60 },
+  code_check_account: { limit: 10, windowSeconds: 15 * 60 },
+  lock_seat_ip: { limit: 60, windowSeconds: 10 * 60 },
+  lock_seat_lock: { limit: 20, windowSeconds: 10 * 60 }
+};
+
+// Request counts alone still let one client hold a whole bus by rotating lockIds, so the seats
+// held at once on a trip are capped too.
+const SEAT_HOLD_MAX_PER_LOCK = 10;
+const SEAT_HOLD_MAX_PER_IP = 12;
+
+const LOGIN_LOCKOUT_THRESHOLD = 5; // wrong passwords before the first lockout
+const LOGIN_LOCKOUT_BASE_MINUTES = 5; // doubles with every further wrong password
+const LOGIN_LOCKOUT_MAX_MINUTES = 24 * 60;
+const LOGIN_FAILURE_RESET_HOURS = 24; // a day without failures starts the count again
+
+function formatRetryAfter(seconds) {
+  if (seconds < 60) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+  const minutes = Math.ceil(seconds / 60);
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
+// Messages start with "Too many" so handlers answer 429; retryAfter becomes the Retry-After header.
+function rateLimitError(message, retryAfterSeconds) {
+  const retryAfter = Math.max(1, Math.ceil(Number(retryAfterSeconds) || 0));
+  const err = new Error(`${message} Try again in ${formatRetryAfter(retryAfter)}.`);
+  err.retryAfter = retryAfter;
+  return err;
+}
+
+// Records one request against the scope's window, or throws once the window is full. Rejected
+// requests are not recorded, so a client that keeps retrying is let back in as old hits age out.
+async function consumeRateLimit(env, scope, key, message = 'Too many requests.') {
+  const rule = RATE_LIMITS[scope];
+  const subject = String(key || '').trim().toLowerCase();
+  if (!rule || !subject) return;
+
+  const bucket = `${scope}:${subject}`;
+  const now = Date.now();
+  const windowMs = rule.windowSeconds * 1000;
+  const usage = await env.DB.prepare(`
+    SELECT COUNT(*) as hits, MIN(hit_at) as oldest FROM rate_limit_hits WHERE bucket = ? AND hit_at > ?
+  `).bind(bucket, now - windowMs).first();
+  if (Number(usage?.hits || 0) >= rule.limit) {
+    throw rateLimitError(message, (Number(usage.oldest) + windowMs - now) / 1000);
+  }
+  await env.DB.prepare('INSERT INTO rate_limit_hits (bucket, hit_at) VALUES (?, ?)').bind(bucket, now).run();
+}
+
+// Requests without CF-Connecting-IP (local development) share one bucket.
+function clientRateLimitKey(client = {}) {
+  return client.ip || 'unknown';
+}
+
+// Throws before a new seat lock would take the lockId or the client IP over its hold cap. The
+// wait is until the client's earliest hold on the trip runs out.
+async function assertSeatHoldAllowed(env, busId, tripId, lockId, ip) {
+  const held = await env.DB.prepare(`
+    SELECT
+      SUM(CASE WHEN locked_by = ? THEN 1 ELSE 0 END) as by_lock,
+      SUM(CASE WHEN locked_ip = ? THEN 1 ELSE 0 END) as by_ip,
+      MIN(CASE WHEN locked_by = ? OR locked_ip = ? THEN (julianday(expires_at) - julianday('now')) * 86400 END) as wait
+    FROM seat_locks
+    WHERE bus_id = ? AND COALESCE(trip_id, 0) = ? AND datetime(expires_at) > datetime('now')
+  `).bind(lockId, ip || '', lockId, ip || '', busId, Number(tripId || 0)).first();
+  const byLock = Number(held?.by_lock || 0);
+  const byIp = ip ? Number(held?.by_ip || 0) : 0;
+  if (byLock >= SEAT_HOLD_MAX_PER_LOCK || byIp >= SEAT_HOLD_MAX_PER_IP) {
+    throw rateLimitError('Too many seats held. Book or release some seats first.', held?.wait);
+  }
+}
+
+// lock_remaining is (locked_until - now) in seconds, selected alongside the user row.
+function assertAccountNotLocked(user) {
+  const remaining = Number(user?.lock_remaining || 0);
+  if (remaining > 0) throw rateLimitError('Too many failed sign-in attempts.', remaining);
+}
+
+// Counts a wrong password and locks the account once LOGIN_LOCKOUT_THRESHOLD is reached. Each
+// further failure after a lockout doubles the next one. Returns the lockout length in seconds.
+async function recordFailedLogin(env, userId) {
+  await env.DB.prepare(`
+    UPDATE users
+    SET failed_login_count = CASE
+          WHEN failed_login_at IS NOT NULL AND datetime(failed_login_at) > datetime('now', '-${LOGIN_FAILURE_RESET_HOURS} hours')
+          THEN COALESCE(failed_login_count, 0) + 1
+          ELSE 1
+        END,
+        failed_login_at = datetime('now')
+    WHERE id = ?
+  `).bind(userId).run();
+  const row = await env.DB.prepare('SELECT failed_login_count FROM users WHERE id = ?').bind(userId).first();
+  const failures = Number(row?.failed_login_count || 0);
+  if (failures < LOGIN_LOCKOUT_THRESHOLD) return 0;
+
+  const minutes = Math.min(LOGIN_LOCKOUT_BASE_MINUTES * 2 ** (failures - LOGIN_LOCKOUT_THRESHOLD), LOGIN_LOCKOUT_MAX_MINUTES);
+  await env.DB.prepare(`UPDATE users SET locked_until = datetime('now', ?) WHERE id = ?`).bind(`+${minutes} minutes`, userId).run();
+  return minutes * 60;
+}
+
+async function clearFailedLogins(env, userId) {
+  await env.DB.prepare('UPDATE users SET failed_login_count = 0, failed_login_at = NULL, locked_until = NULL WHERE id = ?').bind(userId).run();
+}
+
+// Error response for handlers behind a rate limit: 429 with Retry-After for limits and lockouts.
+function rateLimitedErrorResponse(err) {
+  const limited = String(err).includes('Too many');
+  const retryAfter = limited ? Number(err?.retryAfter || 0) : 0;
+  const headers = { 'Content-Type': 'application/json', ...corsHeaders() };
+  if (retryAfter) headers['Retry-After'] = String(retryAfter);
+  return new Response(JSON.stringify({ error: String(err), ...(retryAfter ? { retryAfter } : {}) }), { status: limited ? 429 : 400, headers });
+}
+
+// ==================== AUTHENTICATION ====================
+
+// Generate a simple JWT-like token (in production, use proper JWT library)
+function generateToken(userId) {
+  const rand = new Uint8Array(24);
+  crypto.getRandomValues(rand);
+  return `tok_${userId}_${Date.now()}_${bytesToBase64(rand).replace(/[+/=]/g, '')}`;
+}
+
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const SESSION_TOUCH_MINUTES = 5;
+
+// Device details shown in the sessions list on the profile page; the IP also keys rate limits.
+function requestClientInfo(request) {
+  return {
+    userAgent: String(request.headers.get('User-Agent') || '').slice(0, 300) || null,
+    ip: request.headers.get('CF-Connecting-IP') || null
+  };
+}
+
+async function createAuthSession(env, userId, client = {}) {
+  const token = generateToken(userId);
+  const expiresAt = new Date(Date.now() + SESSION_TTL_MS).toISOString();
+  await env.DB.prepare(`
+    INSERT INTO auth_sessions (user_id, token, expires_at, user_agent, ip, last_seen_at)
+    VALUES (?, ?, ?, ?, ?, datetime('now'))
+  `).bind(userId, token, expiresAt, client.userAgent || null, client.ip || null).run();
+  await bootstrapAdminFromEnv(env, userId, client);
+  return token;
+}
+
+// Records activity at most every SESSION_TOUCH_MINUTES so reads do not turn into a write each time.
+async function touchAuthSession(env, token) {
+  await env.DB.prepare(`
+    UPDATE auth_sessions SET last_seen_at = datetime('now')
+    WHERE token = ? AND (last_seen_at IS NULL OR datetime(last_seen_at) < datetime('now', '-${SESSION_TOUCH_MINUTES} minutes'))
+  `).bind(token).run();
+}
+
+// Password hash using PBKDF2; retains compatibility with legacy hash_ values.
+async function hashPassword(password) {
+  const salt = new Uint8Array(SALT_BYTES);
+  crypto.getRandomValues(salt);
+  const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), { name: 'PBKDF2' }, false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', salt, iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+    key,
+    PBKDF2_KEY_BITS
+  );
+  const hash = new Uint8Array(bits);
+  return `pbkdf2$${PBKDF2_ITERATIONS}$${bytesToBase64(salt)}$${bytesToBase64(hash)}`;
+}
+
+async function verifyPassword(password, hash) {
+  if (!hash) return false;
+  if (hash.startsWith('pbkdf2$')) {
+    const parts = hash.split('$');
+    if (parts.length !== 4) return false;
+    const iterations = Number(parts[1]);
+    const salt = base64ToBytes(parts[2]);
+    const expected = base64ToBytes(parts[3]);
+    const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), { name: 'PBKDF2' }, false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits(
+      { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+      key,
+      expected.length * 8
+    );
+    const actual = new Uint8Array(bits);
+    if (actual.length !== expected.length) return false;
+    let diff = 0;
+    for (let i = 0; i < actual.length; i++) diff |= actual[i] ^ expected[i];
+    return diff === 0;
+  }
+  return hash === ('hash_' + btoa(password));
+}
+
+const GOOGLE_JWKS_URL = 'https://www.googleapis.com/oauth2/v3/certs';
+const GOOGLE_ISSUERS = new Set(['accounts.google.com', 'https://accounts.google.com']);
+const GOOGLE_JWKS_DEFAULT_TTL_MS = 60 * 60 * 1000;
+const GOOGLE_CLOCK_SKEW_SECONDS = 60;
+
+let googleJwksCache = null;
+
+// Key source for Google ID token signatures.
+// GOOGLE_JWKS (a JSON key set) takes precedence so local/test setups can sign their own tokens;
+// otherwise keys are fetched from GOOGLE_JWKS_URL (default: Google's certs endpoint) and cached
+// for the Cache-Control max-age Google sends.
+async function getGoogleSigningKeys(env, forceRefresh = false) {
+  if (env.GOOGLE_JWKS) {
+    const jwks = typeof env.GOOGLE_JWKS === 'string' ? JSON.parse(env.GOOGLE_JWKS) : env.GOOGLE_JWKS;
+    return Array.isArray(jwks?.keys) ? jwks.keys : [];
+  }
+
+  const jwksUrl = env.GOOGLE_JWKS_URL || GOOGLE_JWKS_URL;
+  if (!forceRefresh && googleJwksCache && googleJwksCache.url === jwksUrl && googleJwksCache.expiresAt > Date.now()) {
+    return googleJwksCache.keys;
+  }
+
+  const res = await fetch(jwksUrl, { method: 'GET' });
+  if (!res.ok) throw new Error(`Google key fetch failed: HTTP ${res.status}`);
+  const body = await res.json();
+  const keys = Array.isArray(body?.keys) ? body.keys : [];
+
+  const maxAge = /max-age=(\d+)/i.exec(res.headers.get('cache-control') || '');
+  const ttlMs = maxAge ? Number(maxAge[1]) * 1000 : GOOGLE_JWKS_DEFAULT_TTL_MS;
+  googleJwksCache = { url: jwksUrl, keys, expiresAt: Date.now() + ttlMs };
+  return keys;
+}
+
+function parseGoogleClientIds(env) {
+  return String(env.GOOGLE_CLIENT_ID || '')
+    .split(',')
+    .map((id) => id.trim())
+    .filter(Boolean);
+}
+
+// Verifies a Google Sign-In credential (RS256 JWT) and returns its claims.
+async function verifyGoogleIdToken(env, idToken) {
+  if (!idToken || typeof idToken !== 'string') throw new Error('Google ID token is required');
+
+  const clientIds = parseGoogleClientIds(env);
+  if (!clientIds.length) throw new Error('Missing GOOGLE_CLIENT_ID');
+
+  const parts = idToken.split('.');
+  if (parts.length !== 3) throw new Error('Malformed Google ID token');
+
+  let header;
+  let claims;
+  try {
+    header = JSON.parse(new TextDecoder().decode(base64UrlToBytes(parts[0])));
+    claims = JSON.parse(new TextDecoder().decode(base64UrlToBytes(parts[1])));
+  } catch (err) {
+    throw new Error('Malformed Google ID token');
+  }
+  if (header?.alg !== 'RS256' || !header?.kid) throw new Error('Unsupported Google ID token');
+
+  let keys = await getGoogleSigningKeys(env);
+  let jwk = keys.find((k) => k.kid === header.kid);
+  if (!jwk && !env.GOOGLE_JWKS) {
+    // Google rotates keys; refresh once before rejecting an unknown kid.
+    keys = await getGoogleSigningKeys(env, true);
+    jwk = keys.find((k) => k.kid === header.kid);
+  }
+  if (!jwk) throw new Error('Unknown Google signing key');
+
+  const key = await crypto.subtle.importKey(
+    'jwk',
+    { kty: jwk.kty, n: jwk.n, e: jwk.e, alg: 'RS256', ext: true },
+    { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' },
+    false,
+    ['verify']
+  );
+  const signatureValid = await crypto.subtle.verify(
+    'RSASSA-PKCS1-v1_5',
+    key,
+    base64UrlToBytes(parts[2]),
+    new TextEncoder().encode(`${parts[0]}.${parts[1]}`)
+  );
+  if (!signatureValid) throw new Error('Invalid Google ID token signature');
+
+  const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+  if (!audiences.some((aud) => clientIds.includes(aud))) throw new Error('Google ID token audience mismatch');
+  if (!GOOGLE_ISSUERS.has(claims.iss)) throw new Error('Google ID token issuer mismatch');
+
+  const nowSeconds = Math.floor(Date.now() / 1000);
+  if (!Number.isFinite(Number(claims.exp)) || Number(claims.exp) + GOOGLE_CLOCK_SKEW_SECONDS < nowSeconds) {
+    throw new Error('Google ID token expired');
+  }
+  if (claims.email_verified !== true && claims.email_verified !== 'true') {
+    throw new Error('Google email address is not verified');
+  }
+  if (!claims.sub || !claims.email) throw new Error('Google identity is required');
+
+  return claims;
+}
+
+// Google OAuth Handler
+async function handleGoogleAuth(env, data, client = {}) {
+  try {
+    const { idToken, phone, nokName, nokPhone, mode = 'signin' } = data;
+    if (mode !== 'signin' && mode !== 'signup') throw new Error('Invalid auth mode');
+
+    // Identity comes only from the verified token, never from client-supplied fields.
+    const claims = await verifyGoogleIdToken(env, idToken);
+    const googleId = String(claims.sub);
+    const email = String(claims.email);
+    const firstName = claims.given_name || '';
+    const lastName = claims.family_name || '';
+    const picture = claims.picture || null;
+
+    // Check if user exists by Google ID first, then by email (account linking).
+    let user = await env.DB.prepare('SELECT id, first_name, last_name, email, google_id FROM users WHERE google_id = ?').bind(googleId).first();
+    if (!user) {
+      user = await env.DB.prepare('SELECT id, first_name, last_name, email, google_id FROM users WHERE email = ?').bind(email).first();
+      if (user && !user.google_id) {
+        await env.DB.prepare('UPDATE users SET google_id = ?, picture_url = ?, auth_method = ?, verified = 1 WHERE id = ?').bind(googleId, picture, 'google', user.id).run();
+      }
+    }
+
+    // Returning users signing in should never be asked for contact fields again.
+    if (mode === 'signin' && !user) {
+      throw new Error('Account not found. Please create an account first.');
+    }
+
+    if (!user) {
+      // New Google signup: collect contact details once during registration.
+      if (!phone) throw new Error('Phone number is required for signup');
+
+      const insertRes = await env.DB.prepare('INSERT INTO users (email, first_name, last_name, phone, google_id, picture_url, auth_method, verified) VALUES (?, ?, ?, ?, ?, ?, ?, ?)').bind(email, firstName, lastName, phone, googleId, picture, 'google', 1).run();
+      user = { id: insertRes.meta.last_row_id, first_name: firstName, last_name: lastName, email, google_id: googleId };
+
+      await env.DB.prepare('INSERT INTO passengers (first_name, last_name, email, phone, next_of_kin_name, next_of_kin_phone) VALUES (?, ?, ?, ?, ?, ?)').bind(firstName, lastName, email, phone, nokName, nokPhone).run();
+    }
+
+    // Generate token and store the session
+    const token = await createAuthSession(env, user.id, client);
+
+    // Fetch full user data for response
+    const fullUser = await env.DB.prepare('SELECT id, first_name, last_name, email, phone, picture_url, auth_method, verified FROM users WHERE id = ?').bind(user.id).first();
+
+    return new Response(JSON.stringify({
+      token,
+      user: {
+        id: fullUser.id,
+        name: `${fullUser.first_name} ${fullUser.last_name}`,
+        email: fullUser.email,
+        phone: fullUser.phone,
+        picture: fullUser.picture_url,
+        authMethod: fullUser.auth_method,
+        verified: !!Number(fullUser.verified),
+        ...(await userAccessFields(env, fullUser))
+      }
+    }), { status: 200, headers: { 'Content-Type': 'application/json', ...corsHeaders() } });
+  } catch (err) {
     return new Response(JSON.stringify({ error: String(err) }), { status: 400, headers: { 'Content-Type': 'application/json', ...corsHeaders() } });
   }
 }
 
 // Email Sign In
-async function handleEmailSignIn(env, data) {
+async function handleEmailSignIn(env, data, client = {}) {
   try {
     const { email, password } = data;
 
     if (!email || !password) throw new Error('Email and password required');
+    await consumeRateLimit(env, 'signin_ip', clientRateLimitKey(client), 'Too many sign-in attempts.');
+    await consumeRateLimit(env, 'signin_account', email, 'Too many sign-in attempts for this account.');
 
     // Find user
-    const user = await env.DB.prepare('SELECT id, password_hash, first_name, last_name FROM users WHERE email = ?').bind(email).first();
+    const user = await env.DB.prepare(`
+      SELECT id, password_hash, first_name, last_name,
+        CAST((julianday(locked_until) - julianday('now')) * 86400 AS INTEGER) as lock_remaining
+      FROM users WHERE email = ?
+    `).bind(email).first();
     if (!user) throw new Error('User not found');
+    assertAccountNotLocked(user);
 
     // Verify password
     const passwordValid = await verifyPassword(password, user.password_hash);
-    if (!passwordValid) throw new Error('Invalid password');
-
-    // Generate token
-    const token = generateToken(user.id);
+    if (!passwordValid) {
+      const lockedFor = await recordFailedLogin(env, user.id);
+      if (lockedFor) throw rateLimitError('Too many failed sign-in attempts.', lockedFor);
+      throw new Error('Invalid password');
+    }
+    await clearFailedLogins(env, user.id);
 
-    // Store session
-    const expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString();
-    await env.DB.prepare('INSERT INTO auth_sessions (user_id, token, expires_at) VALUES (?, ?, ?)').bind(user.id, token, expiresAt).run();
+    // Generate token and store the session
+    const token = await createAuthSession(env, user.id, client);
 
     // Fetch full user data for response
-    const fullUser = await env.DB.prepare('SELECT phone, auth_method FROM users WHERE id = ?').bind(user.id).first();
+    const fullUser = await env.DB.prepare('SELECT phone, auth_method, verified FROM users WHERE id = ?').bind(user.id).first();
 
     return new Response(JSON.stringify({
       token,
@@ -1231,21 +4019,23 @@ async function handleEmailSignIn(env, data) {
         email,
         phone: fullUser.phone,
         authMethod: fullUser.auth_method,
-        isAdmin: isAdminEmail(env, email)
+        verified: !!Number(fullUser.verified),
+        ...(await userAccessFields(env, { id: user.id, email }))
       }
     }), { status: 200, headers: { 'Content-Type': 'application/json', ...corsHeaders() } });
   } catch (err) {
-    return new Response(JSON.stringify({ error: String(err) }), { status: 400, headers: { 'Content-Type': 'application/json', ...corsHeaders() } });
+    return rateLimitedErrorResponse(err);
   }
 }
 
 // Email Sign Up
-async function handleEmailSignUp(env, data) {
+async function handleEmailSignUp(env, data, client = {}) {
   try {
     const { firstName, lastName, email, phone, password } = data;
 
     if (!firstName || !lastName || !email || !phone || !password) throw new Error('All fields required');
     if (password.length < 6) throw new Error('Password must be at least 6 characters');
+    await consumeRateLimit(env, 'signup_ip', clientRateLimitKey(client), 'Too many sign-up attempts.');
 
     // Check if user exists
     const existingUser = await env.DB.prepare('SELECT id FROM users WHERE email = ?').bind(email).first();
@@ -1261,12 +4051,12 @@ async function handleEmailSignUp(env, data) {
     // Create passenger record
     await env.DB.prepare('INSERT INTO passengers (first_name, last_name, email, phone) VALUES (?, ?, ?, ?)').bind(firstName, lastName, email, phone).run();
 
-    // Generate token
-    const token = generateToken(userId);
+    // The account works straight away; a failed send can be retried from the profile page.
+    const verificationSent = await sendEmailVerification(env, { id: userId, email, first_name: firstName })
+      .then(() => true, () => false);
 
-    // Store session
-    const expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString();
-    await env.DB.prepare('INSERT INTO auth_sessions (user_id, token, expires_at) VALUES (?, ?, ?)').bind(userId, token, expiresAt).run();
+    // Generate token and store the session
+    const token = await createAuthSession(env, userId, client);
 
     return new Response(JSON.stringify({
       token,
@@ -1276,29 +4066,337 @@ async function handleEmailSignUp(env, data) {
         email,
         phone,
         authMethod: 'email',
-        isAdmin: isAdminEmail(env, email)
-      }
+        verified: false,
+        ...(await userAccessFields(env, { id: userId, email }))
+      },
+      verificationSent
+    }), { status: 200, headers: { 'Content-Type': 'application/json', ...corsHeaders() } });
+  } catch (err) {
+    return rateLimitedErrorResponse(err);
+  }
+}
+
+// ==================== ONE-TIME CODES ====================
+
+const AUTH_CODE_DIGITS = 6;
+const AUTH_CODE_TTL_MINUTES = 15;
+const AUTH_CODE_MAX_ATTEMPTS = 5;
+const AUTH_CODE_SEND_LIMIT = 3; // codes per user and purpose in each window
+const AUTH_CODE_SEND_WINDOW_MINUTES = 60;
+const EMAIL_VERIFY_TTL_MINUTES = 24 * 60;
+
+function generateAuthCode() {
+  const rand = new Uint32Array(1);
+  crypto.getRandomValues(rand);
+  return String(rand[0] % (10 ** AUTH_CODE_DIGITS)).padStart(AUTH_CODE_DIGITS, '0');
+}
+
+// Keyed with AUTH_CODE_SECRET so a leaked table cannot be brute-forced back to codes offline.
+// Without the secret no code is issued or accepted.
+async function hashAuthCode(env, userId, purpose, code) {
+  if (!env.AUTH_CODE_SECRET) throw new Error('Account codes are not configured');
+  return hmacSha256Base64Url(env.AUTH_CODE_SECRET, `${purpose}:${userId}:${code}`);
+}
+
+// Users sign in with an email address, but recovery also accepts the phone on the account.
+async function findUserByIdentifier(env, identifier) {
+  const value = String(identifier || '').trim();
+  if (!value) return null;
+  if (value.includes('@')) {
+    return env.DB.prepare('SELECT id, email, phone, phone_verified, first_name FROM users WHERE lower(email) = lower(?)').bind(value).first();
+  }
+  const digits = value.replace(/\D/g, '');
+  if (digits.length < 9) return null;
+  // Match on the last nine digits so 024..., 23324... and +233 24... are the same number.
+  // Only a number proven by an SMS code identifies an account; the phone typed in at email or
+  // Google sign-up is a contact detail anyone could have entered.
+  return env.DB.prepare(`
+    SELECT id, email, phone, phone_verified, first_name FROM users
+    WHERE substr(replace(replace(replace(phone, ' ', ''), '-', ''), '+', ''), -9) = ?
+      AND COALESCE(phone_verified, 0) = 1
+    ORDER BY id LIMIT 1
+  `).bind(digits.slice(-9)).first();
+}
+
+// A phone sign-up whose code has not been entered yet.
+async function findPendingPhoneSignup(env, phone) {
+  const digits = String(phone || '').replace(/\D/g, '');
+  if (digits.length < 9) return null;
+  return env.DB.prepare(`
+    SELECT id, email, phone, phone_verified, first_name FROM users
+    WHERE substr(replace(replace(replace(phone, ' ', ''), '-', ''), '+', ''), -9) = ?
+      AND auth_method = 'phone' AND COALESCE(phone_verified, 0) = 0
+    ORDER BY id DESC LIMIT 1
+  `).bind(digits.slice(-9)).first();
+}
+
+// Issues a new code (replacing any outstanding one for the same purpose) and sends it.
+async function issueAuthCode(env, user, purpose, channel, buildMessage, ttlMinutes = AUTH_CODE_TTL_MINUTES) {
+  const recent = await env.DB.prepare(`
+    SELECT COUNT(*) as count,
+      CAST((julianday(MIN(created_at), '+${AUTH_CODE_SEND_WINDOW_MINUTES} minutes') - julianday('now')) * 86400 AS INTEGER) as wait
+    FROM auth_codes
+    WHERE user_id = ? AND purpose = ? AND datetime(created_at) > datetime('now', '-${AUTH_CODE_SEND_WINDOW_MINUTES} minutes')
+  `).bind(user.id, purpose).first();
+  if (Number(recent?.count || 0) >= AUTH_CODE_SEND_LIMIT) {
+    throw rateLimitError('Too many codes requested.', recent.wait);
+  }
+
+  const code = generateAuthCode();
+  await env.DB.prepare(`
+    UPDATE auth_codes SET consumed_at = datetime('now')
+    WHERE user_id = ? AND purpose = ? AND consumed_at IS NULL
+  `).bind(user.id, purpose).run();
+  await env.DB.prepare(`
+    INSERT INTO auth_codes (user_id, purpose, channel, code_hash, expires_at)
+    VALUES (?, ?, ?, ?, datetime('now', '+${Number(ttlMinutes)} minutes'))
+  `).bind(user.id, purpose, channel, await hashAuthCode(env, user.id, purpose, code)).run();
+
+  const { subject, text } = buildMessage(code);
+  const sent = channel === 'sms'
+    ? await sendSMS(env, user.phone, text)
+    : await sendEmail(env, user.email, subject, text);
+  if (!sent) throw new Error(`Could not send the code by ${channel === 'sms' ? 'SMS' : 'email'}`);
+}
+
+// Checks a code against the newest outstanding one for the purpose and consumes it on a match.
+// Every wrong guess counts towards AUTH_CODE_MAX_ATTEMPTS, after which a new code is needed.
+async function consumeAuthCode(env, userId, purpose, code) {
+  const row = await env.DB.prepare(`
+    SELECT id, code_hash, attempts FROM auth_codes
+    WHERE user_id = ? AND purpose = ? AND consumed_at IS NULL AND datetime(expires_at) > datetime('now')
+    ORDER BY id DESC LIMIT 1
+  `).bind(userId, purpose).first();
+  if (!row || Number(row.attempts || 0) >= AUTH_CODE_MAX_ATTEMPTS) return false;
+
+  const hash = await hashAuthCode(env, userId, purpose, String(code || '').trim());
+  if (!timingSafeEqual(hash, row.code_hash)) {
+    await env.DB.prepare('UPDATE auth_codes SET attempts = attempts + 1 WHERE id = ?').bind(row.id).run();
+    return false;
+  }
+  const claim = await env.DB.prepare(`
+    UPDATE auth_codes SET consumed_at = datetime('now') WHERE id = ? AND consumed_at IS NULL
+  `).bind(row.id).run();
+  return Number(claim?.meta?.changes || 0) === 1;
+}
+
+// Forgot password: always answers the same way so it cannot be used to discover accounts.
+async function handleForgotPassword(env, data, client = {}) {
+  try {
+    const channel = data?.channel === 'sms' ? 'sms' : 'email';
+    await consumeRateLimit(env, 'code_send_ip', clientRateLimitKey(client), 'Too many codes requested.');
+    if (!env.AUTH_CODE_SECRET) throw new Error('Account codes are not configured');
+    const user = await findUserByIdentifier(env, data?.identifier);
+    if (user && (channel === 'sms' ? user.phone && Number(user.phone_verified) : user.email)) {
+      // The per-account send cap and a failed send only happen for real accounts, so they are
+      // not reported either.
+      await issueAuthCode(env, user, 'password_reset', channel, (code) => ({
+        subject: 'Your Elite Transport password reset code',
+        text: `Your Elite Transport password reset code is ${code}. It expires in ${AUTH_CODE_TTL_MINUTES} minutes. If you did not ask to reset your password, ignore this message.`
+      })).catch(() => {});
+    }
+
+    return new Response(JSON.stringify({
+      sent: true,
+      channel,
+      expiresInMinutes: AUTH_CODE_TTL_MINUTES
     }), { status: 200, headers: { 'Content-Type': 'application/json', ...corsHeaders() } });
+  } catch (err) {
+    return rateLimitedErrorResponse(err);
+  }
+}
+
+async function handleResetPassword(env, data, client = {}) {
+  try {
+    const { identifier, code, password } = data || {};
+    if (!identifier || !code || !password) throw new Error('Account, code and new password are required');
+    if (String(password).length < 6) throw new Error('Password must be at least 6 characters');
+    await consumeRateLimit(env, 'code_check_ip', clientRateLimitKey(client), 'Too many attempts.');
+    await consumeRateLimit(env, 'code_check_account', identifier, 'Too many attempts for this account.');
+
+    const user = await findUserByIdentifier(env, identifier);
+    if (!user || !(await consumeAuthCode(env, user.id, 'password_reset', code))) {
+      throw new Error('Invalid or expired code');
+    }
+
+    const passwordHash = await hashPassword(String(password));
+    await env.DB.prepare('UPDATE users SET password_hash = ? WHERE id = ?').bind(passwordHash, user.id).run();
+    await clearFailedLogins(env, user.id);
+    // Whoever knew the old password may still be signed in somewhere.
+    await env.DB.prepare('DELETE FROM auth_sessions WHERE user_id = ?').bind(user.id).run();
+
+    return new Response(JSON.stringify({ reset: true, email: user.email }), { status: 200, headers: { 'Content-Type': 'application/json', ...corsHeaders() } });
   } catch (err) {
-    return new Response(JSON.stringify({ error: String(err) }), { status: 400, headers: { 'Content-Type': 'application/json', ...corsHeaders() } });
+    return rateLimitedErrorResponse(err);
   }
 }
 
-// Verify Token
-async function handleVerifyToken(env, token) {
-  try {
-    if (!token) throw new Error('Token required');
+// REQUIRE_VERIFIED_EMAIL=true stops unverified accounts from opening checkouts.
+function requireVerifiedEmail(env) {
+  return String(env.REQUIRE_VERIFIED_EMAIL || '').trim().toLowerCase() === 'true';
+}
 
-    // Check if token exists in sessions
-    const session = await env.DB.prepare('SELECT user_id, expires_at FROM auth_sessions WHERE token = ?').bind(token).first();
-    if (!session) throw new Error('Invalid token');
+// Phone sign-in accounts have no email to verify; the code they signed in with proved the phone.
+function accountIsVerified(user) {
+  if (!user?.email) return !!Number(user?.phone_verified);
+  return !!Number(user.verified);
+}
 
-    // Check expiry
-    const expiresAt = new Date(session.expires_at);
-    if (expiresAt < new Date()) throw new Error('Token expired');
+// The email carries both the code and a login.html link that submits it, so it works
+// whether or not the customer is signed in on the device that opens it.
+async function sendEmailVerification(env, user) {
+  const base = String(env.SITE_URL || '').replace(/\/$/, '');
+  await issueAuthCode(env, user, 'email_verify', 'email', (code) => {
+    const link = `${base}${base ? '/' : ''}login.html?verify_email=${encodeURIComponent(user.email)}&code=${code}`;
+    return {
+      subject: 'Verify your Elite Transport email address',
+      text: `Hi ${user.first_name || 'there'}, your Elite Transport verification code is ${code}. Or open this link to verify your email address: ${link}\n\nThe code expires in 24 hours.`
+    };
+  }, EMAIL_VERIFY_TTL_MINUTES);
+}
+
+async function handleVerifyEmail(env, data, token, client = {}) {
+  try {
+    const code = String(data?.code || '').trim();
+    if (!code) throw new Error('Verification code is required');
+    await consumeRateLimit(env, 'code_check_ip', clientRateLimitKey(client), 'Too many attempts.');
+
+    // Signed-in callers verify their own account; the emailed link names the address instead.
+    const user = token
+      ? await getSessionUser(env, token)
+      : await env.DB.prepare('SELECT id, email, verified FROM users WHERE lower(email) = lower(?)').bind(String(data?.email || '').trim()).first();
+    if (!user) throw new Error('Invalid or expired code');
+
+    if (!Number(user.verified)) {
+      if (!(await consumeAuthCode(env, user.id, 'email_verify', code))) throw new Error('Invalid or expired code');
+      await env.DB.prepare('UPDATE users SET verified = 1 WHERE id = ?').bind(user.id).run();
+      await bootstrapAdminFromEnv(env, user.id, client);
+    }
+
+    return new Response(JSON.stringify({ verified: true, email: user.email }), { status: 200, headers: { 'Content-Type': 'application/json', ...corsHeaders() } });
+  } catch (err) {
+    return rateLimitedErrorResponse(err);
+  }
+}
+
+async function handleResendEmailVerification(env, token) {
+  try {
+    const user = await getSessionUser(env, token);
+    if (!user.email) throw new Error('Account has no email address');
+    if (Number(user.verified)) throw new Error('Email address is already verified');
+    await sendEmailVerification(env, user);
+
+    return new Response(JSON.stringify({ sent: true, email: user.email }), { status: 200, headers: { 'Content-Type': 'application/json', ...corsHeaders() } });
+  } catch (err) {
+    return rateLimitedErrorResponse(err);
+  }
+}
+
+// Passwordless phone sign-in. Sign-up only records the rider's name; the account is usable
+// once a code sent to the phone comes back, and an existing account with the same phone
+// number (email or Google) is signed into instead of creating a second one.
+async function handlePhoneAuthStart(env, data, client = {}) {
+  try {
+    const { firstName, lastName, mode = 'signin' } = data || {};
+    if (mode !== 'signin' && mode !== 'signup') throw new Error('Invalid auth mode');
+    const phone = normalizeMomoPhone(data?.phone);
+    if (!phone) throw new Error('Enter a valid phone number');
+    await consumeRateLimit(env, 'code_send_ip', clientRateLimitKey(client), 'Too many codes requested.');
+
+    let user = await findUserByIdentifier(env, phone);
+    if (mode === 'signin' && !user) {
+      throw new Error('No account found for this phone number. Please create an account first.');
+    }
+
+    if (mode === 'signup') {
+      if (user) throw new Error('An account already uses this phone number. Please sign in instead.');
+      const first = String(firstName || '').trim();
+      const last = String(lastName || '').trim();
+      if (!first || !last) throw new Error('First and last name are required');
+      user = await findPendingPhoneSignup(env, phone);
+      if (!user) {
+        const insertRes = await env.DB.prepare(`
+          INSERT INTO users (first_name, last_name, phone, auth_method, verified, phone_verified)
+          VALUES (?, ?, ?, 'phone', 0, 0)
+        `).bind(first, last, phone).run();
+        user = { id: insertRes.meta.last_row_id, phone };
+      } else {
+        // A sign-up that never entered its code can be restarted with corrected names.
+        await env.DB.prepare('UPDATE users SET first_name = ?, last_name = ? WHERE id = ?').bind(first, last, user.id).run();
+      }
+    }
+
+    await issueAuthCode(env, user, 'phone_login', 'sms', (code) => ({
+      text: `Your Elite Transport sign-in code is ${code}. It expires in ${AUTH_CODE_TTL_MINUTES} minutes. Do not share it with anyone.`
+    }));
+
+    return new Response(JSON.stringify({
+      sent: true,
+      phone: `${'*'.repeat(phone.length - 3)}${phone.slice(-3)}`,
+      expiresInMinutes: AUTH_CODE_TTL_MINUTES
+    }), { status: 200, headers: { 'Content-Type': 'application/json', ...corsHeaders() } });
+  } catch (err) {
+    return rateLimitedErrorResponse(err);
+  }
+}
+
+async function handlePhoneAuthVerify(env, data, client = {}) {
+  try {
+    const phone = normalizeMomoPhone(data?.phone);
+    const code = String(data?.code || '').trim();
+    if (!phone || !code) throw new Error('Phone number and code are required');
+    await consumeRateLimit(env, 'code_check_ip', clientRateLimitKey(client), 'Too many attempts.');
+    await consumeRateLimit(env, 'code_check_account', phone, 'Too many attempts for this account.');
+
+    const found = await findUserByIdentifier(env, phone) || await findPendingPhoneSignup(env, phone);
+    if (!found || !(await consumeAuthCode(env, found.id, 'phone_login', code))) {
+      throw new Error('Invalid or expired code');
+    }
+
+    const user = await env.DB.prepare('SELECT id, first_name, last_name, email, phone, picture_url, auth_method, verified, phone_verified FROM users WHERE id = ?').bind(found.id).first();
+    if (user.auth_method === 'phone' && !Number(user.phone_verified)) {
+      // First sign-in of a phone account: give it the passenger record email sign-ups get.
+      await env.DB.prepare('INSERT INTO passengers (first_name, last_name, phone) VALUES (?, ?, ?)').bind(user.first_name, user.last_name, user.phone).run();
+    }
+    await env.DB.prepare('UPDATE users SET phone_verified = 1 WHERE id = ?').bind(user.id).run();
+
+    // Generate token and store the session
+    const token = await createAuthSession(env, user.id, client);
+
+    return new Response(JSON.stringify({
+      token,
+      user: {
+        id: user.id,
+        name: `${user.first_name} ${user.last_name}`,
+        email: user.email || null,
+        phone: user.phone,
+        picture: user.picture_url,
+        authMethod: user.auth_method,
+        verified: accountIsVerified({ ...user, phone_verified: 1 }),
+        ...(await userAccessFields(env, user))
+      }
+    }), { status: 200, headers: { 'Content-Type': 'application/json', ...corsHeaders() } });
+  } catch (err) {
+    return rateLimitedErrorResponse(err);
+  }
+}
+
+// Verify Token
+async function handleVerifyToken(env, token) {
+  try {
+    if (!token) throw new Error('Token required');
+
+    // Check if token exists in sessions
+    const session = await env.DB.prepare('SELECT user_id, expires_at FROM auth_sessions WHERE token = ?').bind(token).first();
+    if (!session) throw new Error('Invalid token');
+
+    // Check expiry
+    const expiresAt = new Date(session.expires_at);
+    if (expiresAt < new Date()) throw new Error('Token expired');
+    await touchAuthSession(env, token);
 
     // Get user
-    const user = await env.DB.prepare('SELECT id, first_name, last_name, email FROM users WHERE id = ?').bind(session.user_id).first();
+    const user = await env.DB.prepare('SELECT id, first_name, last_name, email, verified, phone_verified FROM users WHERE id = ?').bind(session.user_id).first();
 
     return new Response(JSON.stringify({
       valid: true,
@@ -1306,7 +4404,8 @@ async function handleVerifyToken(env, token) {
         id: user.id,
         name: `${user.first_name} ${user.last_name}`,
         email: user.email,
-        isAdmin: isAdminEmail(env, user.email)
+        verified: accountIsVerified(user),
+        ...(await userAccessFields(env, user))
       }
     }), { status: 200, headers: { 'Content-Type': 'application/json', ...corsHeaders() } });
   } catch (err) {
@@ -1314,6 +4413,90 @@ async function handleVerifyToken(env, token) {
   }
 }
 
+async function handleLogout(env, token) {
+  try {
+    if (!token) throw new Error('Token required');
+    const res = await env.DB.prepare('DELETE FROM auth_sessions WHERE token = ?').bind(token).run();
+    return new Response(JSON.stringify({ loggedOut: true, revoked: Number(res?.meta?.changes || 0) }), { status: 200, headers: { 'Content-Type': 'application/json', ...corsHeaders() } });
+  } catch (err) {
+    return new Response(JSON.stringify({ error: String(err) }), { status: 400, headers: { 'Content-Type': 'application/json', ...corsHeaders() } });
+  }
+}
+
+// Tokens never leave the server again; sessions are listed and revoked by id.
+async function handleListUserSessions(env, token) {
+  try {
+    const user = await getSessionUser(env, token);
+    const res = await env.DB.prepare(`
+      SELECT id, token, user_agent, ip, created_at, last_seen_at, expires_at
+      FROM auth_sessions
+      WHERE user_id = ?
+      ORDER BY COALESCE(last_seen_at, created_at) DESC, id DESC
+    `).bind(user.id).all();
+
+    const now = new Date();
+    const sessions = (res.results || [])
+      .filter((row) => new Date(row.expires_at) >= now)
+      .map((row) => ({
+        id: row.id,
+        userAgent: row.user_agent || null,
+        ip: row.ip || null,
+        createdAt: row.created_at,
+        lastSeenAt: row.last_seen_at || row.created_at,
+        expiresAt: row.expires_at,
+        current: row.token === token
+      }));
+
+    return new Response(JSON.stringify({ sessions }), { status: 200, headers: { 'Content-Type': 'application/json', ...corsHeaders() } });
+  } catch (err) {
+    return new Response(JSON.stringify({ error: String(err) }), { status: 400, headers: { 'Content-Type': 'application/json', ...corsHeaders() } });
+  }
+}
+
+async function handleRevokeUserSession(env, token, sessionId) {
+  try {
+    const user = await getSessionUser(env, token);
+    const res = await env.DB.prepare('DELETE FROM auth_sessions WHERE id = ? AND user_id = ?').bind(sessionId, user.id).run();
+    if (Number(res?.meta?.changes || 0) === 0) throw new Error('Session not found');
+    return new Response(JSON.stringify({ revoked: 1 }), { status: 200, headers: { 'Content-Type': 'application/json', ...corsHeaders() } });
+  } catch (err) {
+    return new Response(JSON.stringify({ error: String(err) }), { status: 400, headers: { 'Content-Type': 'application/json', ...corsHeaders() } });
+  }
+}
+
+async function handleRevokeAllUserSessions(env, token, data) {
+  try {
+    const user = await getSessionUser(env, token);
+    const res = data?.includeCurrent
+      ? await env.DB.prepare('DELETE FROM auth_sessions WHERE user_id = ?').bind(user.id).run()
+      : await env.DB.prepare('DELETE FROM auth_sessions WHERE user_id = ? AND token != ?').bind(user.id, token).run();
+    return new Response(JSON.stringify({ revoked: Number(res?.meta?.changes || 0) }), { status: 200, headers: { 'Content-Type': 'application/json', ...corsHeaders() } });
+  } catch (err) {
+    return new Response(JSON.stringify({ error: String(err) }), { status: 400, headers: { 'Content-Type': 'application/json', ...corsHeaders() } });
+  }
+}
+
+// Passenger rows that belong to account u: matched on the email once the account has verified
+// it, or for phone sign-in accounts (which have no email) on the last nine digits of the
+// verified phone number. Anyone can sign up with someone else's address, so unverified
+// accounts own nothing.
+const PASSENGER_OWNED_BY_USER_SQL = `(
+  (COALESCE(u.verified, 0) = 1 AND lower(p.email) = lower(u.email))
+  OR (u.email IS NULL AND COALESCE(u.phone_verified, 0) = 1 AND substr(replace(replace(replace(p.phone, ' ', ''), '-', ''), '+', ''), -9)
+    = substr(replace(replace(replace(u.phone, ' ', ''), '-', ''), '+', ''), -9))
+)`;
+
+async function userOwnsBooking(env, user, bookingId) {
+  const row = await env.DB.prepare(`
+    SELECT b.id
+    FROM bookings b
+    JOIN passengers p ON p.id = b.passenger_id
+    JOIN users u ON u.id = ?
+    WHERE b.id = ? AND ${PASSENGER_OWNED_BY_USER_SQL}
+  `).bind(user.id, bookingId).first();
+  return !!row;
+}
+
 // Get user's booking history
 async function handleGetUserBookings(env, token) {
   try {
@@ -1325,6 +4508,7 @@ async function handleGetUserBookings(env, token) {
 
     const expiresAt = new Date(session.expires_at);
     if (expiresAt < new Date()) throw new Error('Token expired');
+    await touchAuthSession(env, token);
 
     const userId = session.user_id;
 
@@ -1336,30 +4520,39 @@ async function handleGetUserBookings(env, token) {
         b.price_paid,
         b.status,
         b.created_at,
+        b.trip_id,
         buses.name as bus_name,
         buses.id as bus_id,
         buses.capacity as bus_capacity,
         r.name as route_name,
+        ts.departure_date,
+        ts.departure_time,
         p.first_name,
         p.last_name
       FROM bookings b
       JOIN buses ON b.bus_id = buses.id
-      JOIN routes r ON buses.route_id = r.id
+      LEFT JOIN trip_schedules ts ON ts.id = b.trip_id
+      JOIN routes r ON COALESCE(ts.route_id, buses.route_id) = r.id
       JOIN passengers p ON b.passenger_id = p.id
-      WHERE p.id IN (
-        SELECT id FROM passengers WHERE email = (SELECT email FROM users WHERE id = ?)
-      )
+      JOIN users u ON u.id = ?
+      WHERE ${PASSENGER_OWNED_BY_USER_SQL}
       ORDER BY b.created_at DESC
       LIMIT 50
     `).bind(userId).all();
 
-    const bookings = (bookingsRes.results || []).map(b => ({
+    const rows = bookingsRes.results || [];
+    const ticketCodes = await ticketCodesForBookings(env, rows.filter((b) => b.status === 'confirmed').map((b) => b.id));
+    const bookings = rows.map(b => ({
       id: b.id,
       bus_name: b.bus_name,
       route_name: b.route_name,
       seat_number: normalizeSeatNumberRaw(b.seat_number, Number(b.bus_capacity || 50)) || String(b.seat_number),
       price_paid: b.price_paid,
       status: b.status,
+      trip_id: b.trip_id || null,
+      departure_date: b.departure_date || null,
+      departure_time: b.departure_time || null,
+      ticket_code: ticketCodes[b.id] || null,
       created_at: b.created_at
     }));
 
@@ -1368,6 +4561,160 @@ async function handleGetUserBookings(env, token) {
     }), { status: 200, headers: { 'Content-Type': 'application/json', ...corsHeaders() } });
   } catch (err) {
     return new Response(JSON.stringify({ error: String(err) }), { status: 400, headers: { 'Content-Type': 'application/json', ...corsHeaders() } });
+  }
+}
+
+const DEFAULT_CANCELLATION_CUTOFF_HOURS = 24;
+
+function cancellationCutoffHours(env) {
+  const hours = Number(env.CANCELLATION_CUTOFF_HOURS);
+  return Number.isFinite(hours) && hours >= 0 ? hours : DEFAULT_CANCELLATION_CUTOFF_HOURS;
+}
+
+// Customers may cancel or move a booking until CANCELLATION_CUTOFF_HOURS before departure.
+async function assertBeforeChangeCutoff(env, booking, label) {
+  if (!booking.departure_ts) return;
+  const cutoffHours = cancellationCutoffHours(env);
+  const open = await env.DB.prepare(`SELECT datetime('now') < datetime(?, ?) as ok`)
+    .bind(booking.departure_ts, `-${cutoffHours * 60} minutes`).first();
+  if (!Number(open?.ok)) {
+    throw new Error(`${label} closes ${cutoffHours} hour(s) before departure`);
+  }
+}
+
+// Payment reference a booking was charged under. Multi-seat bookings store "<ref>:<seat>".
+function bookingTransactionRef(externalRef) {
+  const ref = String(externalRef || '');
+  if (!ref || ref.startsWith('admin_manual_')) return null;
+  return ref.split(':')[0];
+}
+
+async function getBookingForCancellation(env, bookingId) {
+  return await env.DB.prepare(`
+    SELECT
+      b.id, b.bus_id, b.trip_id, b.seat_number, b.price_paid, b.status, b.external_ref,
+      p.first_name, p.last_name, p.email, p.phone,
+      buses.capacity as bus_capacity,
+      ts.departure_date, ts.departure_time,
+      CASE
+        WHEN ts.departure_date IS NULL THEN NULL
+        ELSE datetime(ts.departure_date || ' ' || COALESCE(ts.departure_time, '00:00:00'))
+      END as departure_ts
+    FROM bookings b
+    JOIN passengers p ON p.id = b.passenger_id
+    JOIN buses ON buses.id = b.bus_id
+    LEFT JOIN trip_schedules ts ON ts.id = b.trip_id
+    WHERE b.id = ?
+  `).bind(bookingId).first();
+}
+
+// Records and requests one refund against the gateway transaction for a booking.
+async function refundBookingCharge(env, bookingId, transactionRef, amountKobo, actor) {
+  const refundInsert = await env.DB.prepare(`
+    INSERT INTO booking_refunds (booking_id, transaction_ref, amount_kobo, status, requested_by)
+    VALUES (?, ?, ?, 'pending', ?)
+  `).bind(bookingId, transactionRef, amountKobo, actor).run();
+  const refundRowId = refundInsert.meta.last_row_id;
+  try {
+    const provider = await getPaymentProviderForReference(env, transactionRef);
+    const providerRefund = await provider.refund(env, transactionRef, amountKobo);
+    const status = providerRefund.status === 'processed' ? 'processed' : 'pending';
+    await env.DB.prepare('UPDATE booking_refunds SET status = ?, provider_refund_id = ? WHERE id = ?')
+      .bind(status, providerRefund.refundId, refundRowId).run();
+    return { status, amount: amountKobo / 100 };
+  } catch (err) {
+    await env.DB.prepare('UPDATE booking_refunds SET status = ?, failure_reason = ? WHERE id = ?')
+      .bind('failed', String(err), refundRowId).run();
+    return { status: 'failed', amount: amountKobo / 100, error: String(err) };
+  }
+}
+
+// Gateway charges that make up what a booking has paid. A rebooked ticket may have been topped
+// up under its own reference, so the original charge only covers the remainder of price_paid.
+async function listBookingCharges(env, booking) {
+  const transfersRes = await env.DB.prepare(`
+    SELECT payment_ref, fare_difference
+    FROM booking_transfers
+    WHERE booking_id = ? AND payment_ref IS NOT NULL AND fare_difference > 0
+  `).bind(booking.id).all();
+  const topUps = (transfersRes.results || []).map((t) => ({
+    transactionRef: t.payment_ref,
+    amountKobo: Math.round(Number(t.fare_difference || 0) * 100)
+  }));
+
+  const topUpKobo = topUps.reduce((sum, t) => sum + t.amountKobo, 0);
+  const originalKobo = Math.round(Number(booking.price_paid || 0) * 100) - topUpKobo;
+  const originalRef = bookingTransactionRef(booking.external_ref);
+
+  const charges = [];
+  if (originalRef && originalKobo > 0) charges.push({ transactionRef: originalRef, amountKobo: originalKobo });
+  for (const t of topUps) {
+    if (t.amountKobo > 0) charges.push(t);
+  }
+  return charges;
+}
+
+// Cancels a confirmed booking: frees the seat, refunds the gateway charge for this seat
+// (manual bookings have nothing to refund) and notifies the passenger by SMS.
+// A failed refund does not undo the cancellation; it stays on booking_refunds as 'failed'.
+async function cancelBooking(env, booking, { actor, reason = null, refund = true }) {
+  const update = await env.DB.prepare(`
+    UPDATE bookings
+    SET status = 'cancelled', cancelled_at = datetime('now'), cancelled_by = ?, cancel_reason = ?
+    WHERE id = ? AND status = 'confirmed'
+  `).bind(actor, reason, booking.id).run();
+  if (Number(update?.meta?.changes || 0) === 0) throw new Error('Booking is not confirmed');
+
+  await refreshBusAvailableSeats(env, booking.bus_id);
+  await offerFreedSeatsToWaitlist(env, booking.trip_id);
+
+  let refundResult = { status: 'not_applicable', amount: 0 };
+  if (refund) {
+    const charges = await listBookingCharges(env, booking);
+    const outcomes = [];
+    for (const charge of charges) {
+      outcomes.push(await refundBookingCharge(env, booking.id, charge.transactionRef, charge.amountKobo, actor));
+    }
+    if (outcomes.length) {
+      const failed = outcomes.find((o) => o.status === 'failed');
+      refundResult = {
+        status: failed ? 'failed' : (outcomes.every((o) => o.status === 'processed') ? 'processed' : 'pending'),
+        amount: outcomes.reduce((sum, o) => sum + o.amount, 0),
+        ...(failed ? { error: failed.error } : {})
+      };
+    }
+  }
+
+  const seat = normalizeSeatNumberRaw(booking.seat_number, Number(booking.bus_capacity || 50)) || String(booking.seat_number);
+  const refundText = refundResult.status === 'pending' || refundResult.status === 'processed'
+    ? ` A refund of GHS ${refundResult.amount.toFixed(2)} has been initiated.`
+    : '';
+  await sendSMS(env, booking.phone, `Your Elite Transport booking ELITE-${booking.id} (Seat ${seat}) has been cancelled.${refundText}`);
+
+  return {
+    booking_id: `ELITE-${booking.id}`,
+    status: 'cancelled',
+    seat,
+    refund: refundResult
+  };
+}
+
+// Customer cancellation of their own booking, allowed until CANCELLATION_CUTOFF_HOURS before departure.
+async function handleUserCancelBooking(env, token, bookingId) {
+  try {
+    const user = await getSessionUser(env, token);
+    const booking = await getBookingForCancellation(env, bookingId);
+    if (!accountIsVerified(user)) throw new Error('Please verify your account before changing a booking');
+    if (!booking || !(await userOwnsBooking(env, user, booking.id))) {
+      throw new Error('Booking not found');
+    }
+    if (booking.status !== 'confirmed') throw new Error('Booking is not confirmed');
+    await assertBeforeChangeCutoff(env, booking, 'Cancellation');
+
+    const result = await cancelBooking(env, booking, { actor: `user:${user.id}`, reason: 'customer_request' });
+    return new Response(JSON.stringify(result), { status: 200, headers: { 'Content-Type': 'application/json', ...corsHeaders() } });
+  } catch (err) {
+    return new Response(JSON.stringify({ error: String(err) }), { status: 400, headers: { 'Content-Type': 'application/json', ...corsHeaders() } });
   }
 }
 
@@ -1419,7 +4766,8 @@ async function handleGetUserProfile(env, token) {
         phone: user.phone,
         picture: user.picture_url,
         authMethod: user.auth_method,
-        isAdmin: isAdminEmail(env, user.email)
+        verified: accountIsVerified(user),
+        ...(await userAccessFields(env, user))
       },
       passenger: passenger ? {
         firstName: passenger.first_name,
@@ -1438,7 +4786,7 @@ async function handleGetUserProfile(env, token) {
 async function handleAdminBootstrap(env, token) {
   try {
     const user = await getSessionUser(env, token);
-    if (!isAdminEmail(env, user.email)) {
+    if (!(await userHasPermission(env, user, 'dashboard.view'))) {
       return new Response(JSON.stringify({ error: 'Forbidden' }), {
         status: 403,
         headers: { 'Content-Type': 'application/json', ...corsHeaders() }
@@ -1501,10 +4849,10 @@ async function handleAdminBootstrap(env, token) {
   }
 }
 
-async function handleAdminManualBooking(env, token, data) {
+async function handleAdminManualBooking(env, token, data, client = {}) {
   try {
     const user = await getSessionUser(env, token);
-    if (!isAdminEmail(env, user.email)) {
+    if (!(await userHasPermission(env, user, 'bookings.create'))) {
       return new Response(JSON.stringify({ error: 'Forbidden' }), {
         status: 403,
         headers: { 'Content-Type': 'application/json', ...corsHeaders() }
@@ -1521,15 +4869,16 @@ async function handleAdminManualBooking(env, token, data) {
     const trip = await resolveTripForBus(env, busId, tripId ? Number(tripId) : null);
     const tripKey = trip?.id || null;
 
-    const seatKey = normalizeSeatNumberRaw(seat, Number(bus.capacity || 50));
+    const { capacity, legacyColumns } = await getBusSeatConfig(env, busId);
+    const seatKey = normalizeSeatNumberRaw(seat, capacity, legacyColumns);
     if (!seatKey) throw new Error('Invalid seat number');
-    const legacySeat = canonicalSeatToLegacy(seatKey) || seatKey;
+    const legacySeat = canonicalSeatToLegacy(seatKey, legacyColumns) || seatKey;
 
-    if (await hasConfirmedSeat(env, busId, tripKey, seatKey, Number(bus.capacity || 50))) {
+    if (await hasConfirmedSeat(env, busId, tripKey, seatKey, capacity, legacyColumns)) {
       throw new Error('Seat already booked');
     }
 
-    if (await hasActiveLockSeat(env, busId, tripKey, seatKey, Number(bus.capacity || 50))) {
+    if (await hasActiveLockSeat(env, busId, tripKey, seatKey, capacity, legacyColumns)) {
       throw new Error('Seat currently locked');
     }
 
@@ -1538,7 +4887,10 @@ async function handleAdminManualBooking(env, token, data) {
     ).bind(firstName, lastName, email, phone, nokName || null, nokPhone || null).run();
     const passengerId = passengerRes.meta.last_row_id;
 
-    const paid = Number.isFinite(Number(pricePaid)) ? Number(pricePaid) : Number(bus.price || 0);
+    const hasPriceOverride = pricePaid !== undefined && pricePaid !== null && pricePaid !== '' && Number.isFinite(Number(pricePaid));
+    const paid = hasPriceOverride
+      ? Number(pricePaid)
+      : (await computeFareQuote(env, { busId, tripId: tripKey, seats: [seatKey] })).total;
     const extRef = `admin_manual_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
 
     const bookingInsert = await insertConfirmedBookingAtomic(env, {
@@ -1584,11 +4936,11 @@ async function handleAdminManualBooking(env, token, data) {
       : `Your Elite Transport booking is confirmed! Booking ID: ELITE-${bookingId}, Seat: ${seatKey}, Amount: GHS ${paid.toFixed(2)}`;
     await sendSMS(env, phone, smsText);
 
-    if (tripKey) {
-      const count = await env.DB.prepare('SELECT COUNT(*) as c FROM bookings WHERE bus_id = ? AND trip_id = ? AND status = "confirmed"').bind(busId, tripKey).first();
-      const remaining = Math.max(0, Number(bus.capacity || 0) - Number(count?.c || 0));
-      await env.DB.prepare('UPDATE buses SET available_seats = ? WHERE id = ?').bind(remaining, busId).run();
-    }
+    await refreshBusAvailableSeats(env, busId);
+
+    await recordAdminAudit(env, user, 'booking.create_manual', {
+      type: 'booking', id: bookingId, after: await auditRowSnapshot(env, 'bookings', bookingId)
+    }, client);
 
     return new Response(JSON.stringify({
       booking_id: `ELITE-${bookingId}`,
@@ -1611,6 +4963,36 @@ async function handleAdminManualBooking(env, token, data) {
   }
 }
 
+async function handleAdminCancelBooking(env, token, bookingId, data, client = {}) {
+  try {
+    const user = await requirePermission(env, token, 'bookings.cancel');
+    const booking = await getBookingForCancellation(env, bookingId);
+    if (!booking) throw new Error('Booking not found');
+    if (booking.status !== 'confirmed') throw new Error('Booking is not confirmed');
+    const before = await auditRowSnapshot(env, 'bookings', bookingId);
+
+    const result = await cancelBooking(env, booking, {
+      actor: `admin:${user.email}`,
+      reason: data?.reason || 'admin_cancelled',
+      refund: data?.refund !== false
+    });
+    await recordAdminAudit(env, user, 'booking.cancel', {
+      type: 'booking', id: bookingId, before, after: await auditRowSnapshot(env, 'bookings', bookingId)
+    }, client);
+
+    return new Response(JSON.stringify(result), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders() }
+    });
+  } catch (err) {
+    const status = String(err).includes('Forbidden') ? 403 : 400;
+    return new Response(JSON.stringify({ error: String(err) }), {
+      status,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders() }
+    });
+  }
+}
+
 async function getBusesColumnSet(env) {
   const info = await env.DB.prepare('PRAGMA table_info(buses)').all();
   return new Set((info.results || []).map((r) => String(r.name || '').toLowerCase()));
@@ -1619,7 +5001,7 @@ async function getBusesColumnSet(env) {
 async function handleAdminUpcomingBookings(env, token, request) {
   try {
     const user = await getSessionUser(env, token);
-    if (!isAdminEmail(env, user.email)) {
+    if (!(await userHasPermission(env, user, 'bookings.view'))) {
       return new Response(JSON.stringify({ error: 'Forbidden' }), {
         status: 403,
         headers: { 'Content-Type': 'application/json', ...corsHeaders() }
@@ -1811,84 +5193,1535 @@ async function handleAdminUpcomingBookings(env, token, request) {
     });
   } catch (err) {
     return new Response(JSON.stringify({ error: String(err) }), {
-      status: 400,
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders() }
+    });
+  }
+}
+
+// ==================== ROLES & PERMISSIONS ====================
+
+// Staff access lives in D1: roles -> role_permissions, and user_roles assigns roles to accounts.
+// The built-in roles below are seeded once and gain new permissions on later deploys; ADMIN_EMAILS
+// only bootstraps the admin role.
+const PERMISSIONS = [
+  'dashboard.view',
+  'bookings.view',
+  'bookings.create',
+  'bookings.cancel',
+  'operations.view',
+  'fleet.manage',
+  'trips.manage',
+  'pricing.manage',
+  'manifest.view',
+  'tickets.checkin',
+  'payments.reconcile',
+  'jobs.view',
+  'staff.manage',
+  'audit.view'
+];
+
+const BUILT_IN_ROLES = [
+  { key: 'admin', name: 'Administrator', description: 'Full access, including staff roles', permissions: PERMISSIONS },
+  {
+    key: 'dispatcher',
+    name: 'Dispatcher',
+    description: 'Runs the fleet, trips and boarding',
+    permissions: ['dashboard.view', 'bookings.view', 'bookings.create', 'operations.view', 'fleet.manage', 'trips.manage', 'manifest.view', 'tickets.checkin']
+  },
+  {
+    key: 'finance',
+    name: 'Finance',
+    description: 'Prices, refunds and payment reconciliation',
+    permissions: ['dashboard.view', 'bookings.view', 'bookings.cancel', 'pricing.manage', 'payments.reconcile', 'jobs.view', 'audit.view']
+  },
+  { key: 'conductor', name: 'Conductor', description: 'Boards passengers on a trip', permissions: ['manifest.view', 'tickets.checkin'] },
+  {
+    key: 'support',
+    name: 'Customer Support',
+    description: 'Looks up, books and cancels for customers',
+    permissions: ['dashboard.view', 'bookings.view', 'bookings.create', 'bookings.cancel', 'manifest.view']
+  }
+];
+
+// ADMIN_EMAILS only seeds the first administrator: while no account holds the admin role, a
+// listed account that has verified its email is granted it when it signs in or verifies.
+// After that user_roles alone decides access and roles are managed through the staff endpoints.
+async function bootstrapAdminFromEnv(env, userId, client = {}) {
+  if (!parseAdminEmails(env).length) return;
+  const user = await env.DB.prepare('SELECT id, email, verified FROM users WHERE id = ?').bind(userId).first();
+  if (!user?.email || !Number(user.verified) || !isAdminEmail(env, user.email)) return;
+
+  const grant = await env.DB.prepare(`
+    INSERT INTO user_roles (user_id, role_key, granted_by)
+    SELECT ?, 'admin', 'ADMIN_EMAILS'
+    WHERE NOT EXISTS (SELECT 1 FROM user_roles WHERE role_key = 'admin')
+  `).bind(user.id).run();
+  if (Number(grant?.meta?.changes || 0) === 0) return;
+  await recordAdminAudit(env, user, 'staff.bootstrap_admin', {
+    type: 'user', id: user.id, before: { email: user.email, roles: [] }, after: { email: user.email, roles: ['admin'] }
+  }, client);
+}
+
+async function getUserAccess(env, user) {
+  if (!user?.id) return { roles: [], permissions: [] };
+  const res = await env.DB.prepare(`
+    SELECT ur.role_key, rp.permission
+    FROM user_roles ur
+    LEFT JOIN role_permissions rp ON rp.role_key = ur.role_key
+    WHERE ur.user_id = ?
+  `).bind(user.id).all();
+  const rows = res.results || [];
+  return {
+    roles: [...new Set(rows.map((row) => row.role_key))].sort(),
+    permissions: [...new Set(rows.map((row) => row.permission).filter(Boolean))].sort()
+  };
+}
+
+async function userHasPermission(env, user, permission) {
+  const access = await getUserAccess(env, user);
+  return access.permissions.includes(permission);
+}
+
+// Throws 'Forbidden' (mapped to 403 by admin handlers) unless the caller holds the permission.
+async function requirePermission(env, token, permission) {
+  const user = await getSessionUser(env, token);
+  const access = await getUserAccess(env, user);
+  if (!access.permissions.includes(permission)) throw new Error('Forbidden');
+  return { ...user, ...access };
+}
+
+// Fields every sign-in response carries so pages can show staff tools.
+async function userAccessFields(env, user) {
+  const access = await getUserAccess(env, user);
+  return { isAdmin: access.permissions.length > 0, roles: access.roles, permissions: access.permissions };
+}
+
+async function handleAdminListRoles(env, token) {
+  try {
+    await requirePermission(env, token, 'staff.manage');
+
+    const [rolesRes, permsRes, staffRes] = await Promise.all([
+      env.DB.prepare('SELECT key, name, description FROM roles ORDER BY key ASC').all(),
+      env.DB.prepare('SELECT role_key, permission FROM role_permissions ORDER BY permission ASC').all(),
+      env.DB.prepare(`
+        SELECT u.id, u.email, u.phone, u.first_name, u.last_name, ur.role_key, ur.granted_by, ur.created_at
+        FROM user_roles ur
+        JOIN users u ON u.id = ur.user_id
+        ORDER BY u.id ASC, ur.role_key ASC
+      `).all()
+    ]);
+
+    const permissionsByRole = {};
+    for (const row of permsRes.results || []) {
+      (permissionsByRole[row.role_key] ||= []).push(row.permission);
+    }
+    const staff = new Map();
+    for (const row of staffRes.results || []) {
+      if (!staff.has(row.id)) {
+        staff.set(row.id, {
+          userId: row.id,
+          name: `${row.first_name || ''} ${row.last_name || ''}`.trim(),
+          email: row.email || null,
+          phone: row.phone || null,
+          roles: []
+        });
+      }
+      staff.get(row.id).roles.push({ role: row.role_key, grantedBy: row.granted_by || null, grantedAt: row.created_at });
+    }
+
+    return new Response(JSON.stringify({
+      permissions: PERMISSIONS,
+      roles: (rolesRes.results || []).map((role) => ({ ...role, permissions: permissionsByRole[role.key] || [] })),
+      staff: [...staff.values()]
+    }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders() }
+    });
+  } catch (err) {
+    const status = String(err).includes('Forbidden') ? 403 : 400;
+    return new Response(JSON.stringify({ error: String(err) }), {
+      status,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders() }
+    });
+  }
+}
+
+// Replaces a user's roles with the given list ([] removes all staff access).
+async function handleAdminSetUserRoles(env, token, data, client = {}) {
+  try {
+    const admin = await requirePermission(env, token, 'staff.manage');
+    const { userId, email, roles } = data || {};
+    if (!Array.isArray(roles)) throw new Error('roles must be a list of role keys');
+
+    const target = userId
+      ? await env.DB.prepare('SELECT id, email FROM users WHERE id = ?').bind(Number(userId)).first()
+      : await env.DB.prepare('SELECT id, email FROM users WHERE lower(email) = lower(?)').bind(String(email || '').trim()).first();
+    if (!target) throw new Error('User not found');
+
+    const roleKeys = [...new Set(roles.map((role) => String(role || '').trim().toLowerCase()).filter(Boolean))];
+    if (roleKeys.length) {
+      const known = await env.DB.prepare(`
+        SELECT key FROM roles WHERE key IN (${roleKeys.map(() => '?').join(', ')})
+      `).bind(...roleKeys).all();
+      const knownKeys = new Set((known.results || []).map((row) => row.key));
+      const unknown = roleKeys.filter((key) => !knownKeys.has(key));
+      if (unknown.length) throw new Error(`Unknown role: ${unknown.join(', ')}`);
+    }
+
+    if (!roleKeys.includes('admin')) {
+      const otherAdmins = await env.DB.prepare(`
+        SELECT COUNT(*) as c FROM user_roles WHERE role_key = 'admin' AND user_id != ?
+      `).bind(target.id).first();
+      if (Number(otherAdmins?.c || 0) === 0) throw new Error('At least one administrator is required');
+    }
+
+    const previous = await getUserAccess(env, target);
+    await env.DB.prepare('DELETE FROM user_roles WHERE user_id = ?').bind(target.id).run();
+    for (const key of roleKeys) {
+      await env.DB.prepare('INSERT INTO user_roles (user_id, role_key, granted_by) VALUES (?, ?, ?)').bind(target.id, key, admin.email || `user:${admin.id}`).run();
+    }
+
+    const access = await getUserAccess(env, target);
+    await recordAdminAudit(env, admin, 'staff.set_roles', {
+      type: 'user',
+      id: target.id,
+      before: { email: target.email || null, roles: previous.roles },
+      after: { email: target.email || null, roles: access.roles }
+    }, client);
+    return new Response(JSON.stringify({ userId: target.id, email: target.email || null, ...access }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders() }
+    });
+  } catch (err) {
+    const status = String(err).includes('Forbidden') ? 403 : 400;
+    return new Response(JSON.stringify({ error: String(err) }), {
+      status,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders() }
+    });
+  }
+}
+
+async function handleAdminFleetOptions(env, token) {
+  try {
+    await requirePermission(env, token, 'operations.view');
+
+    const [routesRes, busesRes, activeTripsRes, recentTripsRes] = await Promise.all([
+      env.DB.prepare('SELECT id, name FROM routes ORDER BY name ASC').all(),
+      env.DB.prepare('SELECT id, name, plate_number, capacity, available_seats, route_id FROM buses ORDER BY id DESC').all(),
+      env.DB.prepare(`
+        SELECT ts.id, ts.route_id, ts.bus_id, ts.departure_date, ts.departure_time, ts.price, ts.status,
+               r.name as route_name, b.name as bus_name, b.capacity,
+               (SELECT COUNT(*) FROM bookings bk WHERE bk.trip_id = ts.id AND bk.status = 'confirmed') as booked_count
+        FROM trip_schedules ts
+        JOIN routes r ON r.id = ts.route_id
+        JOIN buses b ON b.id = ts.bus_id
+        WHERE ts.status = 'active'
+        ORDER BY ts.id DESC
+      `).all(),
+      env.DB.prepare(`
+        SELECT ts.id, ts.route_id, ts.bus_id, ts.departure_date, ts.departure_time, ts.price, ts.status, ts.ended_at,
+               r.name as route_name, b.name as bus_name, b.capacity,
+               (SELECT COUNT(*) FROM bookings bk WHERE bk.trip_id = ts.id AND bk.status = 'confirmed') as booked_count
+        FROM trip_schedules ts
+        JOIN routes r ON r.id = ts.route_id
+        JOIN buses b ON b.id = ts.bus_id
+        WHERE ts.status IN ('completed','cancelled')
+        ORDER BY COALESCE(ts.ended_at, ts.created_at) DESC
+        LIMIT 20
+      `).all()
+    ]);
+
+    const activeTrips = (activeTripsRes.results || []).map((t) => ({
+      id: t.id,
+      routeId: t.route_id,
+      routeName: t.route_name,
+      busId: t.bus_id,
+      busName: t.bus_name,
+      capacity: Number(t.capacity || 0),
+      bookedCount: Number(t.booked_count || 0),
+      departureDate: t.departure_date,
+      departureTime: t.departure_time,
+      price: Number(t.price || 0),
+      status: t.status,
+      seatLeft: Math.max(0, Number(t.capacity || 0) - Number(t.booked_count || 0))
+    }));
+
+    const recentTrips = (recentTripsRes.results || []).map((t) => ({
+      id: t.id,
+      routeId: t.route_id,
+      routeName: t.route_name,
+      busId: t.bus_id,
+      busName: t.bus_name,
+      capacity: Number(t.capacity || 0),
+      bookedCount: Number(t.booked_count || 0),
+      departureDate: t.departure_date,
+      departureTime: t.departure_time,
+      price: Number(t.price || 0),
+      status: t.status,
+      endedAt: t.ended_at || null,
+      seatLeft: Math.max(0, Number(t.capacity || 0) - Number(t.booked_count || 0))
+    }));
+
+    return new Response(JSON.stringify({
+      routes: routesRes.results || [],
+      buses: busesRes.results || [],
+      activeTrips,
+      recentTrips
+    }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders() }
+    });
+  } catch (err) {
+    const status = String(err).includes('Forbidden') ? 403 : 400;
+    return new Response(JSON.stringify({ error: String(err) }), {
+      status,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders() }
+    });
+  }
+}
+
+async function handleAdminCreateBus(env, token, data, client = {}) {
+  try {
+    const admin = await requirePermission(env, token, 'fleet.manage');
+    const { name, plateNumber, routeId, capacity, availableSeats, price, routeText, layoutId } = data || {};
+    if (!name || !routeId) throw new Error('Bus name and route are required');
+
+    const layout = layoutId ? await env.DB.prepare('SELECT id, capacity FROM seat_layouts WHERE id = ?').bind(layoutId).first() : null;
+    if (layoutId && !layout) throw new Error('Seat layout not found');
+    // With a layout the seat count comes from the layout itself.
+    const cap = layout ? Number(layout.capacity) : Number(capacity || 0);
+    if (!Number.isFinite(cap) || cap <= 0) throw new Error('Valid capacity required');
+    const seats = Number.isFinite(Number(availableSeats)) ? Number(availableSeats) : cap;
+    const safeSeats = Math.min(cap, Math.max(0, seats));
+    const safePrice = Number.isFinite(Number(price)) ? Number(price) : 0;
+
+    const insert = await env.DB.prepare(`
+      INSERT INTO buses (route_id, name, plate_number, capacity, available_seats, price, route_text, layout_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).bind(routeId, name, plateNumber || null, cap, safeSeats, safePrice, routeText || null, layout?.id || null).run();
+    await recordAdminAudit(env, admin, 'bus.create', {
+      type: 'bus', id: insert.meta.last_row_id, after: await auditRowSnapshot(env, 'buses', insert.meta.last_row_id)
+    }, client);
+
+    return new Response(JSON.stringify({
+      id: insert.meta.last_row_id,
+      name,
+      routeId: Number(routeId),
+      layoutId: layout?.id || null,
+      capacity: cap,
+      availableSeats: safeSeats,
+      price: safePrice
+    }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders() }
+    });
+  } catch (err) {
+    const status = String(err).includes('Forbidden') ? 403 : 400;
+    return new Response(JSON.stringify({ error: String(err) }), {
+      status,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders() }
+    });
+  }
+}
+
+async function handleAdminCreateTrip(env, token, data, client = {}) {
+  try {
+    const admin = await requirePermission(env, token, 'trips.manage');
+    const { routeId, busId, departureDate, departureTime, price, durationMinutes, classPrices } = data || {};
+    if (!routeId || !busId) throw new Error('Route and bus are required');
+    const route = await env.DB.prepare('SELECT id FROM routes WHERE id = ?').bind(routeId).first();
+    if (!route) throw new Error('Route not found');
+
+    const bus = await env.DB.prepare('SELECT id, route_id, capacity, price FROM buses WHERE id = ?').bind(busId).first();
+    if (!bus) throw new Error('Bus not found');
+
+    if (departureDate && !normalizeIsoDate(departureDate)) throw new Error('Departure date must be YYYY-MM-DD');
+    if (departureTime && !/^\d{2}:\d{2}/.test(String(departureTime))) throw new Error('Departure time must be HH:MM');
+    const safeDuration = durationMinutes === undefined || durationMinutes === null || durationMinutes === ''
+      ? null
+      : Math.floor(Number(durationMinutes));
+    if (safeDuration !== null && !(safeDuration > 0)) throw new Error('Duration must be a positive number of minutes');
+
+    const clash = await findOverlappingBusTrip(env, busId, {
+      departure_date: departureDate, departure_time: departureTime, duration_minutes: safeDuration
+    });
+    if (clash) {
+      throw new Error(`Bus already has trip #${clash.id} at ${[clash.departure_date, clash.departure_time].filter(Boolean).join(' ') || 'an unscheduled time'}`);
+    }
+
+    const safePrice = Number.isFinite(Number(price)) ? Number(price) : Number(bus.price || 0);
+    const safeClassPrices = normalizeClassPrices(classPrices);
+    const insert = await env.DB.prepare(`
+      INSERT INTO trip_schedules (route_id, bus_id, departure_date, departure_time, duration_minutes, price, class_prices, status)
+      VALUES (?, ?, ?, ?, ?, ?, ?, 'active')
+    `).bind(routeId, busId, departureDate || null, departureTime || null, safeDuration, safePrice, JSON.stringify(safeClassPrices)).run();
+    const tripId = insert.meta.last_row_id;
+
+    // The bus keeps its own route and fare; the trip carries this departure's.
+    await refreshBusAvailableSeats(env, busId);
+    await recordAdminAudit(env, admin, 'trip.create', {
+      type: 'trip', id: tripId, after: await auditRowSnapshot(env, 'trip_schedules', tripId)
+    }, client);
+
+    return new Response(JSON.stringify({
+      tripId,
+      routeId: Number(routeId),
+      busId: Number(busId),
+      departureDate: departureDate || null,
+      departureTime: departureTime || null,
+      durationMinutes: safeDuration,
+      price: safePrice,
+      classPrices: safeClassPrices,
+      status: 'active'
+    }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders() }
+    });
+  } catch (err) {
+    const status = String(err).includes('Forbidden') ? 403 : 400;
+    return new Response(JSON.stringify({ error: String(err) }), {
+      status,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders() }
+    });
+  }
+}
+
+// Replaces a trip's class prices. Only new quotes are affected; paid bookings keep their price.
+async function handleAdminSetTripClassPrices(env, token, tripId, data, client = {}) {
+  try {
+    const admin = await requirePermission(env, token, 'pricing.manage');
+    const trip = await env.DB.prepare('SELECT id, bus_id, price, class_prices FROM trip_schedules WHERE id = ?').bind(tripId).first();
+    if (!trip) throw new Error('Trip not found');
+
+    const classPrices = normalizeClassPrices(data?.classPrices ?? data?.prices);
+    const before = await auditRowSnapshot(env, 'trip_schedules', tripId);
+    await env.DB.prepare('UPDATE trip_schedules SET class_prices = ? WHERE id = ?').bind(JSON.stringify(classPrices), tripId).run();
+    await recordAdminAudit(env, admin, 'trip.set_class_prices', {
+      type: 'trip', id: tripId, before, after: await auditRowSnapshot(env, 'trip_schedules', tripId)
+    }, client);
+
+    return new Response(JSON.stringify({
+      tripId,
+      classPrices,
+      prices: await getClassPriceTable(env, trip.bus_id, { ...trip, class_prices: JSON.stringify(classPrices) })
+    }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders() }
+    });
+  } catch (err) {
+    const status = String(err).includes('Forbidden') ? 403 : 400;
+    return new Response(JSON.stringify({ error: String(err) }), {
+      status,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders() }
+    });
+  }
+}
+
+// Closes an active trip: no more locks or waitlist offers once it has run.
+async function completeTrip(env, tripId) {
+  const update = await env.DB.prepare('UPDATE trip_schedules SET status = ?, ended_at = datetime("now") WHERE id = ? AND status = ?')
+    .bind('completed', tripId, 'active').run();
+  await env.DB.prepare('DELETE FROM seat_locks WHERE trip_id = ?').bind(tripId).run();
+  await env.DB.prepare(`UPDATE trip_waitlist SET status = 'cancelled' WHERE trip_id = ? AND status IN ('waiting', 'offered')`).bind(tripId).run();
+  return Number(update?.meta?.changes || 0) > 0;
+}
+
+async function handleAdminEndTrip(env, token, tripId, client = {}) {
+  try {
+    const admin = await requirePermission(env, token, 'trips.manage');
+    if (!tripId) throw new Error('Trip ID required');
+
+    const trip = await env.DB.prepare('SELECT id, bus_id, status FROM trip_schedules WHERE id = ?').bind(tripId).first();
+    if (!trip) throw new Error('Trip not found');
+    if (trip.status !== 'active') throw new Error('Trip is not active');
+
+    const before = await auditRowSnapshot(env, 'trip_schedules', tripId);
+    await completeTrip(env, tripId);
+    await refreshBusAvailableSeats(env, trip.bus_id);
+    const bus = await env.DB.prepare('SELECT available_seats FROM buses WHERE id = ?').bind(trip.bus_id).first();
+    await recordAdminAudit(env, admin, 'trip.end', {
+      type: 'trip', id: tripId, before, after: await auditRowSnapshot(env, 'trip_schedules', tripId)
+    }, client);
+
+    return new Response(JSON.stringify({
+      tripId,
+      status: 'completed',
+      busId: trip.bus_id,
+      availableSeats: Number(bus?.available_seats || 0)
+    }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders() }
+    });
+  } catch (err) {
+    const status = String(err).includes('Forbidden') ? 403 : 400;
+    return new Response(JSON.stringify({ error: String(err) }), {
+      status,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders() }
+    });
+  }
+}
+
+async function handleAdminListFareRules(env, token) {
+  try {
+    await requirePermission(env, token, 'pricing.manage');
+    const res = await env.DB.prepare(`
+      SELECT fr.id, fr.name, fr.route_id, fr.trip_id, fr.min_seats, fr.percent_off, fr.amount_off,
+             fr.starts_at, fr.ends_at, fr.active, fr.created_at, r.name as route_name
+      FROM fare_rules fr
+      LEFT JOIN routes r ON r.id = fr.route_id
+      ORDER BY fr.active DESC, fr.id DESC
+    `).all();
+
+    return new Response(JSON.stringify({
+      fareRules: (res.results || []).map((r) => ({
+        id: r.id,
+        name: r.name,
+        routeId: r.route_id || null,
+        routeName: r.route_name || null,
+        tripId: r.trip_id || null,
+        minSeats: Number(r.min_seats || 1),
+        percentOff: Number(r.percent_off || 0),
+        amountOff: Number(r.amount_off || 0),
+        startsAt: r.starts_at || null,
+        endsAt: r.ends_at || null,
+        active: Number(r.active) === 1,
+        createdAt: r.created_at
+      }))
+    }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders() }
+    });
+  } catch (err) {
+    const status = String(err).includes('Forbidden') ? 403 : 400;
+    return new Response(JSON.stringify({ error: String(err) }), {
+      status,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders() }
+    });
+  }
+}
+
+async function handleAdminCreateFareRule(env, token, data, client = {}) {
+  try {
+    const admin = await requirePermission(env, token, 'pricing.manage');
+    const { name, routeId, tripId, minSeats, percentOff, amountOff, startsAt, endsAt } = data || {};
+    if (!name) throw new Error('Rule name is required');
+
+    const safeMinSeats = Math.max(1, Math.floor(Number(minSeats || 1)) || 1);
+    const safePercent = Number.isFinite(Number(percentOff)) ? Number(percentOff) : 0;
+    const safeAmount = Number.isFinite(Number(amountOff)) ? Number(amountOff) : 0;
+    if (safePercent < 0 || safePercent > 100) throw new Error('Percent off must be between 0 and 100');
+    if (safeAmount < 0) throw new Error('Amount off cannot be negative');
+    if (!safePercent && !safeAmount) throw new Error('Rule must give a discount');
+
+    const insert = await env.DB.prepare(`
+      INSERT INTO fare_rules (name, route_id, trip_id, min_seats, percent_off, amount_off, starts_at, ends_at, active)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, 1)
+    `).bind(name, routeId || null, tripId || null, safeMinSeats, safePercent, safeAmount, startsAt || null, endsAt || null).run();
+    await recordAdminAudit(env, admin, 'fare_rule.create', {
+      type: 'fare_rule', id: insert.meta.last_row_id, after: await auditRowSnapshot(env, 'fare_rules', insert.meta.last_row_id)
+    }, client);
+
+    return new Response(JSON.stringify({
+      id: insert.meta.last_row_id,
+      name,
+      routeId: routeId ? Number(routeId) : null,
+      tripId: tripId ? Number(tripId) : null,
+      minSeats: safeMinSeats,
+      percentOff: safePercent,
+      amountOff: safeAmount,
+      active: true
+    }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders() }
+    });
+  } catch (err) {
+    const status = String(err).includes('Forbidden') ? 403 : 400;
+    return new Response(JSON.stringify({ error: String(err) }), {
+      status,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders() }
+    });
+  }
+}
+
+async function handleAdminDisableFareRule(env, token, ruleId, client = {}) {
+  try {
+    const admin = await requirePermission(env, token, 'pricing.manage');
+    const rule = await auditRowSnapshot(env, 'fare_rules', ruleId);
+    if (!rule) throw new Error('Fare rule not found');
+    await env.DB.prepare('UPDATE fare_rules SET active = 0 WHERE id = ?').bind(ruleId).run();
+    await recordAdminAudit(env, admin, 'fare_rule.disable', {
+      type: 'fare_rule', id: ruleId, before: rule, after: await auditRowSnapshot(env, 'fare_rules', ruleId)
+    }, client);
+
+    return new Response(JSON.stringify({ id: ruleId, active: false }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders() }
+    });
+  } catch (err) {
+    const status = String(err).includes('Forbidden') ? 403 : 400;
+    return new Response(JSON.stringify({ error: String(err) }), {
+      status,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders() }
+    });
+  }
+}
+
+async function handleAdminListPromoCodes(env, token) {
+  try {
+    await requirePermission(env, token, 'pricing.manage');
+    const res = await env.DB.prepare(`
+      SELECT pc.id, pc.code, pc.description, pc.percent_off, pc.amount_off, pc.route_id, pc.trip_id,
+             pc.starts_at, pc.ends_at, pc.max_uses, pc.max_uses_per_user, pc.active, pc.created_at,
+             r.name as route_name,
+             (SELECT COUNT(*) FROM promo_redemptions pr WHERE pr.promo_id = pc.id AND pr.status = 'redeemed') as redeemed_count,
+             (SELECT COALESCE(SUM(pr.discount), 0) FROM promo_redemptions pr WHERE pr.promo_id = pc.id AND pr.status = 'redeemed') as redeemed_discount
+      FROM promo_codes pc
+      LEFT JOIN routes r ON r.id = pc.route_id
+      ORDER BY pc.active DESC, pc.id DESC
+    `).all();
+
+    return new Response(JSON.stringify({
+      promoCodes: (res.results || []).map((p) => ({
+        id: p.id,
+        code: p.code,
+        description: p.description || null,
+        percentOff: Number(p.percent_off || 0),
+        amountOff: Number(p.amount_off || 0),
+        routeId: p.route_id || null,
+        routeName: p.route_name || null,
+        tripId: p.trip_id || null,
+        startsAt: p.starts_at || null,
+        endsAt: p.ends_at || null,
+        maxUses: p.max_uses ? Number(p.max_uses) : null,
+        maxUsesPerUser: p.max_uses_per_user ? Number(p.max_uses_per_user) : null,
+        redeemedCount: Number(p.redeemed_count || 0),
+        redeemedDiscount: roundMoney(p.redeemed_discount),
+        active: Number(p.active) === 1,
+        createdAt: p.created_at
+      }))
+    }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders() }
+    });
+  } catch (err) {
+    const status = String(err).includes('Forbidden') ? 403 : 400;
+    return new Response(JSON.stringify({ error: String(err) }), {
+      status,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders() }
+    });
+  }
+}
+
+async function handleAdminCreatePromoCode(env, token, data, client = {}) {
+  try {
+    const admin = await requirePermission(env, token, 'pricing.manage');
+    const { code, description, routeId, tripId, percentOff, amountOff, startsAt, endsAt, maxUses, maxUsesPerUser } = data || {};
+    const promoKey = normalizePromoCode(code);
+    if (!/^[A-Z0-9_-]{3,32}$/.test(promoKey)) throw new Error('Promo code must be 3-32 letters, digits, - or _');
+
+    const safePercent = Number.isFinite(Number(percentOff)) ? Number(percentOff) : 0;
+    const safeAmount = Number.isFinite(Number(amountOff)) ? Number(amountOff) : 0;
+    if (safePercent < 0 || safePercent > 100) throw new Error('Percent off must be between 0 and 100');
+    if (safeAmount < 0) throw new Error('Amount off cannot be negative');
+    if (!safePercent && !safeAmount) throw new Error('Promo code must give a discount');
+
+    const safeMaxUses = maxUses ? Math.floor(Number(maxUses)) : null;
+    const safeMaxPerUser = maxUsesPerUser ? Math.floor(Number(maxUsesPerUser)) : null;
+    if (safeMaxUses !== null && !(safeMaxUses > 0)) throw new Error('Max uses must be a positive number');
+    if (safeMaxPerUser !== null && !(safeMaxPerUser > 0)) throw new Error('Max uses per user must be a positive number');
+    if (startsAt && endsAt && Date.parse(endsAt) <= Date.parse(startsAt)) throw new Error('Promo code must end after it starts');
+
+    const existing = await env.DB.prepare('SELECT id FROM promo_codes WHERE code = ?').bind(promoKey).first();
+    if (existing) throw new Error('Promo code already exists');
+
+    const insert = await env.DB.prepare(`
+      INSERT INTO promo_codes (code, description, percent_off, amount_off, route_id, trip_id, starts_at, ends_at, max_uses, max_uses_per_user, active)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 1)
+    `).bind(
+      promoKey,
+      description || null,
+      safePercent,
+      safeAmount,
+      routeId || null,
+      tripId || null,
+      startsAt || null,
+      endsAt || null,
+      safeMaxUses,
+      safeMaxPerUser
+    ).run();
+    await recordAdminAudit(env, admin, 'promo_code.create', {
+      type: 'promo_code', id: insert.meta.last_row_id, after: await auditRowSnapshot(env, 'promo_codes', insert.meta.last_row_id)
+    }, client);
+
+    return new Response(JSON.stringify({
+      id: insert.meta.last_row_id,
+      code: promoKey,
+      description: description || null,
+      percentOff: safePercent,
+      amountOff: safeAmount,
+      routeId: routeId ? Number(routeId) : null,
+      tripId: tripId ? Number(tripId) : null,
+      startsAt: startsAt || null,
+      endsAt: endsAt || null,
+      maxUses: safeMaxUses,
+      maxUsesPerUser: safeMaxPerUser,
+      active: true
+    }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders() }
+    });
+  } catch (err) {
+    const status = String(err).includes('Forbidden') ? 403 : 400;
+    return new Response(JSON.stringify({ error: String(err) }), {
+      status,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders() }
+    });
+  }
+}
+
+async function handleAdminDisablePromoCode(env, token, promoId, client = {}) {
+  try {
+    const admin = await requirePermission(env, token, 'pricing.manage');
+    const promo = await auditRowSnapshot(env, 'promo_codes', promoId);
+    if (!promo) throw new Error('Promo code not found');
+    await env.DB.prepare('UPDATE promo_codes SET active = 0 WHERE id = ?').bind(promoId).run();
+    await recordAdminAudit(env, admin, 'promo_code.disable', {
+      type: 'promo_code', id: promoId, before: promo, after: await auditRowSnapshot(env, 'promo_codes', promoId)
+    }, client);
+
+    return new Response(JSON.stringify({ id: promoId, active: false }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders() }
+    });
+  } catch (err) {
+    const status = String(err).includes('Forbidden') ? 403 : 400;
+    return new Response(JSON.stringify({ error: String(err) }), {
+      status,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders() }
+    });
+  }
+}
+
+// Text that a spreadsheet would read as a formula (a passenger name, for example) is prefixed
+// with ' and quoted; real numbers are written as they are.
+function csvEscape(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) {
+    return `"'${text.replace(/"/g, '""')}"`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function bookingPaymentSource(externalRef, provider) {
+  const ref = String(externalRef || '');
+  if (!ref) return 'unknown';
+  if (ref.startsWith('admin_manual_')) return 'manual';
+  return provider || 'paystack';
+}
+
+// Maps each booking's transaction reference to the gateway its checkout was paid through.
+async function getPaymentProvidersForRefs(env, externalRefs) {
+  const refs = [...new Set(externalRefs.map(bookingTransactionRef).filter(Boolean))];
+  if (!refs.length) return new Map();
+  const res = await env.DB.prepare(`
+    SELECT reference, payment_provider FROM pending_bookings
+    WHERE reference IN (${refs.map(() => '?').join(', ')})
+  `).bind(...refs).all();
+  return new Map((res.results || []).map((row) => [row.reference, row.payment_provider]));
+}
+
+async function handleAdminTripManifest(env, token, tripId, request) {
+  try {
+    await requirePermission(env, token, 'manifest.view');
+    const url = new URL(request.url);
+    const format = String(url.searchParams.get('format') || 'json').toLowerCase();
+
+    const trip = await env.DB.prepare(`
+      SELECT ts.id, ts.departure_date, ts.departure_time, ts.status,
+             r.name as route_name, b.id as bus_id, b.name as bus_name, b.plate_number, b.capacity
+      FROM trip_schedules ts
+      JOIN routes r ON r.id = ts.route_id
+      JOIN buses b ON b.id = ts.bus_id
+      WHERE ts.id = ?
+    `).bind(tripId).first();
+    if (!trip) throw new Error('Trip not found');
+
+    const res = await env.DB.prepare(`
+      SELECT bk.id, bk.seat_number, bk.price_paid, bk.external_ref, bk.checked_in_at,
+             p.first_name, p.last_name, p.phone, p.email, p.next_of_kin_name, p.next_of_kin_phone
+      FROM bookings bk
+      JOIN passengers p ON p.id = bk.passenger_id
+      WHERE bk.trip_id = ? AND bk.status = 'confirmed'
+    `).bind(tripId).all();
+
+    const capacity = Number(trip.capacity || 50);
+    const providers = await getPaymentProvidersForRefs(env, (res.results || []).map((row) => row.external_ref));
+    const passengers = (res.results || [])
+      .map((row) => ({
+        bookingId: `ELITE-${row.id}`,
+        seat: normalizeSeatNumberRaw(row.seat_number, capacity) || String(row.seat_number),
+        name: `${row.first_name} ${row.last_name}`,
+        phone: row.phone || null,
+        email: row.email || null,
+        nextOfKinName: row.next_of_kin_name || null,
+        nextOfKinPhone: row.next_of_kin_phone || null,
+        paymentSource: bookingPaymentSource(row.external_ref, providers.get(bookingTransactionRef(row.external_ref))),
+        pricePaid: Number(row.price_paid || 0),
+        checkedIn: !!row.checked_in_at,
+        checkedInAt: row.checked_in_at || null
+      }))
+      .sort((a, b) => (Number(a.seat) || 0) - (Number(b.seat) || 0) || String(a.seat).localeCompare(String(b.seat)));
+
+    const manifest = {
+      trip: {
+        id: trip.id,
+        routeName: trip.route_name,
+        busId: trip.bus_id,
+        busName: trip.bus_name,
+        plateNumber: trip.plate_number || null,
+        capacity,
+        departureDate: trip.departure_date || null,
+        departureTime: trip.departure_time || null,
+        status: trip.status
+      },
+      summary: {
+        passengers: passengers.length,
+        checkedIn: passengers.filter((p) => p.checkedIn).length,
+        seatsFree: Math.max(0, capacity - passengers.length)
+      },
+      passengers
+    };
+
+    const fileBase = `manifest-trip-${trip.id}${trip.departure_date ? `-${trip.departure_date}` : ''}`;
+
+    if (format === 'csv') {
+      const header = ['Seat', 'Booking ID', 'Passenger', 'Phone', 'Email', 'Next of Kin', 'Next of Kin Phone', 'Payment Source', 'Amount Paid', 'Checked In', 'Checked In At'];
+      const lines = [header.map(csvEscape).join(',')];
+      for (const p of passengers) {
+        lines.push([
+          p.seat, p.bookingId, p.name, p.phone, p.email, p.nextOfKinName, p.nextOfKinPhone,
+          p.paymentSource, p.pricePaid.toFixed(2), p.checkedIn ? 'yes' : 'no', p.checkedInAt
+        ].map(csvEscape).join(','));
+      }
+      return new Response(lines.join('\r\n'), {
+        status: 200,
+        headers: {
+          'Content-Type': 'text/csv; charset=utf-8',
+          'Content-Disposition': `attachment; filename="${fileBase}.csv"`,
+          ...corsHeaders()
+        }
+      });
+    }
+
+    if (format === 'html') {
+      // Printable sheet for the driver; "Save as PDF" from the print dialog gives the PDF copy.
+      const rows = passengers.map((p) => `
+        <tr>
+          <td>${escapeHtml(p.seat)}</td>
+          <td>${escapeHtml(p.name)}<br><small>${escapeHtml(p.bookingId)}</small></td>
+          <td>${escapeHtml(p.phone || '')}</td>
+          <td>${escapeHtml(p.nextOfKinName || '')}<br><small>${escapeHtml(p.nextOfKinPhone || '')}</small></td>
+          <td>${escapeHtml(p.paymentSource)}</td>
+          <td>${p.checkedIn ? '&#10003;' : ''}</td>
+          <td class="sign"></td>
+        </tr>`).join('');
+      const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>Manifest - Trip ${trip.id}</title>
+  <style>
+    body { font-family: Arial, sans-serif; margin: 24px; color: #111; }
+    h1 { font-size: 1.3rem; margin: 0 0 4px; }
+    .meta { color: #555; margin-bottom: 16px; }
+    table { width: 100%; border-collapse: collapse; font-size: 0.9rem; }
+    th, td { border: 1px solid #999; padding: 6px 8px; text-align: left; vertical-align: top; }
+    th { background: #eee; }
+    td.sign { width: 90px; }
+    small { color: #555; }
+    @media print { .no-print { display: none; } body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <button class="no-print" onclick="window.print()">Print / Save as PDF</button>
+  <h1>Elite Transport - Boarding Manifest</h1>
+  <div class="meta">
+    ${escapeHtml(trip.route_name)} &middot; ${escapeHtml(trip.bus_name)}${trip.plate_number ? ` (${escapeHtml(trip.plate_number)})` : ''}<br>
+    Trip #${trip.id} &middot; Departure: ${escapeHtml(trip.departure_date || 'TBD')} ${escapeHtml(trip.departure_time || '')}<br>
+    Passengers: ${manifest.summary.passengers} / ${capacity} &middot; Checked in: ${manifest.summary.checkedIn}
+  </div>
+  <table>
+    <thead>
+      <tr><th>Seat</th><th>Passenger</th><th>Phone</th><th>Next of Kin</th><th>Payment</th><th>Boarded</th><th>Signature</th></tr>
+    </thead>
+    <tbody>${rows || '<tr><td colspan="7">No confirmed passengers.</td></tr>'}</tbody>
+  </table>
+</body>
+</html>`;
+      return new Response(html, {
+        status: 200,
+        headers: { 'Content-Type': 'text/html; charset=utf-8', ...corsHeaders() }
+      });
+    }
+
+    return new Response(JSON.stringify(manifest), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders() }
+    });
+  } catch (err) {
+    const status = String(err).includes('Forbidden') ? 403 : 400;
+    return new Response(JSON.stringify({ error: String(err) }), {
+      status,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders() }
+    });
+  }
+}
+
+// ==================== TRIP TEMPLATES ====================
+
+// A template describes a recurring service (route, bus, weekdays, time, price) over a date
+// range. Materialising it creates one trip_schedules row per matching date, tagged with
+// template_id so the generated trips can be previewed or cancelled together.
+const TEMPLATE_DEFAULT_HORIZON_DAYS = 28;
+const TEMPLATE_MAX_DATES = 366;
+const WEEKDAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+function normalizeIsoDate(value) {
+  const text = String(value || '').trim();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(text)) return null;
+  const date = new Date(`${text}T00:00:00Z`);
+  return Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== text ? null : text;
+}
+
+function addDaysIso(isoDate, days) {
+  const date = new Date(`${isoDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+// Accepts 0-6 (0 = Sunday) or day names ("fri", "Friday").
+function parseTemplateWeekdays(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  const out = new Set();
+  for (const item of list) {
+    const text = String(item).trim().toLowerCase();
+    if (!text) continue;
+    const n = /^\d$/.test(text) ? Number(text) : WEEKDAY_NAMES.indexOf(text.slice(0, 3));
+    if (n < 0 || n > 6) throw new Error(`Invalid weekday: ${item}`);
+    out.add(n);
+  }
+  return [...out].sort((a, b) => a - b);
+}
+
+// Dates of the template that fall inside [from, to], exclusions removed.
+function listTemplateDates(template, from, to) {
+  const weekdays = new Set(parseJsonColumn(template.weekdays, []));
+  const exclusions = new Set(parseJsonColumn(template.exclusions, []));
+  const start = from > template.start_date ? from : template.start_date;
+  const end = to < template.end_date ? to : template.end_date;
+  const dates = [];
+  for (let day = start; day <= end && dates.length < TEMPLATE_MAX_DATES; day = addDaysIso(day, 1)) {
+    if (!weekdays.has(new Date(`${day}T00:00:00Z`).getUTCDay())) continue;
+    if (exclusions.has(day)) continue;
+    dates.push(day);
+  }
+  return dates;
+}
+
+function templateWindow(template, from, to) {
+  const today = new Date().toISOString().slice(0, 10);
+  const windowFrom = normalizeIsoDate(from) || today;
+  const windowTo = normalizeIsoDate(to) || addDaysIso(windowFrom, TEMPLATE_DEFAULT_HORIZON_DAYS);
+  if (windowTo < windowFrom) throw new Error('End of range must not be before its start');
+  // Trips are never generated in the past.
+  return { from: windowFrom < today ? today : windowFrom, to: windowTo };
+}
+
+function templateTripFor(template, day) {
+  return { departure_date: day, departure_time: template.departure_time, duration_minutes: template.duration_minutes };
+}
+
+async function getTripTemplate(env, templateId) {
+  const template = await env.DB.prepare('SELECT * FROM trip_templates WHERE id = ?').bind(templateId).first();
+  if (!template) throw new Error('Template not found');
+  return template;
+}
+
+function formatTripTemplate(t) {
+  return {
+    id: t.id,
+    name: t.name,
+    routeId: t.route_id,
+    routeName: t.route_name || null,
+    busId: t.bus_id,
+    busName: t.bus_name || null,
+    weekdays: parseJsonColumn(t.weekdays, []),
+    departureTime: t.departure_time || null,
+    durationMinutes: t.duration_minutes ? Number(t.duration_minutes) : null,
+    price: t.price === null || t.price === undefined ? null : Number(t.price),
+    classPrices: parseJsonColumn(t.class_prices, {}),
+    startDate: t.start_date,
+    endDate: t.end_date,
+    exclusions: parseJsonColumn(t.exclusions, []),
+    active: Number(t.active) === 1,
+    ...(t.upcoming_trips !== undefined ? { upcomingTrips: Number(t.upcoming_trips || 0) } : {}),
+    createdAt: t.created_at
+  };
+}
+
+async function handleAdminListTripTemplates(env, token) {
+  try {
+    await requirePermission(env, token, 'operations.view');
+    const res = await env.DB.prepare(`
+      SELECT tt.*, r.name as route_name, b.name as bus_name,
+             (SELECT COUNT(*) FROM trip_schedules ts WHERE ts.template_id = tt.id AND ts.status = 'active') as upcoming_trips
+      FROM trip_templates tt
+      LEFT JOIN routes r ON r.id = tt.route_id
+      LEFT JOIN buses b ON b.id = tt.bus_id
+      ORDER BY tt.active DESC, tt.id DESC
+    `).all();
+
+    return new Response(JSON.stringify({
+      templates: (res.results || []).map(formatTripTemplate)
+    }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders() }
+    });
+  } catch (err) {
+    const status = String(err).includes('Forbidden') ? 403 : 400;
+    return new Response(JSON.stringify({ error: String(err) }), {
+      status,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders() }
+    });
+  }
+}
+
+async function handleAdminCreateTripTemplate(env, token, data, client = {}) {
+  try {
+    const admin = await requirePermission(env, token, 'trips.manage');
+    const { name, routeId, busId, weekdays, departureTime, durationMinutes, price, classPrices, startDate, endDate, exclusions } = data || {};
+    if (!name) throw new Error('Template name is required');
+    if (!routeId || !busId) throw new Error('Route and bus are required');
+
+    const route = await env.DB.prepare('SELECT id FROM routes WHERE id = ?').bind(routeId).first();
+    if (!route) throw new Error('Route not found');
+    const bus = await env.DB.prepare('SELECT id, price FROM buses WHERE id = ?').bind(busId).first();
+    if (!bus) throw new Error('Bus not found');
+
+    const days = parseTemplateWeekdays(weekdays);
+    if (!days.length) throw new Error('At least one weekday is required');
+    const start = normalizeIsoDate(startDate);
+    const end = normalizeIsoDate(endDate);
+    if (!start || !end) throw new Error('Start and end dates must be YYYY-MM-DD');
+    if (end < start) throw new Error('End date must not be before start date');
+    if (departureTime && !/^\d{2}:\d{2}$/.test(String(departureTime))) throw new Error('Departure time must be HH:MM');
+
+    const excluded = [];
+    for (const day of (Array.isArray(exclusions) ? exclusions : [])) {
+      const iso = normalizeIsoDate(day);
+      if (!iso) throw new Error(`Invalid exclusion date: ${day}`);
+      excluded.push(iso);
+    }
+    const safePrice = price === undefined || price === null || price === '' ? Number(bus.price || 0) : Number(price);
+    if (!Number.isFinite(safePrice) || safePrice < 0) throw new Error('Invalid price');
+    const safeDuration = durationMinutes === undefined || durationMinutes === null || durationMinutes === ''
+      ? null
+      : Math.floor(Number(durationMinutes));
+    if (safeDuration !== null && !(safeDuration > 0)) throw new Error('Duration must be a positive number of minutes');
+
+    const safeClassPrices = normalizeClassPrices(classPrices);
+
+    const insert = await env.DB.prepare(`
+      INSERT INTO trip_templates (name, route_id, bus_id, weekdays, departure_time, duration_minutes, price, class_prices, start_date, end_date, exclusions, active)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 1)
+    `).bind(name, routeId, busId, JSON.stringify(days), departureTime || null, safeDuration, safePrice, JSON.stringify(safeClassPrices), start, end, JSON.stringify([...new Set(excluded)].sort())).run();
+
+    const template = await getTripTemplate(env, insert.meta.last_row_id);
+    await recordAdminAudit(env, admin, 'trip_template.create', { type: 'trip_template', id: template.id, after: template }, client);
+    return new Response(JSON.stringify(formatTripTemplate(template)), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders() }
+    });
+  } catch (err) {
+    const status = String(err).includes('Forbidden') ? 403 : 400;
+    return new Response(JSON.stringify({ error: String(err) }), {
+      status,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders() }
+    });
+  }
+}
+
+async function listTemplateTripsByDate(env, templateId) {
+  const res = await env.DB.prepare('SELECT id, departure_date, status FROM trip_schedules WHERE template_id = ?').bind(templateId).all();
+  const byDate = new Map();
+  for (const row of (res.results || [])) {
+    // Prefer the live trip when a date was cancelled and later recreated by hand.
+    if (!byDate.has(row.departure_date) || row.status === 'active') byDate.set(row.departure_date, row);
+  }
+  return byDate;
+}
+
+// Dry run: which dates a materialise call would create for ?from=&to= (default: next 4 weeks).
+async function handleAdminPreviewTripTemplate(env, token, templateId, request) {
+  try {
+    await requirePermission(env, token, 'operations.view');
+    const template = await getTripTemplate(env, templateId);
+    const url = new URL(request.url);
+    const range = templateWindow(template, url.searchParams.get('from'), url.searchParams.get('to'));
+    const existing = await listTemplateTripsByDate(env, templateId);
+
+    const dates = [];
+    for (const day of listTemplateDates(template, range.from, range.to)) {
+      const trip = existing.get(day);
+      const needsTrip = !trip;
+      const clash = needsTrip ? await findOverlappingBusTrip(env, template.bus_id, templateTripFor(template, day)) : null;
+      dates.push({
+        date: day,
+        departureTime: template.departure_time || null,
+        tripId: trip?.id || null,
+        tripStatus: trip?.status || null,
+        conflictTripId: clash?.id || null,
+        willCreate: needsTrip && !clash && Number(template.active) === 1
+      });
+    }
+
+    return new Response(JSON.stringify({ templateId, from: range.from, to: range.to, dates }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders() }
+    });
+  } catch (err) {
+    const status = String(err).includes('Forbidden') ? 403 : 400;
+    return new Response(JSON.stringify({ error: String(err) }), {
+      status,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders() }
+    });
+  }
+}
+
+// Creates the missing trips for the range. Dates that already have a trip from this template
+// are skipped, so calling it repeatedly is safe; that includes dates a bulk cancel removed,
+// which stay cancelled. Dates where the bus is already out on another trip are skipped too.
+async function handleAdminMaterialiseTripTemplate(env, token, templateId, data, client = {}) {
+  try {
+    const admin = await requirePermission(env, token, 'trips.manage');
+    const template = await getTripTemplate(env, templateId);
+    if (Number(template.active) !== 1) throw new Error('Template is disabled');
+    const range = templateWindow(template, data?.from, data?.to);
+    const existing = await listTemplateTripsByDate(env, templateId);
+
+    const created = [];
+    const skipped = [];
+    for (const day of listTemplateDates(template, range.from, range.to)) {
+      const trip = existing.get(day);
+      if (trip) {
+        skipped.push({ date: day, tripId: trip.id, status: trip.status });
+        continue;
+      }
+      const clash = await findOverlappingBusTrip(env, template.bus_id, templateTripFor(template, day));
+      if (clash) {
+        skipped.push({ date: day, tripId: null, status: 'conflict', conflictTripId: clash.id });
+        continue;
+      }
+      const insert = await env.DB.prepare(`
+        INSERT INTO trip_schedules (route_id, bus_id, departure_date, departure_time, duration_minutes, price, class_prices, status, template_id)
+        VALUES (?, ?, ?, ?, ?, ?, ?, 'active', ?)
+      `).bind(template.route_id, template.bus_id, day, template.departure_time || null, template.duration_minutes || null, template.price, template.class_prices || null, templateId).run();
+      created.push({ date: day, tripId: insert.meta.last_row_id });
+    }
+
+    await recordAdminAudit(env, admin, 'trip_template.materialise', {
+      type: 'trip_template', id: templateId, after: { from: range.from, to: range.to, created }
+    }, client);
+
+    return new Response(JSON.stringify({ templateId, from: range.from, to: range.to, created, skipped }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders() }
+    });
+  } catch (err) {
+    const status = String(err).includes('Forbidden') ? 403 : 400;
+    return new Response(JSON.stringify({ error: String(err) }), {
+      status,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders() }
+    });
+  }
+}
+
+// Cancels the template's live trips in the range (default: everything from today), cancelling
+// and refunding their bookings. { disable: true } also stops the template from generating more.
+async function handleAdminCancelTemplateTrips(env, token, templateId, data, client = {}) {
+  try {
+    const user = await requirePermission(env, token, 'trips.manage');
+    const template = await getTripTemplate(env, templateId);
+    const today = new Date().toISOString().slice(0, 10);
+    const from = normalizeIsoDate(data?.from) || today;
+    const to = normalizeIsoDate(data?.to) || template.end_date;
+    const reason = data?.reason || 'trip_cancelled';
+
+    const tripsRes = await env.DB.prepare(`
+      SELECT id, bus_id, departure_date
+      FROM trip_schedules
+      WHERE template_id = ? AND status = 'active' AND departure_date >= ? AND departure_date <= ?
+      ORDER BY departure_date ASC
+    `).bind(templateId, from, to).all();
+
+    const trips = [];
+    for (const trip of (tripsRes.results || [])) {
+      // Close the trip first so freed seats are not offered to its waitlist.
+      await env.DB.prepare(`UPDATE trip_schedules SET status = 'cancelled', ended_at = datetime('now') WHERE id = ? AND status = 'active'`).bind(trip.id).run();
+      await env.DB.prepare('DELETE FROM seat_locks WHERE trip_id = ?').bind(trip.id).run();
+      await env.DB.prepare(`UPDATE trip_waitlist SET status = 'cancelled' WHERE trip_id = ? AND status IN ('waiting', 'offered')`).bind(trip.id).run();
+
+      const bookingsRes = await env.DB.prepare(`SELECT id FROM bookings WHERE trip_id = ? AND status = 'confirmed'`).bind(trip.id).all();
+      const cancellations = [];
+      for (const row of (bookingsRes.results || [])) {
+        const booking = await getBookingForCancellation(env, row.id);
+        try {
+          cancellations.push(await cancelBooking(env, booking, {
+            actor: `admin:${user.email}`,
+            reason,
+            refund: data?.refund !== false
+          }));
+        } catch (err) {
+          cancellations.push({ booking_id: `ELITE-${row.id}`, error: String(err) });
+        }
+      }
+      trips.push({ tripId: trip.id, date: trip.departure_date, bookings: cancellations });
+    }
+
+    if (data?.disable) {
+      await env.DB.prepare('UPDATE trip_templates SET active = 0 WHERE id = ?').bind(templateId).run();
+    }
+    await recordAdminAudit(env, user, 'trip_template.cancel_trips', {
+      type: 'trip_template',
+      id: templateId,
+      before: template,
+      after: {
+        ...(await getTripTemplate(env, templateId)),
+        from,
+        to,
+        reason,
+        cancelledTrips: trips.map((t) => ({ tripId: t.tripId, date: t.date, bookings: t.bookings.map((b) => b.booking_id) }))
+      }
+    }, client);
+
+    return new Response(JSON.stringify({
+      templateId,
+      cancelledTrips: trips.length,
+      cancelledBookings: trips.reduce((sum, t) => sum + t.bookings.filter((b) => b.status === 'cancelled').length, 0),
+      templateActive: data?.disable ? false : Number(template.active) === 1,
+      trips
+    }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders() }
+    });
+  } catch (err) {
+    const status = String(err).includes('Forbidden') ? 403 : 400;
+    return new Response(JSON.stringify({ error: String(err) }), {
+      status,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders() }
+    });
+  }
+}
+
+// Seats that are booked on live trips of these buses but would not exist in a layout of `capacity` seats.
+async function findBookingsOutsideCapacity(env, busIds, capacity) {
+  const clashes = [];
+  for (const busId of busIds) {
+    const res = await env.DB.prepare(`
+      SELECT bk.id, bk.seat_number, bk.trip_id
+      FROM bookings bk
+      JOIN trip_schedules ts ON ts.id = bk.trip_id
+      WHERE bk.bus_id = ? AND bk.status = 'confirmed' AND ts.status = 'active'
+    `).bind(busId).all();
+    for (const row of (res.results || [])) {
+      const seat = normalizeSeatNumberRaw(row.seat_number, Number.MAX_SAFE_INTEGER);
+      if (!seat || Number(seat) > capacity) clashes.push({ bookingId: row.id, tripId: row.trip_id, seat: String(row.seat_number) });
+    }
+  }
+  return clashes;
+}
+
+function formatSeatLayout(row) {
+  const rows = parseJsonColumn(row.rows, []);
+  return {
+    id: row.id,
+    name: row.name,
+    capacity: Number(row.capacity),
+    columns: rows.length ? Math.max(...rows.map((r) => r.length)) : 0,
+    legacyColumns: row.legacy_columns ? Number(row.legacy_columns) : null,
+    rows,
+    seatClasses: parseJsonColumn(row.seat_classes, {}),
+    ...(row.bus_count !== undefined ? { busCount: Number(row.bus_count || 0) } : {}),
+    updatedAt: row.updated_at
+  };
+}
+
+async function handleAdminListSeatLayouts(env, token) {
+  try {
+    await requirePermission(env, token, 'operations.view');
+    const res = await env.DB.prepare(`
+      SELECT sl.*, (SELECT COUNT(*) FROM buses b WHERE b.layout_id = sl.id) as bus_count
+      FROM seat_layouts sl
+      ORDER BY sl.name ASC
+    `).all();
+
+    return new Response(JSON.stringify({
+      layouts: (res.results || []).map(formatSeatLayout)
+    }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders() }
+    });
+  } catch (err) {
+    const status = String(err).includes('Forbidden') ? 403 : 400;
+    return new Response(JSON.stringify({ error: String(err) }), {
+      status,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders() }
+    });
+  }
+}
+
+// Creates a layout (layoutId null) or updates one. Buses using an updated layout take its new
+// seat count, so a change that would drop seats already booked on live trips is refused.
+async function handleAdminSaveSeatLayout(env, token, layoutId, data, client = {}) {
+  try {
+    const admin = await requirePermission(env, token, 'fleet.manage');
+    const existing = layoutId ? await env.DB.prepare('SELECT * FROM seat_layouts WHERE id = ?').bind(layoutId).first() : null;
+    if (layoutId && !existing) throw new Error('Seat layout not found');
+
+    const name = String(data?.name ?? existing?.name ?? '').trim();
+    if (!name) throw new Error('Layout name is required');
+    const { rows, capacity } = normalizeLayoutRows(data?.rows ?? parseJsonColumn(existing?.rows, []));
+    const seatClasses = normalizeSeatClasses(data?.seatClasses ?? parseJsonColumn(existing?.seat_classes, {}), capacity);
+    const rawLegacy = data?.legacyColumns !== undefined ? data.legacyColumns : existing?.legacy_columns;
+    const legacyColumns = rawLegacy === null || rawLegacy === undefined || rawLegacy === '' ? null : Math.floor(Number(rawLegacy));
+    if (legacyColumns !== null && !(legacyColumns >= 1 && legacyColumns <= 26)) throw new Error('Legacy columns must be between 1 and 26');
+
+    let id = layoutId;
+    if (existing) {
+      const busRes = await env.DB.prepare('SELECT id FROM buses WHERE layout_id = ?').bind(layoutId).all();
+      const busIds = (busRes.results || []).map((b) => b.id);
+      const clashes = await findBookingsOutsideCapacity(env, busIds, capacity);
+      if (clashes.length) {
+        throw new Error(`Layout has ${capacity} seats but seat ${clashes[0].seat} is booked on trip #${clashes[0].tripId}`);
+      }
+      await env.DB.prepare(`
+        UPDATE seat_layouts SET name = ?, rows = ?, capacity = ?, legacy_columns = ?, seat_classes = ?, updated_at = datetime('now') WHERE id = ?
+      `).bind(name, JSON.stringify(rows), capacity, legacyColumns, JSON.stringify(seatClasses), layoutId).run();
+      await env.DB.prepare('UPDATE buses SET capacity = ? WHERE layout_id = ?').bind(capacity, layoutId).run();
+    } else {
+      const insert = await env.DB.prepare('INSERT INTO seat_layouts (name, rows, capacity, legacy_columns, seat_classes) VALUES (?, ?, ?, ?, ?)')
+        .bind(name, JSON.stringify(rows), capacity, legacyColumns, JSON.stringify(seatClasses)).run();
+      id = insert.meta.last_row_id;
+    }
+
+    const saved = await env.DB.prepare('SELECT * FROM seat_layouts WHERE id = ?').bind(id).first();
+    await recordAdminAudit(env, admin, existing ? 'seat_layout.update' : 'seat_layout.create', {
+      type: 'seat_layout', id, before: existing, after: saved
+    }, client);
+    return new Response(JSON.stringify(formatSeatLayout(saved)), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders() }
+    });
+  } catch (err) {
+    const status = String(err).includes('Forbidden') ? 403 : 400;
+    return new Response(JSON.stringify({ error: String(err) }), {
+      status,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders() }
+    });
+  }
+}
+
+// Assigns a layout to a bus ({ layoutId: null } returns it to the capacity-based default).
+async function handleAdminAssignBusLayout(env, token, busId, data, client = {}) {
+  try {
+    const admin = await requirePermission(env, token, 'fleet.manage');
+    const bus = await auditRowSnapshot(env, 'buses', busId);
+    if (!bus) throw new Error('Bus not found');
+
+    const layoutId = data?.layoutId ? Number(data.layoutId) : null;
+    const layout = layoutId ? await env.DB.prepare('SELECT id, capacity FROM seat_layouts WHERE id = ?').bind(layoutId).first() : null;
+    if (layoutId && !layout) throw new Error('Seat layout not found');
+    const capacity = layout ? Number(layout.capacity) : Number(bus.capacity || 50);
+
+    const clashes = await findBookingsOutsideCapacity(env, [busId], capacity);
+    if (clashes.length) {
+      throw new Error(`Layout has ${capacity} seats but seat ${clashes[0].seat} is booked on trip #${clashes[0].tripId}`);
+    }
+    await env.DB.prepare('UPDATE buses SET layout_id = ?, capacity = ? WHERE id = ?').bind(layout?.id || null, capacity, busId).run();
+    await recordAdminAudit(env, admin, 'bus.assign_layout', {
+      type: 'bus', id: busId, before: bus, after: await auditRowSnapshot(env, 'buses', busId)
+    }, client);
+
+    const config = await getBusSeatConfig(env, busId);
+    return new Response(JSON.stringify({ busId, layoutId: layout?.id || null, capacity, layout: config.layout }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders() }
+    });
+  } catch (err) {
+    const status = String(err).includes('Forbidden') ? 403 : 400;
+    return new Response(JSON.stringify({ error: String(err) }), {
+      status,
       headers: { 'Content-Type': 'application/json', ...corsHeaders() }
     });
   }
 }
 
-async function requireAdminUser(env, token) {
-  const user = await getSessionUser(env, token);
-  if (!isAdminEmail(env, user.email)) throw new Error('Forbidden');
-  return user;
+// ==================== SCHEDULED JOBS ====================
+
+// Trips are closed this long after their departure window ends (env TRIP_COMPLETE_GRACE_HOURS).
+const TRIP_COMPLETE_GRACE_HOURS = 6;
+const JOB_RUN_RETENTION_DAYS = 30;
+
+async function completeDepartedTrips(env) {
+  const graceHours = Number(env.TRIP_COMPLETE_GRACE_HOURS ?? TRIP_COMPLETE_GRACE_HOURS);
+  const graceMs = (Number.isFinite(graceHours) && graceHours >= 0 ? graceHours : TRIP_COMPLETE_GRACE_HOURS) * 60 * 60 * 1000;
+  const res = await env.DB.prepare(`
+    SELECT id, departure_date, departure_time, duration_minutes
+    FROM trip_schedules
+    WHERE status = 'active' AND departure_date IS NOT NULL AND departure_date <= date('now')
+  `).all();
+
+  const completed = [];
+  for (const trip of (res.results || [])) {
+    const tripWindow = tripTimeWindow(trip);
+    if (!tripWindow || tripWindow.end + graceMs > Date.now()) continue;
+    if (await completeTrip(env, trip.id)) completed.push(trip.id);
+  }
+  return { completed };
 }
 
-async function handleAdminFleetOptions(env, token) {
+async function purgeExpiredSeatLocks(env) {
+  const res = await env.DB.prepare(`DELETE FROM seat_locks WHERE datetime(expires_at) <= datetime('now')`).run();
+  return { deleted: Number(res?.meta?.changes || 0) };
+}
+
+async function purgeExpiredSessions(env) {
+  const res = await env.DB.prepare(`DELETE FROM auth_sessions WHERE datetime(expires_at) <= datetime('now')`).run();
+  // One-time codes are kept a day past issue so the send limit still sees them.
+  const codes = await env.DB.prepare(`DELETE FROM auth_codes WHERE datetime(created_at) <= datetime('now', '-1 day')`).run();
+  return { deleted: Number(res?.meta?.changes || 0), codes: Number(codes?.meta?.changes || 0) };
+}
+
+// Hits older than the longest window can no longer count against anyone.
+async function purgeRateLimitHits(env) {
+  const longestMs = Math.max(...Object.values(RATE_LIMITS).map((rule) => rule.windowSeconds)) * 1000;
+  const res = await env.DB.prepare('DELETE FROM rate_limit_hits WHERE hit_at <= ?').bind(Date.now() - longestMs).run();
+  return { deleted: Number(res?.meta?.changes || 0) };
+}
+
+// Seats freed by purged locks go to the waitlist without waiting for someone to open the trip.
+async function offerWaitlistSeatsForActiveTrips(env) {
+  const res = await env.DB.prepare(`
+    SELECT DISTINCT w.trip_id
+    FROM trip_waitlist w
+    JOIN trip_schedules ts ON ts.id = w.trip_id
+    WHERE ts.status = 'active' AND w.status IN ('waiting', 'offered')
+  `).all();
+  const trips = (res.results || []).map((r) => r.trip_id);
+  for (const tripId of trips) {
+    await offerFreedSeatsToWaitlist(env, tripId);
+  }
+  return { trips: trips.length };
+}
+
+// Safety net for busLegacyAvailableSeats: rewrites every bus whose stored figure has drifted.
+async function recomputeBusAvailableSeats(env) {
+  const tripCountRes = await env.DB.prepare('SELECT COUNT(*) as c FROM trip_schedules').first();
+  const hasTripMode = Number(tripCountRes?.c || 0) > 0;
+  const busesRes = await env.DB.prepare('SELECT id, capacity, available_seats FROM buses').all();
+
+  let updated = 0;
+  for (const bus of (busesRes.results || [])) {
+    const remaining = await busLegacyAvailableSeats(env, bus, hasTripMode);
+    if (remaining !== Number(bus.available_seats)) {
+      await env.DB.prepare('UPDATE buses SET available_seats = ? WHERE id = ?').bind(remaining, bus.id).run();
+      updated += 1;
+    }
+  }
+  return { updated };
+}
+
+// Run in order: closing departed trips drops their locks and waitlists before the purge and the
+// waitlist pass, and seat counts are recomputed last.
+const MAINTENANCE_JOBS = [
+  ['complete_departed_trips', completeDepartedTrips],
+  ['purge_seat_locks', purgeExpiredSeatLocks],
+  ['purge_auth_sessions', purgeExpiredSessions],
+  ['purge_rate_limits', purgeRateLimitHits],
+  ['offer_waitlist_seats', offerWaitlistSeatsForActiveTrips],
+  ['recompute_available_seats', recomputeBusAvailableSeats],
+  ['reconcile_payments', reconcilePaymentsJob]
+];
+
+// Runs one job and records it in job_runs. A failing job is logged and does not stop the others.
+async function runLoggedJob(env, job, triggeredBy, fn) {
+  const start = await env.DB.prepare(`INSERT INTO job_runs (job, triggered_by, status) VALUES (?, ?, 'running')`)
+    .bind(job, triggeredBy || null).run();
+  const runId = start.meta.last_row_id;
   try {
-    await requireAdminUser(env, token);
+    const result = await fn(env);
+    await env.DB.prepare(`UPDATE job_runs SET status = 'success', result = ?, finished_at = datetime('now') WHERE id = ?`)
+      .bind(JSON.stringify(result ?? null), runId).run();
+    return { job, status: 'success', result };
+  } catch (err) {
+    await env.DB.prepare(`UPDATE job_runs SET status = 'failed', error = ?, finished_at = datetime('now') WHERE id = ?`)
+      .bind(String(err), runId).run();
+    return { job, status: 'failed', error: String(err) };
+  }
+}
 
-    const [routesRes, busesRes, activeTripsRes, recentTripsRes] = await Promise.all([
-      env.DB.prepare('SELECT id, name FROM routes ORDER BY name ASC').all(),
-      env.DB.prepare('SELECT id, name, plate_number, capacity, available_seats, route_id FROM buses ORDER BY id DESC').all(),
-      env.DB.prepare(`
-        SELECT ts.id, ts.route_id, ts.bus_id, ts.departure_date, ts.departure_time, ts.price, ts.status,
-               r.name as route_name, b.name as bus_name, b.capacity,
-               (SELECT COUNT(*) FROM bookings bk WHERE bk.trip_id = ts.id AND bk.status = 'confirmed') as booked_count
-        FROM trip_schedules ts
-        JOIN routes r ON r.id = ts.route_id
-        JOIN buses b ON b.id = ts.bus_id
-        WHERE ts.status = 'active'
-        ORDER BY ts.id DESC
-      `).all(),
-      env.DB.prepare(`
-        SELECT ts.id, ts.route_id, ts.bus_id, ts.departure_date, ts.departure_time, ts.price, ts.status, ts.ended_at,
-               r.name as route_name, b.name as bus_name, b.capacity,
-               (SELECT COUNT(*) FROM bookings bk WHERE bk.trip_id = ts.id AND bk.status = 'confirmed') as booked_count
-        FROM trip_schedules ts
-        JOIN routes r ON r.id = ts.route_id
-        JOIN buses b ON b.id = ts.bus_id
-        WHERE ts.status IN ('completed','cancelled')
-        ORDER BY COALESCE(ts.ended_at, ts.created_at) DESC
-        LIMIT 20
-      `).all()
-    ]);
+async function runScheduledMaintenance(env, triggeredBy) {
+  await ensureOperationalSchema(env);
+  const outcomes = [];
+  for (const [job, fn] of MAINTENANCE_JOBS) {
+    outcomes.push(await runLoggedJob(env, job, triggeredBy, fn));
+  }
+  await env.DB.prepare(`DELETE FROM job_runs WHERE datetime(started_at) < datetime('now', '-${JOB_RUN_RETENTION_DAYS} days')`).run();
+  return outcomes;
+}
 
-    const activeTrips = (activeTripsRes.results || []).map((t) => ({
-      id: t.id,
-      routeId: t.route_id,
-      routeName: t.route_name,
-      busId: t.bus_id,
-      busName: t.bus_name,
-      capacity: Number(t.capacity || 0),
-      bookedCount: Number(t.booked_count || 0),
-      departureDate: t.departure_date,
-      departureTime: t.departure_time,
-      price: Number(t.price || 0),
-      status: t.status,
-      seatLeft: Math.max(0, Number(t.capacity || 0) - Number(t.booked_count || 0))
-    }));
+async function handleAdminListJobRuns(env, token, url) {
+  try {
+    await requirePermission(env, token, 'jobs.view');
+    const job = String(url.searchParams.get('job') || '').trim();
+    const limit = Math.min(200, Math.max(1, Number(url.searchParams.get('limit') || 50) || 50));
+
+    const res = job
+      ? await env.DB.prepare('SELECT * FROM job_runs WHERE job = ? ORDER BY id DESC LIMIT ?').bind(job, limit).all()
+      : await env.DB.prepare('SELECT * FROM job_runs ORDER BY id DESC LIMIT ?').bind(limit).all();
+    const latestRes = await env.DB.prepare(`
+      SELECT jr.* FROM job_runs jr
+      WHERE jr.id IN (SELECT MAX(id) FROM job_runs GROUP BY job)
+      ORDER BY jr.job ASC
+    `).all();
 
-    const recentTrips = (recentTripsRes.results || []).map((t) => ({
-      id: t.id,
-      routeId: t.route_id,
-      routeName: t.route_name,
-      busId: t.bus_id,
-      busName: t.bus_name,
-      capacity: Number(t.capacity || 0),
-      bookedCount: Number(t.booked_count || 0),
-      departureDate: t.departure_date,
-      departureTime: t.departure_time,
-      price: Number(t.price || 0),
-      status: t.status,
-      endedAt: t.ended_at || null,
-      seatLeft: Math.max(0, Number(t.capacity || 0) - Number(t.booked_count || 0))
-    }));
+    const formatRun = (r) => ({
+      id: r.id,
+      job: r.job,
+      triggeredBy: r.triggered_by || null,
+      status: r.status,
+      result: parseJsonColumn(r.result, null),
+      error: r.error || null,
+      startedAt: r.started_at,
+      finishedAt: r.finished_at || null
+    });
 
     return new Response(JSON.stringify({
-      routes: routesRes.results || [],
-      buses: busesRes.results || [],
-      activeTrips,
-      recentTrips
+      jobs: MAINTENANCE_JOBS.map(([name]) => {
+        const latest = (latestRes.results || []).find((r) => r.job === name);
+        return { job: name, lastRun: latest ? formatRun(latest) : null };
+      }),
+      runs: (res.results || []).map(formatRun)
     }), {
       status: 200,
       headers: { 'Content-Type': 'application/json', ...corsHeaders() }
@@ -1902,30 +6735,289 @@ async function handleAdminFleetOptions(env, token) {
   }
 }
 
-async function handleAdminCreateBus(env, token, data) {
-  try {
-    await requireAdminUser(env, token);
-    const { name, plateNumber, routeId, capacity, availableSeats, price, routeText } = data || {};
-    if (!name || !routeId) throw new Error('Bus name and route are required');
+// ==================== PAYMENT RECONCILIATION ====================
 
-    const cap = Number(capacity || 0);
-    if (!Number.isFinite(cap) || cap <= 0) throw new Error('Valid capacity required');
-    const seats = Number.isFinite(Number(availableSeats)) ? Number(availableSeats) : cap;
-    const safeSeats = Math.min(cap, Math.max(0, seats));
-    const safePrice = Number.isFinite(Number(price)) ? Number(price) : 0;
+// Charges younger than this are skipped: the browser confirm or the webhook may still be on its way.
+const RECONCILE_SETTLE_MINUTES = 15;
+const RECONCILE_LOOKBACK_HOURS = 48;
+const RECONCILE_INTERVAL_MINUTES = 60;
+const RECONCILE_MAX_PAGES = 20;
 
-    const insert = await env.DB.prepare(`
-      INSERT INTO buses (route_id, name, plate_number, capacity, available_seats, price, route_text)
-      VALUES (?, ?, ?, ?, ?, ?, ?)
-    `).bind(routeId, name, plateNumber || null, cap, safeSeats, safePrice, routeText || null).run();
+async function listPaystackTransactions(env, { from, to }) {
+  const secretKey = env.PAYSTACK_SECRET_KEY;
+  if (!secretKey) throw new Error('Missing PAYSTACK_SECRET_KEY');
+
+  const transactions = [];
+  for (let page = 1; page <= RECONCILE_MAX_PAGES; page += 1) {
+    const params = new URLSearchParams({ status: 'success', perPage: '100', page: String(page), from, to });
+    const res = await fetch(`${paystackApiBase(env)}/transaction?${params.toString()}`, {
+      method: 'GET',
+      headers: {
+        'Authorization': `Bearer ${secretKey}`
+      }
+    });
+    if (!res.ok) throw new Error(`Paystack transaction list failed: HTTP ${res.status}`);
+
+    const body = await res.json();
+    if (!body?.status || !Array.isArray(body.data)) throw new Error('Invalid Paystack transaction list response');
+    transactions.push(...body.data);
+    if (!body.data.length || page >= Number(body.meta?.pageCount || 1)) break;
+  }
+
+  return transactions
+    .filter((tx) => tx?.reference && tx.status === 'success')
+    .map((tx) => ({
+      reference: String(tx.reference),
+      amountKobo: Number(tx.amount || 0),
+      paidAt: tx.paid_at || tx.paidAt || tx.created_at || null,
+      email: tx.customer?.email || null
+    }));
+}
+
+// What has already gone back to the customer for a gateway charge: cancellations and failed
+// rebooks (booking_refunds), checkouts refunded at completion (the pending row) and earlier
+// reconciliation refunds. Refund attempts that failed do not count.
+async function refundedKoboForReference(env, reference) {
+  const row = await env.DB.prepare(`
+    SELECT
+      (SELECT COALESCE(SUM(amount_kobo), 0) FROM booking_refunds WHERE transaction_ref = ? AND status != 'failed')
+      + (SELECT COALESCE(SUM(refund_kobo), 0) FROM pending_bookings WHERE reference = ? AND refund_status IN ('pending', 'processed'))
+      + (SELECT COALESCE(SUM(refund_amount_kobo), 0) FROM payment_reconciliation_items WHERE reference = ? AND status = 'refunded')
+      as refunded
+  `).bind(reference, reference, reference).first();
+  return Number(row?.refunded || 0);
+}
+
+// Classifies one successful charge against the bookings it should have produced.
+// Returns null when the charge is fully accounted for.
+async function reconcilePaymentTransaction(env, tx) {
+  const bookingsRes = await env.DB.prepare(`
+    SELECT id, external_ref, price_paid, status
+    FROM bookings
+    WHERE external_ref = ? OR external_ref LIKE ?
+    ORDER BY id ASC
+  `).bind(tx.reference, `${tx.reference}:%`).all();
+  const bookings = bookingsRes.results || [];
+  const pending = await getPendingBooking(env, tx.reference);
+  const refundedKobo = await refundedKoboForReference(env, tx.reference);
+
+  // Rebook payments move an existing booking, so only the pending row can account for them.
+  if (pending?.kind === 'rebook') {
+    if (pending.status === 'failed' && refundedKobo >= tx.amountKobo) return null;
+    if (pending.status !== 'completed') {
+      return { issue: 'orphan', expectedKobo: Number(pending.amount_kobo), suggestedAction: pending.status === 'failed' ? 'refund' : 'book', details: { pendingStatus: pending.status, failureReason: pending.failure_reason || null, bookingId: pending.booking_id, refundedKobo } };
+    }
+    if (tx.amountKobo - refundedKobo !== Number(pending.amount_kobo)) {
+      return { issue: 'amount_mismatch', expectedKobo: Number(pending.amount_kobo), suggestedAction: tx.amountKobo - refundedKobo > Number(pending.amount_kobo) ? 'refund' : 'review', details: { bookingId: pending.booking_id, refundedKobo } };
+    }
+    return null;
+  }
+
+  if (bookings.length) {
+    const refs = bookings.map((b) => b.external_ref);
+    if (new Set(refs).size !== refs.length) {
+      return { issue: 'duplicate', expectedKobo: null, suggestedAction: 'review', details: { bookingIds: bookings.map((b) => b.id), reason: 'Several bookings carry the same payment reference' } };
+    }
+    const expectedKobo = pending
+      ? Number(pending.amount_kobo)
+      : Math.round(bookings.reduce((sum, b) => sum + Number(b.price_paid || 0), 0) * 100);
+    if (tx.amountKobo !== expectedKobo) {
+      return { issue: 'amount_mismatch', expectedKobo, suggestedAction: tx.amountKobo > expectedKobo ? 'refund' : 'review', details: { bookingIds: bookings.map((b) => b.id) } };
+    }
+    return null;
+  }
+
+  // Without bookings the whole charge is owed back; once that has been refunded there is nothing left to do.
+  if (refundedKobo >= tx.amountKobo) return null;
+
+  if (!pending) {
+    return { issue: 'orphan', expectedKobo: null, suggestedAction: 'refund', details: { reason: 'No checkout recorded for this reference', refundedKobo } };
+  }
+
+  const passenger = parseJsonColumn(pending.passenger, {});
+  const seats = parseJsonColumn(pending.seats, []);
+  const details = { pendingStatus: pending.status, failureReason: pending.failure_reason || null, busId: pending.bus_id, tripId: pending.trip_id || null, seats, refundedKobo };
+
+  // The same customer already holds these seats under another payment: they paid twice.
+  if (passenger.email && seats.length) {
+    const heldRes = await env.DB.prepare(`
+      SELECT b.id, b.seat_number, b.external_ref
+      FROM bookings b
+      JOIN passengers p ON p.id = b.passenger_id
+      WHERE b.bus_id = ? AND COALESCE(b.trip_id, 0) = ? AND b.status = 'confirmed' AND lower(p.email) = lower(?)
+    `).bind(pending.bus_id, Number(pending.trip_id || 0), passenger.email).all();
+    const held = heldRes.results || [];
+    if (seats.every((seat) => held.some((b) => String(b.seat_number) === String(seat)))) {
+      return { issue: 'duplicate', expectedKobo: Number(pending.amount_kobo), suggestedAction: 'refund', details: { ...details, bookingIds: held.filter((b) => seats.includes(String(b.seat_number))).map((b) => b.id) } };
+    }
+  }
+
+  if (tx.amountKobo !== Number(pending.amount_kobo)) {
+    return { issue: 'amount_mismatch', expectedKobo: Number(pending.amount_kobo), suggestedAction: 'refund', details };
+  }
+  return { issue: 'orphan', expectedKobo: Number(pending.amount_kobo), suggestedAction: pending.status === 'failed' ? 'refund' : 'book', details };
+}
+
+// Upserts the finding; resolved items are not reopened when the charge shows up again.
+// Returns { id, open }.
+async function recordReconciliationItem(env, provider, tx, finding) {
+  const existing = await env.DB.prepare('SELECT id, status FROM payment_reconciliation_items WHERE reference = ? AND issue = ?')
+    .bind(tx.reference, finding.issue).first();
+  if (existing) {
+    if (existing.status === 'open') {
+      await env.DB.prepare(`
+        UPDATE payment_reconciliation_items
+        SET paystack_amount_kobo = ?, expected_amount_kobo = ?, details = ?, suggested_action = ?, last_seen_at = datetime('now')
+        WHERE id = ?
+      `).bind(tx.amountKobo, finding.expectedKobo, JSON.stringify(finding.details || {}), finding.suggestedAction, existing.id).run();
+    }
+    return { id: existing.id, open: existing.status === 'open' };
+  }
+
+  const insert = await env.DB.prepare(`
+    INSERT INTO payment_reconciliation_items
+      (reference, payment_provider, issue, paystack_amount_kobo, expected_amount_kobo, customer_email, paid_at, details, suggested_action)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).bind(
+    tx.reference,
+    provider.name,
+    finding.issue,
+    tx.amountKobo,
+    finding.expectedKobo,
+    tx.email,
+    tx.paidAt,
+    JSON.stringify(finding.details || {}),
+    finding.suggestedAction
+  ).run();
+  return { id: insert.meta.last_row_id, open: true };
+}
+
+// Every gateway a checkout has gone through, plus the configured one. Checkouts from before
+// providers were recorded went through Paystack. The fake gateway only counts while it is enabled.
+async function reconciledPaymentProviders(env) {
+  const res = await env.DB.prepare(`
+    SELECT DISTINCT payment_provider as name FROM pending_bookings WHERE payment_provider IS NOT NULL
+    UNION
+    SELECT 'paystack' as name FROM pending_bookings WHERE payment_provider IS NULL AND status = 'completed'
+  `).all();
+  const names = new Set([paymentProviderName(env), ...(res.results || []).map((row) => row.name)]);
+  if (env.PAYSTACK_SECRET_KEY) names.add('paystack');
+  if (paymentProviderName(env) !== 'fake') names.delete('fake');
+  return [...names].filter((name) => PAYMENT_PROVIDERS[name]).sort().map((name) => PAYMENT_PROVIDERS[name]);
+}
+
+// Reconciles every gateway in use. A gateway whose ledger cannot be read does not stop the
+// others; it is reported in errors, and the run fails once the rest are recorded.
+async function runPaymentReconciliation(env, { from = null, to = null } = {}) {
+  const now = Date.now();
+  const toIso = to ? new Date(to).toISOString() : new Date(now - RECONCILE_SETTLE_MINUTES * 60 * 1000).toISOString();
+  const fromIso = from ? new Date(from).toISOString() : new Date(now - RECONCILE_LOOKBACK_HOURS * 60 * 60 * 1000).toISOString();
+  if (Date.parse(fromIso) >= Date.parse(toIso)) throw new Error('Reconciliation window is empty');
+
+  const issues = { orphan: 0, amount_mismatch: 0, duplicate: 0 };
+  const itemIds = [];
+  const providers = [];
+  const errors = {};
+  let checked = 0;
+  let matched = 0;
+  let resolved = 0;
+  for (const provider of await reconciledPaymentProviders(env)) {
+    let transactions;
+    try {
+      transactions = await provider.listTransactions(env, { from: fromIso, to: toIso });
+    } catch (err) {
+      errors[provider.name] = String(err).replace(/^Error:\s*/, '');
+      continue;
+    }
+    providers.push(provider.name);
+    checked += transactions.length;
+    for (const tx of transactions) {
+      const finding = await reconcilePaymentTransaction(env, tx);
+      if (!finding) {
+        matched += 1;
+        continue;
+      }
+      const item = await recordReconciliationItem(env, provider, tx, finding);
+      if (!item.open) {
+        resolved += 1;
+        continue;
+      }
+      issues[finding.issue] += 1;
+      itemIds.push(item.id);
+    }
+  }
+
+  return { from: fromIso, to: toIso, providers, checked, matched, resolved, issues, itemIds, errors };
+}
+
+function reconciliationFailure(report) {
+  const failed = Object.entries(report.errors);
+  if (!failed.length) return null;
+  return `Could not read the ledger of ${failed.map(([name, error]) => `${name} (${error})`).join(', ')}`;
+}
+
+// Cron entry point; runs at most once per RECONCILE_INTERVAL_MINUTES.
+async function reconcilePaymentsJob(env) {
+  const recent = await env.DB.prepare(`
+    SELECT id FROM job_runs
+    WHERE job = 'reconcile_payments' AND status = 'success'
+      AND datetime(started_at) > datetime('now', '-${RECONCILE_INTERVAL_MINUTES} minutes')
+      AND (result IS NULL OR result NOT LIKE '%"skipped":true%')
+    LIMIT 1
+  `).first();
+  if (recent) return { skipped: true };
+  const report = await runPaymentReconciliation(env);
+  const failure = reconciliationFailure(report);
+  if (failure) throw new Error(failure);
+  return { from: report.from, to: report.to, providers: report.providers, checked: report.checked, matched: report.matched, resolved: report.resolved, issues: report.issues };
+}
+
+function formatReconciliationItem(item) {
+  return {
+    id: item.id,
+    reference: item.reference,
+    provider: item.payment_provider || 'paystack',
+    issue: item.issue,
+    paystackAmount: Number(item.paystack_amount_kobo || 0) / 100,
+    expectedAmount: item.expected_amount_kobo === null || item.expected_amount_kobo === undefined ? null : Number(item.expected_amount_kobo) / 100,
+    customerEmail: item.customer_email || null,
+    paidAt: item.paid_at || null,
+    details: parseJsonColumn(item.details, {}),
+    suggestedAction: item.suggested_action || null,
+    status: item.status,
+    refundAmount: item.refund_amount_kobo ? Number(item.refund_amount_kobo) / 100 : null,
+    providerRefundId: item.provider_refund_id || null,
+    resolvedBy: item.resolved_by || null,
+    resolvedAt: item.resolved_at || null,
+    firstSeenAt: item.first_seen_at,
+    lastSeenAt: item.last_seen_at
+  };
+}
+
+async function handleAdminListReconciliation(env, token, url) {
+  try {
+    await requirePermission(env, token, 'payments.reconcile');
+    const status = String(url.searchParams.get('status') || 'open').trim();
+    const res = status === 'all'
+      ? await env.DB.prepare('SELECT * FROM payment_reconciliation_items ORDER BY id DESC LIMIT 500').all()
+      : await env.DB.prepare('SELECT * FROM payment_reconciliation_items WHERE status = ? ORDER BY id DESC LIMIT 500').bind(status).all();
+    const lastRun = await env.DB.prepare(`
+      SELECT * FROM job_runs
+      WHERE job = 'reconcile_payments' AND (result IS NULL OR result NOT LIKE '%"skipped":true%')
+      ORDER BY id DESC LIMIT 1
+    `).first();
 
     return new Response(JSON.stringify({
-      id: insert.meta.last_row_id,
-      name,
-      routeId: Number(routeId),
-      capacity: cap,
-      availableSeats: safeSeats,
-      price: safePrice
+      lastRun: lastRun ? {
+        id: lastRun.id,
+        triggeredBy: lastRun.triggered_by || null,
+        status: lastRun.status,
+        result: parseJsonColumn(lastRun.result, null),
+        error: lastRun.error || null,
+        startedAt: lastRun.started_at,
+        finishedAt: lastRun.finished_at || null
+      } : null,
+      items: (res.results || []).map(formatReconciliationItem)
     }), {
       status: 200,
       headers: { 'Content-Type': 'application/json', ...corsHeaders() }
@@ -1939,43 +7031,169 @@ async function handleAdminCreateBus(env, token, data) {
   }
 }
 
-async function handleAdminCreateTrip(env, token, data) {
+async function handleAdminRunReconciliation(env, token, data, client = {}) {
   try {
-    await requireAdminUser(env, token);
-    const { routeId, busId, departureDate, departureTime, price } = data || {};
-    if (!routeId || !busId) throw new Error('Route and bus are required');
-    const route = await env.DB.prepare('SELECT id FROM routes WHERE id = ?').bind(routeId).first();
-    if (!route) throw new Error('Route not found');
+    const admin = await requirePermission(env, token, 'payments.reconcile');
+    const { from, to } = data || {};
+    if (from && !Number.isFinite(Date.parse(from))) throw new Error('Invalid from date');
+    if (to && !Number.isFinite(Date.parse(to))) throw new Error('Invalid to date');
+
+    let report = null;
+    const outcome = await runLoggedJob(env, 'reconcile_payments', `admin ${admin.email}`, async () => {
+      report = await runPaymentReconciliation(env, { from, to });
+      const failure = reconciliationFailure(report);
+      if (failure) throw new Error(failure);
+      return { from: report.from, to: report.to, providers: report.providers, checked: report.checked, matched: report.matched, resolved: report.resolved, issues: report.issues };
+    });
+    if (outcome.status === 'failed') throw new Error(outcome.error);
+    await recordAdminAudit(env, admin, 'reconciliation.run', {
+      type: 'reconciliation',
+      after: { from: report.from, to: report.to, checked: report.checked, matched: report.matched, resolved: report.resolved, issues: report.issues }
+    }, client);
+
+    const items = [];
+    for (const id of report.itemIds) {
+      const item = await env.DB.prepare('SELECT * FROM payment_reconciliation_items WHERE id = ?').bind(id).first();
+      if (item) items.push(formatReconciliationItem(item));
+    }
 
-    const bus = await env.DB.prepare('SELECT id, route_id, capacity, price FROM buses WHERE id = ?').bind(busId).first();
-    if (!bus) throw new Error('Bus not found');
+    return new Response(JSON.stringify({
+      from: report.from,
+      to: report.to,
+      providers: report.providers,
+      checked: report.checked,
+      matched: report.matched,
+      resolved: report.resolved,
+      issues: report.issues,
+      items
+    }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders() }
+    });
+  } catch (err) {
+    const status = String(err).includes('Forbidden') ? 403 : 400;
+    return new Response(JSON.stringify({ error: String(err) }), {
+      status,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders() }
+    });
+  }
+}
 
-    const activeOnBus = await env.DB.prepare('SELECT id FROM trip_schedules WHERE bus_id = ? AND status = "active" LIMIT 1').bind(busId).first();
-    if (activeOnBus) throw new Error('Bus already assigned to an active trip');
+// The gateway whose ledger listed the charge; items from before that was recorded were Paystack's.
+async function reconciliationItemProvider(env, item) {
+  return item.payment_provider
+    ? getPaymentProvider(env, item.payment_provider)
+    : await getPaymentProviderForReference(env, item.reference);
+}
 
-    const safePrice = Number.isFinite(Number(price)) ? Number(price) : Number(bus.price || 0);
-    const insert = await env.DB.prepare(`
-      INSERT INTO trip_schedules (route_id, bus_id, departure_date, departure_time, price, status)
-      VALUES (?, ?, ?, ?, ?, 'active')
-    `).bind(routeId, busId, departureDate || null, departureTime || null, safePrice).run();
-    const tripId = insert.meta.last_row_id;
+// Actions: 'book' completes the stored checkout now (as a late webhook would), 'refund' returns
+// the charge (or the overpaid part of a mismatch) through the gateway that took it, 'dismiss'
+// closes the item.
+async function handleAdminResolveReconciliationItem(env, token, itemId, data, client = {}) {
+  let claimed = false;
+  try {
+    const admin = await requirePermission(env, token, 'payments.reconcile');
+    const action = String(data?.action || '').trim();
+    if (!['book', 'refund', 'dismiss'].includes(action)) throw new Error('Action must be book, refund or dismiss');
+
+    const item = await env.DB.prepare('SELECT * FROM payment_reconciliation_items WHERE id = ?').bind(itemId).first();
+    if (!item) throw new Error('Reconciliation item not found');
+    const claim = await env.DB.prepare("UPDATE payment_reconciliation_items SET status = 'processing' WHERE id = ? AND status = 'open'")
+      .bind(itemId).run();
+    if (Number(claim?.meta?.changes || 0) === 0) throw new Error('Reconciliation item is already resolved');
+    claimed = true;
+
+    const resolve = async (status, extra = {}) => {
+      await env.DB.prepare(`
+        UPDATE payment_reconciliation_items
+        SET status = ?, refund_amount_kobo = ?, provider_refund_id = ?, resolved_by = ?, resolved_at = datetime('now')
+        WHERE id = ?
+      `).bind(status, extra.refundKobo || null, extra.refundId || null, admin.email, itemId).run();
+      await recordAdminAudit(env, admin, `reconciliation.${action}`, {
+        type: 'reconciliation_item', id: itemId, before: item, after: await auditRowSnapshot(env, 'payment_reconciliation_items', itemId)
+      }, client);
+    };
+
+    if (action === 'dismiss') {
+      await resolve('dismissed');
+      return new Response(JSON.stringify({ id: itemId, status: 'dismissed' }), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders() }
+      });
+    }
 
-    await env.DB.prepare('UPDATE buses SET route_id = ?, available_seats = ?, price = ? WHERE id = ?')
-      .bind(routeId, Number(bus.capacity || 0), safePrice, busId).run();
+    const pending = await getPendingBooking(env, item.reference);
+    const existing = await env.DB.prepare('SELECT COUNT(*) as c FROM bookings WHERE external_ref = ? OR external_ref LIKE ?')
+      .bind(item.reference, `${item.reference}:%`).first();
+    const hasBookings = Number(existing?.c || 0) > 0;
+
+    if (action === 'book') {
+      if (item.issue !== 'orphan') throw new Error('Only orphaned payments can be booked');
+      if (!pending) throw new Error('No checkout recorded for this payment; refund it instead');
+      if (pending.status === 'completed' || hasBookings) throw new Error('Payment has already produced a booking');
+      if (await refundedKoboForReference(env, item.reference) > 0) throw new Error('Payment has already been refunded');
+
+      const provider = await reconciliationItemProvider(env, item);
+      const verification = await provider.verify(env, item.reference);
+      if (!verification.verified) throw new Error('Payment verification failed');
+      // A checkout that failed (e.g. lost a seat race) gets one more attempt with today's seats.
+      if (pending.status === 'failed') {
+        await env.DB.prepare('UPDATE pending_bookings SET status = ?, failure_reason = NULL WHERE id = ? AND status = ?')
+          .bind('pending', pending.id, 'failed').run();
+      }
+      const outcome = await completePendingBooking(env, item.reference, verification, 'reconciliation');
+      if (outcome?.processing) throw new Error('Booking is being completed by another request');
+      if (outcome?.unpaid) throw new Error('Payment not successful');
+      if (outcome?.failed) throw new Error(outcome.reason);
+      await resolve('booked');
+
+      return new Response(JSON.stringify({ id: itemId, status: 'booked', receipt: outcome?.receipt || null }), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders() }
+      });
+    }
+
+    // Refund: the whole charge unless it produced bookings, in which case only the overpayment.
+    const overpaidKobo = Number(item.paystack_amount_kobo) - Number(item.expected_amount_kobo || 0);
+    let refundKobo;
+    if (hasBookings || pending?.status === 'completed') {
+      if (item.issue !== 'amount_mismatch' || !(overpaidKobo > 0)) {
+        throw new Error('Payment has produced a booking; cancel the booking to refund it');
+      }
+      refundKobo = overpaidKobo;
+    } else {
+      refundKobo = Number(item.paystack_amount_kobo);
+    }
+    // Never hand back more than is still held: the charge may have been part-refunded elsewhere.
+    const heldKobo = Number(item.paystack_amount_kobo) - await refundedKoboForReference(env, item.reference);
+    if (!(heldKobo > 0)) throw new Error('Payment has already been refunded');
+    refundKobo = Math.min(refundKobo, heldKobo);
+    if (!(refundKobo > 0)) throw new Error('Nothing to refund');
+
+    // Stop a late webhook from booking a payment that is being refunded.
+    if (pending && ['pending', 'failed'].includes(pending.status)) {
+      await env.DB.prepare('UPDATE pending_bookings SET status = ?, failure_reason = ? WHERE id = ? AND status IN (?, ?)')
+        .bind('failed', 'Refunded by payment reconciliation', pending.id, 'pending', 'failed').run();
+      await releasePromoRedemption(env, item.reference);
+    }
+    const provider = await reconciliationItemProvider(env, item);
+    const refund = await provider.refund(env, item.reference, refundKobo);
+    await resolve('refunded', { refundKobo, refundId: refund.refundId });
 
     return new Response(JSON.stringify({
-      tripId,
-      routeId: Number(routeId),
-      busId: Number(busId),
-      departureDate: departureDate || null,
-      departureTime: departureTime || null,
-      price: safePrice,
-      status: 'active'
+      id: itemId,
+      status: 'refunded',
+      refundAmount: refundKobo / 100,
+      providerRefundId: refund.refundId,
+      providerStatus: refund.status
     }), {
       status: 200,
       headers: { 'Content-Type': 'application/json', ...corsHeaders() }
     });
   } catch (err) {
+    if (claimed) {
+      await env.DB.prepare("UPDATE payment_reconciliation_items SET status = 'open' WHERE id = ? AND status = 'processing'").bind(itemId).run();
+    }
     const status = String(err).includes('Forbidden') ? 403 : 400;
     return new Response(JSON.stringify({ error: String(err) }), {
       status,
@@ -1984,25 +7202,122 @@ async function handleAdminCreateTrip(env, token, data) {
   }
 }
 
-async function handleAdminEndTrip(env, token, tripId) {
+// ==================== AUDIT LOG ====================
+
+const AUDIT_PAGE_LIMIT = 100;
+const AUDIT_PAGE_MAX = 500;
+const AUDIT_EXPORT_MAX_ROWS = 10000;
+
+// Admin handlers call this once their change has gone through. `before` and `after` are row
+// snapshots (or a summary for bulk actions); user rows are never snapshotted whole.
+async function recordAdminAudit(env, actor, action, target = {}, client = {}) {
+  const { type = null, id = null, before = null, after = null } = target;
+  await env.DB.prepare(`
+    INSERT INTO admin_audit_log (actor_user_id, actor, action, target_type, target_id, before_json, after_json, ip, user_agent)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).bind(
+    actor?.id || null,
+    actor?.email || actor?.phone || null,
+    action,
+    type,
+    id === null || id === undefined ? null : String(id),
+    before ? JSON.stringify(before) : null,
+    after ? JSON.stringify(after) : null,
+    client.ip || null,
+    client.userAgent || null
+  ).run();
+}
+
+// `table` is always a literal from the calling handler, never request input.
+async function auditRowSnapshot(env, table, id) {
+  if (id === null || id === undefined) return null;
+  return await env.DB.prepare(`SELECT * FROM ${table} WHERE id = ?`).bind(id).first();
+}
+
+function formatAuditEntry(row) {
+  return {
+    id: row.id,
+    createdAt: row.created_at,
+    actorUserId: row.actor_user_id || null,
+    actor: row.actor || null,
+    action: row.action,
+    targetType: row.target_type || null,
+    targetId: row.target_id || null,
+    before: parseJsonColumn(row.before_json, null),
+    after: parseJsonColumn(row.after_json, null),
+    ip: row.ip || null,
+    userAgent: row.user_agent || null
+  };
+}
+
+// Filters: ?actor= (email, phone or user id), &action=, &targetType=, &targetId=, &from=&to=
+// (YYYY-MM-DD, inclusive), &beforeId= to page back. ?format=csv exports every match.
+async function handleAdminListAudit(env, token, url) {
   try {
-    await requireAdminUser(env, token);
-    if (!tripId) throw new Error('Trip ID required');
+    await requirePermission(env, token, 'audit.view');
+    const params = url.searchParams;
+    const format = String(params.get('format') || 'json').toLowerCase();
+    if (!['json', 'csv'].includes(format)) throw new Error('Format must be json or csv');
 
-    const trip = await env.DB.prepare('SELECT id, bus_id, status FROM trip_schedules WHERE id = ?').bind(tripId).first();
-    if (!trip) throw new Error('Trip not found');
-    if (trip.status !== 'active') throw new Error('Trip is not active');
+    const where = [];
+    const binds = [];
+    const actor = String(params.get('actor') || '').trim();
+    if (actor) {
+      where.push(/^\d+$/.test(actor) ? 'actor_user_id = ?' : 'lower(actor) = lower(?)');
+      binds.push(/^\d+$/.test(actor) ? Number(actor) : actor);
+    }
+    for (const [param, column] of [['action', 'action'], ['targetType', 'target_type'], ['targetId', 'target_id']]) {
+      const value = String(params.get(param) || '').trim();
+      if (value) {
+        where.push(`${column} = ?`);
+        binds.push(value);
+      }
+    }
+    for (const [param, op] of [['from', '>='], ['to', '<=']]) {
+      if (!params.get(param)) continue;
+      const day = normalizeIsoDate(params.get(param));
+      if (!day) throw new Error(`${param} must be YYYY-MM-DD`);
+      where.push(`date(created_at) ${op} ?`);
+      binds.push(day);
+    }
+    const beforeId = Number(params.get('beforeId') || 0);
+    if (beforeId > 0) {
+      where.push('id < ?');
+      binds.push(beforeId);
+    }
 
-    const bus = await env.DB.prepare('SELECT id, capacity FROM buses WHERE id = ?').bind(trip.bus_id).first();
-    await env.DB.prepare('UPDATE trip_schedules SET status = ?, ended_at = datetime("now") WHERE id = ?').bind('completed', tripId).run();
-    await env.DB.prepare('UPDATE buses SET available_seats = ? WHERE id = ?').bind(Number(bus?.capacity || 0), trip.bus_id).run();
-    await env.DB.prepare('DELETE FROM seat_locks WHERE trip_id = ?').bind(tripId).run();
+    const maxRows = format === 'csv' ? AUDIT_EXPORT_MAX_ROWS : AUDIT_PAGE_MAX;
+    const limit = Math.min(maxRows, Math.max(1, Number(params.get('limit')) || (format === 'csv' ? maxRows : AUDIT_PAGE_LIMIT)));
+    const res = await env.DB.prepare(`
+      SELECT * FROM admin_audit_log
+      ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+      ORDER BY id DESC
+      LIMIT ?
+    `).bind(...binds, limit).all();
+    const entries = (res.results || []).map(formatAuditEntry);
+
+    if (format === 'csv') {
+      const header = ['ID', 'Time (UTC)', 'Actor', 'Actor User ID', 'Action', 'Target Type', 'Target ID', 'IP', 'User Agent', 'Before', 'After'];
+      const lines = [header.map(csvEscape).join(',')];
+      for (const e of entries) {
+        lines.push([
+          e.id, e.createdAt, e.actor, e.actorUserId, e.action, e.targetType, e.targetId, e.ip, e.userAgent,
+          e.before ? JSON.stringify(e.before) : '', e.after ? JSON.stringify(e.after) : ''
+        ].map(csvEscape).join(','));
+      }
+      return new Response(lines.join('\r\n'), {
+        status: 200,
+        headers: {
+          'Content-Type': 'text/csv; charset=utf-8',
+          'Content-Disposition': `attachment; filename="admin-audit-${new Date().toISOString().slice(0, 10)}.csv"`,
+          ...corsHeaders()
+        }
+      });
+    }
 
     return new Response(JSON.stringify({
-      tripId,
-      status: 'completed',
-      busId: trip.bus_id,
-      availableSeats: Number(bus?.capacity || 0)
+      entries,
+      nextBeforeId: entries.length === limit ? entries[entries.length - 1].id : null
     }), {
       status: 200,
       headers: { 'Content-Type': 'application/json', ...corsHeaders() }